@@ -11,5 +11,9 @@ mixCombiningSessionInto( BrowserSession );
 export {
 	ApiErrors,
 	ApiWarnings,
+	LoginError,
+	MemoryCache,
+	RequestTimeoutError,
+	UploadError,
 	set,
 } from './core.js';
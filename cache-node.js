@@ -0,0 +1,117 @@
+/* eslint jsdoc/no-undefined-types: [ "error", { "definedTypes": [ "ResponseCache" ] } ] */
+import { createHash, randomBytes } from 'crypto';
+import { mkdir, readFile, readdir, rename, rm, writeFile } from 'fs/promises';
+import { join } from 'path';
+
+/**
+ * A {@link ResponseCache} that stores entries as JSON files in a directory,
+ * so that they survive restarts of the process
+ * (e.g. for CLI tools that are run repeatedly within a short time).
+ *
+ * Each entry is stored in a separate file, named after a hash of the key;
+ * the directory is created when the first entry is stored.
+ * Several sessions (and processes) can share the same directory.
+ * The cache keys include the session’s user name and a hash of its access token
+ * (see the cache option), but the directory must not mix responses of different users
+ * whose sessions are authenticated in other ways (e.g. with cookies imported from elsewhere),
+ * and it should only be readable by the users whose responses it stores.
+ * Expired entries are not removed automatically
+ * (but they are overwritten when the same request is made and cached again);
+ * use {@link DirectoryCache#clear} to remove all entries.
+ */
+class DirectoryCache {
+
+	/**
+	 * @param {string} directory The directory in which to store the cache files.
+	 * It should not be used for any other files.
+	 */
+	constructor( directory ) {
+		/**
+		 * The directory in which the cache files are stored.
+		 *
+		 * @member {string}
+		 */
+		this.directory = directory;
+	}
+
+	/**
+	 * @private
+	 * @param {string} key
+	 * @return {string}
+	 */
+	getFileName( key ) {
+		const hash = createHash( 'sha256' ).update( key ).digest( 'hex' );
+		return join( this.directory, `${ hash }.json` );
+	}
+
+	/**
+	 * @param {string} key
+	 * @return {Promise<Object|undefined>}
+	 */
+	async get( key ) {
+		let contents;
+		try {
+			// eslint-disable-next-line security/detect-non-literal-fs-filename
+			contents = JSON.parse( await readFile( this.getFileName( key ), 'utf8' ) );
+		} catch ( _ ) {
+			// missing or corrupt file, treat as not cached
+			return undefined;
+		}
+		if ( contents.key !== key ) {
+			return undefined; // hash collision
+		}
+		return contents.entry;
+	}
+
+	/**
+	 * @param {string} key
+	 * @param {Object} entry
+	 * @return {Promise}
+	 */
+	async set( key, entry ) {
+		// eslint-disable-next-line security/detect-non-literal-fs-filename
+		await mkdir( this.directory, { recursive: true } );
+		const fileName = this.getFileName( key );
+		// write to a temporary file and rename it,
+		// so that concurrent readers never see a partially written file
+		const temporaryFileName = `${ fileName }.${ randomBytes( 6 ).toString( 'hex' ) }.tmp`;
+		// eslint-disable-next-line security/detect-non-literal-fs-filename
+		await writeFile( temporaryFileName, JSON.stringify( { key, entry } ) );
+		// eslint-disable-next-line security/detect-non-literal-fs-filename
+		await rename( temporaryFileName, fileName );
+	}
+
+	/**
+	 * @param {string} key
+	 * @return {Promise}
+	 */
+	async delete( key ) {
+		await rm( this.getFileName( key ), { force: true } );
+	}
+
+	/**
+	 * Remove all cache files from the directory.
+	 *
+	 * @return {Promise}
+	 */
+	async clear() {
+		let fileNames;
+		try {
+			// eslint-disable-next-line security/detect-non-literal-fs-filename
+			fileNames = await readdir( this.directory );
+		} catch ( e ) {
+			if ( e.code === 'ENOENT' ) {
+				return; // nothing cached yet
+			}
+			throw e;
+		}
+		await Promise.all( fileNames
+			.filter( ( fileName ) => fileName.endsWith( '.json' ) )
+			.map( ( fileName ) => rm( join( this.directory, fileName ), { force: true } ) ) );
+	}
+
+}
+
+export {
+	DirectoryCache,
+};
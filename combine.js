@@ -3,6 +3,7 @@ import {
 	DEFAULT_OPTIONS,
 	Session,
 	makeWarnDroppingTruncatedResultWarning,
+	sleep,
 } from './core.js';
 
 class CombiningSession extends Session {
@@ -33,13 +34,31 @@ class CombiningSession extends Session {
 		for ( const pendingRequest of pendingRequests ) {
 			const combinedRequest = this.combineRequests( pendingRequest, newRequest );
 			if ( combinedRequest !== null ) {
+				this.stats.combinedRequests++;
 				return combinedRequest.promise;
 			}
 		}
 		pendingRequests.add( newRequest );
 		// eslint-disable-next-line no-async-promise-executor
-		return ( newRequest.promise = new Promise( async ( resolve ) => {
+		return ( newRequest.promise = new Promise( async ( resolve, reject ) => {
 			await Promise.resolve(); // brief pause to let other requests join this one
+			const throttleDelay = this.getThrottleDelay( newRequest.options );
+			if ( throttleDelay > 0 ) {
+				// the request would be throttled in core.js anyway;
+				// wait here instead, so that more requests can join this one in the meantime
+				const { clock, signal } = {
+					...DEFAULT_OPTIONS,
+					...this.defaultOptions,
+					...newRequest.options,
+				};
+				try {
+					await sleep( throttleDelay, clock, signal );
+				} catch ( e ) {
+					pendingRequests.delete( newRequest );
+					reject( e );
+					return;
+				}
+			}
 			pendingRequests.delete( newRequest );
 			resolve( super.request( newRequest.params, newRequest.options ) );
 		} ) );
@@ -142,6 +161,7 @@ class CombiningSession extends Session {
 			dropTruncatedResultWarning: dtrwA = defaultOptions.dropTruncatedResultWarning,
 			tokenType: tokenTypeA = defaultOptions.tokenType,
 			tokenName: tokenNameA = defaultOptions.tokenName,
+			priority: priorityA = defaultOptions.priority,
 			...otherOptionsA
 		} = optionsA;
 		const {
@@ -149,6 +169,7 @@ class CombiningSession extends Session {
 			dropTruncatedResultWarning: dtrwB = defaultOptions.dropTruncatedResultWarning,
 			tokenType: tokenTypeB = defaultOptions.tokenType,
 			tokenName: tokenNameB = defaultOptions.tokenName,
+			priority: priorityB = defaultOptions.priority,
 			...otherOptionsB
 		} = optionsB;
 
@@ -162,6 +183,8 @@ class CombiningSession extends Session {
 			},
 			dropTruncatedResultWarning: false,
 			tokenType: tokenTypeA, // if !== tokenTypeB, we return below
+			// if either request is a priority (token) request, the combined request is as well
+			priority: priorityA || priorityB,
 		};
 
 		if ( tokenTypeA === null && tokenTypeB === null ) {
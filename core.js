@@ -79,9 +79,61 @@
  * according to the Retry-After response header if it is present.
  * Defaults to 65 seconds; set to 0 to disable automatic retries.
  * (Can also be a fractional number for sub-second precision.)
+ * @property {number|null} [timeoutSeconds] The maximum duration of a single HTTP attempt.
+ * If no complete response has been received after this time (in seconds),
+ * the attempt is aborted, and the request is automatically retried
+ * if the maxRetriesSeconds option still allows it;
+ * otherwise, the request fails with a {@link RequestTimeoutError}.
+ * Defaults to null, i.e. no timeout.
+ * (Can also be a fractional number for sub-second precision.)
+ * @property {number} [retryBackoffInitialSeconds] The initial delay for automatic retries
+ * after network errors (including timeouts, see the timeoutSeconds option)
+ * and HTTP 5xx server errors without a Retry-After response header.
+ * Such retries use exponential backoff with jitter:
+ * the first retry happens after between half and all of this delay,
+ * and the delay doubles for each subsequent retry
+ * (up to the retryBackoffMaxSeconds option),
+ * for as long as the maxRetriesSeconds option allows.
+ * Defaults to one second.
+ * @property {number} [retryBackoffMaxSeconds] The maximum delay for automatic retries
+ * with exponential backoff, see the retryBackoffInitialSeconds option.
+ * Defaults to 30 seconds.
+ * @property {number} [throttleGetSeconds] The minimum interval between GET requests.
+ * If set, the session will not send out GET requests more often than once per this many seconds,
+ * queueing them inside {@link Session#request} if necessary;
+ * this also applies to automatic retries and to requests made to get tokens.
+ * Defaults to 0, i.e. no throttling.
+ * (Can also be a fractional number for sub-second precision.)
+ * @property {number} [throttlePostSeconds] The minimum interval between POST requests,
+ * e.g. to limit the edit rate of a bot.
+ * Works like the throttleGetSeconds option, but for POST requests;
+ * GET and POST requests are throttled independently of each other.
+ * Defaults to 0, i.e. no throttling.
+ * @property {number} [maxConcurrentRequests] The maximum number of requests
+ * that the session will send out at the same time.
+ * Further requests are queued in order until an earlier request has finished;
+ * requests to get tokens (see the tokenType option) skip ahead of other queued requests.
+ * The number of queued requests is available as {@link Session#queuedRequests}.
+ * This limit should be set as a default option in the constructor,
+ * since it is checked against all the requests of the session.
+ * Defaults to Infinity, i.e. no limit;
+ * Wikimedia recommends that clients avoid parallel requests,
+ * which corresponds to a value of 1.
+ * @property {number|null} [maxlag] Automatically add the maxlag parameter with this value
+ * to write (POST) requests, or to all requests if the maxlagAllRequests option is set.
+ * (If the request parameters or default parameters include maxlag, that value is used instead.)
+ * If this option is set, m3api also reports any waiting due to maxlag errors
+ * to the warn handler, using a {@link MaxlagWarning}.
+ * Defaults to null, i.e. maxlag is only sent if it is included in the parameters.
+ * See the {@link https://www.mediawiki.org/wiki/Special:MyLanguage/Manual:Maxlag_parameter maxlag documentation}.
+ * @property {boolean} [maxlagAllRequests] Whether to add the maxlag parameter to all requests,
+ * rather than just write (POST) requests. Only used if the maxlag option is set.
+ * Defaults to false.
  * @property {number} [retryAfterMaxlagSeconds] Default Retry-After header value
  * in case of a maxlag error. Only used when the response is missing the header.
  * Since MediaWiki usually sends this header for maxlag errors, this option is rarely used.
+ * (If the error includes the current lag, and it is greater than this value,
+ * then the lag is used instead.)
  * Defaults to five seconds, which is the recommended maxlag value for bots.
  * @property {number} [retryAfterReadonlySeconds] Default Retry-After header value
  * in case of a readonly error. Only used when the response is missing the header.
@@ -90,6 +142,20 @@
  * The default of 30 seconds is thought to be appropriate for Wikimedia wikis;
  * for third-party wikis, higher values may be useful
  * (remember to also increase the maxRetriesSeconds option accordingly).
+ * @property {number} [maxEditConflictRetries] How often {@link Session#edit}
+ * fetches the page and calls the transform function again after an edit conflict.
+ * Defaults to three times.
+ * @property {number} [uploadChunkSizeBytes] The size of the chunks
+ * in which {@link Session#upload} uploads files.
+ * Must not be larger than the maximum upload size of the wiki.
+ * Defaults to 5 MiB.
+ * @property {number} [uploadPollSeconds] How long {@link Session#upload} waits
+ * between requests to check the status of an upload that is processed asynchronously.
+ * Defaults to one second.
+ * @property {Function|null} [onUploadProgress] A function that is called
+ * after each chunk uploaded by {@link Session#upload},
+ * with an object with the members `filename`, `uploadedBytes` and `totalBytes`.
+ * Defaults to null.
  * @property {Function} [warn] A handler for warnings from this API request.
  * Called with a single instance of a subclass of Error, such as {@link ApiWarnings}.
  * The default is console.warn (interactive CLI applications may wish to change this).
@@ -108,12 +174,90 @@
  * You can get a token directly from an owner-only OAuth 2.0 client,
  * or you can use the m3api-oauth2 extension package to authorize a user via OAuth.
  * (In the latter case, you do not have to set this option: m3api-oauth2 will do it.)
+ * @property {AbortSignal|null} [signal] An AbortSignal that can be used to abort the request.
+ * If the signal is aborted, any pending network request or automatic retry is canceled,
+ * and the returned promise is rejected with the signal’s reason
+ * (by default, a DOMException named 'AbortError', see `AbortController.abort()`).
+ * For {@link Session#requestAndContinue} and related methods,
+ * no further requests are made after the signal has been aborted.
  * @property {string} [authorization] Value for the Authorization request header.
  * This option is deprecated in favor of accessToken above,
  * and only kept for backwards compatibility.
  * It is part of the internal interface, rather than the public interface,
  * and will be removed in a future minor version of m3api
  * (unless someone presents a use case for it that is not covered by the accessToken option).
+ * @property {Object.<string, Hook[]>} [hooks] Hooks to observe or modify requests,
+ * keyed by hook name: beforeRequest, afterResponse, onError, or onRetry.
+ * See {@link Hook} for details.
+ * Unlike most other options, the hooks from {@link DEFAULT_OPTIONS},
+ * from the session’s default options and from the request options are all used,
+ * in that order, rather than overriding each other.
+ * @property {Function|null} [logger] A function that is called with structured log records
+ * about the network traffic of the session, e.g. `console.debug`; useful for debugging.
+ * The function is called with a single object,
+ * whose `type` member is either 'attempt' (after each HTTP attempt, including automatic retries)
+ * or 'retry' (when a request is going to be retried automatically).
+ * Attempt records have the members `method`, `url` (a string), `params` (an object of strings,
+ * including both URL and body parameters), `headers` (an object of strings),
+ * `status` (the HTTP status, or null if there was no response), `errorCodes`
+ * (the codes of any API errors in the response),
+ * `error` (the exception if there was no response, else null),
+ * `durationSeconds` (how long the attempt took), and `retryBudgetSeconds`
+ * (how much time is left for automatic retries, see the maxRetriesSeconds option).
+ * Retry records have the members `reason` and `retryAfterSeconds` (see the onRetry {@link Hook}),
+ * as well as `retryBudgetSeconds` like attempt records.
+ * Tokens, passwords, and the Authorization and Cookie headers are replaced with '[redacted]'.
+ * The logger should not throw errors, nor rely on the exact format of the log records,
+ * which may change in minor versions.
+ * Defaults to null, i.e. no logging.
+ * @property {number} [cacheTtlSeconds] How long to cache the response of this request.
+ * If greater than zero, and the request is a GET request without a tokenType,
+ * the response is stored in the cache (see the cache option) for this many seconds,
+ * and subsequent requests with the same parameters (including default parameters)
+ * return the cached response instead of making another request.
+ * (Cached responses do not trigger any warnings again.)
+ * Tokens fetched by the session itself are never cached, regardless of this option.
+ * Useful for data that rarely changes, such as siteinfo;
+ * to remove responses from the cache, see {@link Session#invalidateCache}.
+ * Defaults to 0, i.e. no caching.
+ * @property {ResponseCache|null} [cache] The cache used for the cacheTtlSeconds option.
+ * Defaults to null, i.e. an in-memory cache specific to the session
+ * (a {@link MemoryCache} with the default size).
+ * A cache can be shared between sessions; entries are only shared between sessions
+ * with the same API URL, user name and Authorization header (see the accessToken option).
+ * Sessions that are authenticated in other ways (e.g. with cookies imported from elsewhere)
+ * without the session knowing the user name should not share a cache with other users’ sessions.
+ * @property {boolean} [bypassCache] Whether to skip reading the response from the cache.
+ * If the cacheTtlSeconds option is set, the fresh response is still stored in the cache.
+ * Defaults to false.
+ * @property {boolean} [conditionalRequests] Whether to make conditional GET requests.
+ * If true, the session remembers the ETag and Last-Modified response headers
+ * (if the API sends them) along with the response for each GET request URL,
+ * and sends If-None-Match and If-Modified-Since request headers
+ * when the same URL is requested again;
+ * if the server responds with HTTP 304 Not Modified, the remembered response is used.
+ * (Up to 1000 responses are remembered per session, dropping the least recently used ones.)
+ * Defaults to false.
+ * @property {Object|null} [tracer] An OpenTelemetry Tracer,
+ * e.g. `trace.getTracer( 'my-tool' )` using the @opentelemetry/api package.
+ * (m3api does not depend on that package itself, it only calls `startActiveSpan()` on the tracer.)
+ * If set, each request creates a span, with child spans for each HTTP attempt
+ * (including automatic retries, which are also recorded as span events)
+ * and for getting tokens.
+ * The spans are tagged with the API action and query modules,
+ * the HTTP method, URL and status (with tokens and passwords redacted),
+ * and the codes of any API errors and warnings.
+ * (For the spans to be nested properly, an OpenTelemetry context manager must be registered.)
+ * Defaults to null, i.e. no tracing.
+ * @property {boolean|Function} [relogin] Whether to log in again
+ * if a request fails with an assertuserfailed or assertnameduserfailed error
+ * (e.g. because the session cookies expired), and then retry the request.
+ * If true (the default), the credentials of the last {@link Session#login} are used
+ * (if the session was not logged in with that method, the error is thrown as usual).
+ * Can also be a function, which is called with the session and the request options
+ * and should log in again (e.g. using {@link Session#login}), returning a promise.
+ * Either way, the request is only retried once, and only within the maxRetriesSeconds.
+ * Set to false to disable this behavior.
  * @property {Object.<string, ErrorHandler>} [errorHandlers] Internal option.
  * Define handlers for API errors, which can retry the request if appropriate.
  * This option is only part of the internal interface, not of the stable, public interface.
@@ -121,16 +265,95 @@
  * Define handlers for HTTP errors, which can retry the request if appropriate.
  * Handlers are called sequentially until one handles the error or the list is exhausted.
  * This option is only part of the internal interface, not of the stable, public interface.
+ * @property {number} [backoffAttempts] Internal option.
+ * The number of previous retries of this request with exponential backoff.
+ * This option is only part of the internal interface, not of the stable, public interface.
+ * @property {boolean} [reloginAttempted] Internal option.
+ * Whether this request is a retry after logging in again due to the relogin option.
+ * This option is only part of the internal interface, not of the stable, public interface.
+ * @property {boolean} [priority] Internal option.
+ * Whether this request should skip ahead of other requests queued
+ * because of the maxConcurrentRequests option.
+ * Set for requests made by {@link Session#getToken}.
+ * This option is only part of the internal interface, not of the stable, public interface.
+ * @property {Object|null} [span] Internal option.
+ * The OpenTelemetry span of the request, if the tracer option is set.
+ * Set by {@link Session#request} and carried along to automatic retries.
+ * This option is only part of the internal interface, not of the stable, public interface.
  * @property {number} [retryUntil] Internal option.
  * Retry until the given timestamp (in terms of the performance.now() clock).
  * Takes precedence over the maxRetriesSeconds option.
  * This option is only part of the internal interface, not of the stable, public interface.
  * @property {Object} [clock] Internal option.
- * Clock used for automatic retry, with a `setTimeout` function and a `performance` object.
+ * Clock used for automatic retry and caching, with `setTimeout` and `clearTimeout` functions,
+ * a `performance` object and a `Date` class.
  * Defaults to the corresponding globals; configurable as an option only for testing purposes.
  * This option is only part of the internal interface, not of the stable, public interface.
  */
 
+/**
+ * A cache for API responses, which can be used in the cache option.
+ *
+ * The cache stores entries (plain objects which can be serialized as JSON) by string keys.
+ * Its methods may be synchronous or asynchronous (return promises).
+ * The cache does not need to handle expiry itself (m3api checks entries for expiry),
+ * though it may drop entries at any time (e.g. to limit its size).
+ *
+ * @typedef ResponseCache
+ * @type {Object}
+ * @property {function(string): (Object|undefined|Promise<Object|undefined>)} get
+ * Get the entry for the given key, or undefined if there is none.
+ * @property {function(string, Object): (void|Promise<void>)} set
+ * Store an entry for the given key.
+ * @property {function(string): (void|Promise<void>)} delete
+ * Remove the entry for the given key, if there is one.
+ * @property {function(): (void|Promise<void>)} clear
+ * Remove all entries.
+ */
+
+/**
+ * A hook callback, which can be registered in the hooks option.
+ *
+ * Hooks are called with a single event object,
+ * which always has the members `session`, `params` and `options`
+ * (the params and options of the request, with the retryUntil option always set).
+ * The other members depend on the hook name:
+ *
+ * - beforeRequest: Called before each HTTP attempt (including automatic retries).
+ *   The event has the members `url` (a URL) and `fetchOptions`
+ *   (the options for {@link Session#fetch}, with the method, headers and body).
+ *   The hook may modify these members (e.g. add headers or URL parameters),
+ *   or replace them with other values.
+ * - afterResponse: Called after each HTTP attempt that resulted in a response.
+ *   The event is the same object as in the beforeRequest hooks for the same attempt
+ *   (so hooks may store their own information in it, using a suitably prefixed member name),
+ *   with the additional members `response` (the {@link Response})
+ *   and `responseBody` (the parsed response body, or null if the response is not an API response,
+ *   e.g. for an HTTP error).
+ *   The response body may still contain errors and warnings,
+ *   which are handled after the hooks have been called.
+ * - onError: Called after each HTTP attempt that did not result in a response,
+ *   e.g. due to a network error, a timeout, or an abort via the signal option.
+ *   The event is the same object as in the beforeRequest hooks for the same attempt,
+ *   with the additional member `error` (the exception).
+ *   (Every beforeRequest hook call is therefore followed by either
+ *   an afterResponse or an onError hook call with the same event.)
+ * - onRetry: Called when a request is going to be retried automatically.
+ *   The event has the members `reason` (a string such as 'retry-after', 'maxlag', 'readonly',
+ *   'badtoken', 'relogin', 'server-error', 'network-error', or 'timeout')
+ *   and `retryAfterSeconds` (how long m3api will wait before retrying).
+ * - onTokenRefresh: Called after tokens were fetched and saved in {@link Session#tokens}.
+ *   The `params` and `options` members are those of the request for the tokens;
+ *   the event additionally has the member `types` (an array of the token types that were fetched).
+ *
+ * Hooks may be asynchronous (return a promise), in which case m3api waits for them.
+ * If a hook throws an error, the request fails with that error.
+ *
+ * @callback Hook
+ * @param {Object} event
+ * @return {void|Promise<void>}
+ */
+
 /**
  * An error handler callback, which can be registered in the errorHandlers option.
  *
@@ -207,15 +430,45 @@ const DEFAULT_OPTIONS = {
 	tokenType: null,
 	tokenName: 'token',
 	maxRetriesSeconds: 65,
+	timeoutSeconds: null,
+	retryBackoffInitialSeconds: 1,
+	retryBackoffMaxSeconds: 30,
+	throttleGetSeconds: 0,
+	throttlePostSeconds: 0,
+	maxConcurrentRequests: Infinity,
+	priority: false,
+	maxlag: null,
+	maxlagAllRequests: false,
 	retryAfterMaxlagSeconds: 5,
 	retryAfterReadonlySeconds: 30,
+	maxEditConflictRetries: 3,
+	uploadChunkSizeBytes: 5 * 1024 * 1024,
+	uploadPollSeconds: 1,
+	onUploadProgress: null,
 	warn: console.warn,
 	dropTruncatedResultWarning: false,
 	accessToken: null,
+	signal: null,
 	authorization: null,
 	clock: {
+		Date,
 		performance,
 		setTimeout,
+		clearTimeout,
+	},
+	logger: null,
+	conditionalRequests: false,
+	cacheTtlSeconds: 0,
+	cache: null,
+	bypassCache: false,
+	tracer: null,
+	span: null,
+	relogin: true,
+	hooks: {
+		beforeRequest: [ logBeforeRequest ],
+		afterResponse: [ logAfterResponse ],
+		onError: [ logOnError ],
+		onRetry: [ logOnRetry ],
 	},
 	errorHandlers: {
 		maxlag: ( session, params, options, response, error ) => {
@@ -227,7 +480,16 @@ const DEFAULT_OPTIONS = {
 				...session.defaultOptions,
 				...options,
 			};
-			return retryIfBefore( session, params, options, retryAfterMaxlagSeconds );
+			const lag = maxlagErrorLag( error );
+			const retryAfterSeconds = lag !== null && lag > retryAfterMaxlagSeconds ?
+				lag :
+				retryAfterMaxlagSeconds;
+			const retryResult = retryIfBefore(
+				session, params, options, retryAfterSeconds, 'maxlag' );
+			if ( retryResult !== null ) {
+				warnMaxlag( session, options, lag, retryAfterSeconds );
+			}
+			return retryResult;
 		},
 		readonly: ( session, params, options, response, error ) => {
 			if ( response.headers.has( 'retry-after' ) ) {
@@ -238,7 +500,8 @@ const DEFAULT_OPTIONS = {
 				...session.defaultOptions,
 				...options,
 			};
-			return retryIfBefore( session, params, options, retryAfterReadonlySeconds );
+			return retryIfBefore(
+				session, params, options, retryAfterReadonlySeconds, 'readonly' );
 		},
 		badtoken: ( session, params, options, response, error ) => {
 			const { tokenType } = {
@@ -249,15 +512,41 @@ const DEFAULT_OPTIONS = {
 			if ( tokenType === null ) {
 				return null; // bad token was supplied manually, nothing for us to do
 			}
-			session.tokens.clear();
-			return retryIfBefore( session, params, options, 0 /* no delay */ );
+			session.invalidateTokens();
+			return retryIfBefore( session, params, options, 0 /* no delay */, 'badtoken' );
 		},
+		assertuserfailed: ( session, params, options ) => reloginAndRetry(
+			session, params, options ),
+		assertnameduserfailed: ( session, params, options ) => reloginAndRetry(
+			session, params, options ),
 	},
-	httpErrorHandlers: [],
+	httpErrorHandlers: [
+		async ( session, params, options, response ) => {
+			if ( response.status < 500 || response.status >= 600 ) {
+				return null; // not a server error
+			}
+			if ( response.headers.has( 'retry-after' ) ) {
+				return null; // header takes precedence over backoff
+			}
+			if ( response.body !== null ) {
+				// the body was not read, discard it to release the connection
+				await response.body.cancel();
+			}
+			return retryWithBackoff( session, params, options, 'server-error' );
+		},
+	],
 };
 
 const DEFAULT_USER_AGENT = 'm3api/1.1.0 (https://www.npmjs.com/package/m3api)';
 
+/**
+ * Error codes with which an edit by {@link Session#edit} can fail
+ * if the page was changed, created or deleted since it was fetched.
+ *
+ * @private
+ */
+const EDIT_CONFLICT_CODES = [ 'editconflict', 'missingtitle', 'articleexists' ];
+
 const TRUNCATED_RESULT = /^This result was truncated because it would otherwise  ?be larger than the limit of .* bytes\.?$/;
 
 /**
@@ -280,32 +569,442 @@ function splitPostParameters( params ) {
 }
 
 /**
+ * Throw the reason of the given signal if it has been aborted.
+ *
+ * @private
+ * @param {AbortSignal|null} signal
+ */
+function throwIfAborted( signal ) {
+	if ( signal && signal.aborted ) {
+		throw signal.reason;
+	}
+}
+
+/**
+ * Wait for the given amount of time,
+ * or until the given signal is aborted (in which case the promise is rejected).
+ *
+ * This function is only part of the internal interface, not of the stable, public interface.
+ *
+ * @param {number} millis
+ * @param {Object} clock The clock option.
+ * @param {AbortSignal|null} signal
+ * @return {Promise}
+ */
+function sleep( millis, clock, signal ) {
+	return new Promise( ( resolve, reject ) => {
+		throwIfAborted( signal );
+		if ( signal === null ) {
+			clock.setTimeout( resolve, millis );
+			return;
+		}
+		const timeout = clock.setTimeout( () => {
+			signal.removeEventListener( 'abort', onAbort );
+			resolve();
+		}, millis );
+		signal.addEventListener( 'abort', onAbort );
+
+		function onAbort() {
+			clock.clearTimeout( timeout );
+			reject( signal.reason );
+		}
+	} );
+}
+
+/**
+ * Call all the hooks with the given name.
+ *
+ * @private
+ * @param {Session} session
+ * @param {Options} options The request options (not merged with the default options).
+ * @param {string} name The hook name, e.g. 'beforeRequest'.
+ * @param {Object} event The event to pass to the hooks.
+ * @return {Promise}
+ */
+async function callHooks( session, options, name, event ) {
+	const hooks = [
+		...( DEFAULT_OPTIONS.hooks || {} )[ name ] || [],
+		...( session.defaultOptions.hooks || {} )[ name ] || [],
+		...( options.hooks || {} )[ name ] || [],
+	];
+	for ( const hook of hooks ) {
+		await hook( event );
+	}
+}
+
+/**
+ * The numeric value of SpanStatusCode.ERROR in the OpenTelemetry API.
+ *
+ * @private
+ */
+const SPAN_STATUS_ERROR = 2;
+
+/**
+ * Run the given function in a new active OpenTelemetry span,
+ * recording any exception it throws and ending the span afterwards.
+ *
+ * @private
+ * @param {Object|null} tracer The tracer option; if null, no span is created.
+ * @param {string} name
+ * @param {Object} attributes
+ * @param {Function} fn Called with the span (or null), returns a promise.
+ * @return {Promise}
+ */
+function withSpan( tracer, name, attributes, fn ) {
+	if ( tracer === null ) {
+		return fn( null );
+	}
+	return tracer.startActiveSpan( name, { attributes }, async ( span ) => {
+		try {
+			return await fn( span );
+		} catch ( e ) {
+			span.recordException( e );
+			span.setStatus( { code: SPAN_STATUS_ERROR, message: e.message } );
+			throw e;
+		} finally {
+			span.end();
+		}
+	} );
+}
+
+/**
+ * Get the span attributes describing the given (transformed) request parameters.
+ *
+ * @private
+ * @param {Object} params
+ * @return {Object}
+ */
+function paramsSpanAttributes( params ) {
+	const attributes = {};
+	if ( 'action' in params ) {
+		attributes[ 'mediawiki.api.action' ] = params.action;
+	}
+	const modules = [];
+	for ( const moduleType of [ 'generator', 'list', 'prop', 'meta' ] ) {
+		if ( moduleType in params ) {
+			for ( const module of params[ moduleType ].split( '|' ) ) {
+				modules.push( `${ moduleType }=${ module }` );
+			}
+		}
+	}
+	if ( modules.length > 0 ) {
+		attributes[ 'mediawiki.api.modules' ] = modules;
+	}
+	return attributes;
+}
+
+/**
+ * Get the codes of the given errors or warnings, for span attributes.
+ *
+ * @private
+ * @param {Object[]} errorsOrWarnings
+ * @return {string[]}
+ */
+function spanCodes( errorsOrWarnings ) {
+	// formatversion=1 warnings have no code, only a module
+	return errorsOrWarnings.map( ( { code, module } ) => code || module );
+}
+
+const REDACTED = '[redacted]';
+
+/**
+ * Whether the given parameter should be redacted in log records (or fixtures).
+ *
+ * This function is only part of the internal interface, not of the stable, public interface.
+ *
+ * @param {string} name
+ * @param {string} tokenName The tokenName option.
+ * @return {boolean}
+ */
+function isSecretParam( name, tokenName ) {
+	return name === tokenName || /(?:token|password)$/.test( name );
+}
+
+/**
+ * Get the parameters of a request as they will be sent, with secrets redacted.
+ *
+ * @private
+ * @param {URL} url
+ * @param {URLSearchParams|FormData|null} body
+ * @param {string} tokenName The tokenName option.
+ * @return {Array} [redactedUrl, redactedParams]
+ */
+function redactRequest( url, body, tokenName ) {
+	const redactedUrl = new URL( url );
+	const redactedParams = {};
+	for ( const [ name, value ] of url.searchParams ) {
+		if ( isSecretParam( name, tokenName ) ) {
+			redactedUrl.searchParams.set( name, REDACTED );
+			redactedParams[ name ] = REDACTED;
+		} else {
+			redactedParams[ name ] = value;
+		}
+	}
+	if ( body !== null ) {
+		for ( const [ name, value ] of body.entries() ) {
+			if ( isSecretParam( name, tokenName ) ) {
+				redactedParams[ name ] = REDACTED;
+			} else if ( typeof value === 'string' ) {
+				redactedParams[ name ] = value;
+			} else {
+				redactedParams[ name ] = '[file]';
+			}
+		}
+	}
+	return [ redactedUrl.toString(), redactedParams ];
+}
+
+/**
+ * Get the request headers with secrets redacted.
+ *
+ * @private
+ * @param {Object} headers
+ * @return {Object}
+ */
+function redactHeaders( headers ) {
+	const redactedHeaders = {};
+	for ( const [ name, value ] of Object.entries( headers ) ) {
+		const lowerName = name.toLowerCase();
+		if ( lowerName === 'authorization' || lowerName === 'cookie' ) {
+			redactedHeaders[ name ] = REDACTED;
+		} else {
+			redactedHeaders[ name ] = value;
+		}
+	}
+	return redactedHeaders;
+}
+
+/**
+ * Get the logger option and clock of a hook event, if the logger option is set.
+ *
+ * @private
+ * @param {Object} event
+ * @return {Object|null} The merged options, or null if there is no logger.
+ */
+function loggingOptions( event ) {
+	const options = {
+		...DEFAULT_OPTIONS,
+		...event.session.defaultOptions,
+		...event.options,
+	};
+	return options.logger ? options : null;
+}
+
+/**
+ * @private
+ * @param {Object} options Merged options, with retryUntil set.
+ * @return {number}
+ */
+function retryBudgetSeconds( options ) {
+	return Math.max( 0, options.retryUntil - options.clock.performance.now() ) / 1000;
+}
+
+/**
+ * Default beforeRequest hook implementing the logger option.
+ * Remembers the start time of the attempt in the event.
+ *
+ * @private
+ * @param {Object} event
+ */
+function logBeforeRequest( event ) {
+	const options = loggingOptions( event );
+	if ( options !== null ) {
+		event[ 'm3api/logStart' ] = options.clock.performance.now();
+	}
+}
+
+/**
+ * Log an attempt that has finished (with or without a response).
+ *
+ * @private
+ * @param {Object} event
+ * @param {number|null} status
+ * @param {string[]} errorCodes
+ * @param {Error|null} error
+ */
+function logAttempt( event, status, errorCodes, error ) {
+	const options = loggingOptions( event );
+	if ( options === null || !( 'm3api/logStart' in event ) ) {
+		return;
+	}
+	const { url, fetchOptions: { method, headers, body } } = event;
+	const [ redactedUrl, redactedParams ] = redactRequest(
+		url, body || null, options.tokenName );
+	options.logger( {
+		type: 'attempt',
+		method,
+		url: redactedUrl,
+		params: redactedParams,
+		headers: redactHeaders( headers || {} ),
+		status,
+		errorCodes,
+		error,
+		durationSeconds: ( options.clock.performance.now() - event[ 'm3api/logStart' ] ) / 1000,
+		retryBudgetSeconds: retryBudgetSeconds( options ),
+	} );
+}
+
+/**
+ * Default afterResponse hook implementing the logger option.
+ *
+ * @private
+ * @param {Object} event
+ */
+function logAfterResponse( event ) {
+	const errorCodes = event.responseBody !== null ?
+		responseErrors( event.responseBody ).map( ( error ) => error.code ) :
+		[];
+	logAttempt( event, event.response.status, errorCodes, null );
+}
+
+/**
+ * Default onError hook implementing the logger option.
+ *
+ * @private
+ * @param {Object} event
+ */
+function logOnError( event ) {
+	logAttempt( event, null, [], event.error );
+}
+
+/**
+ * Default onRetry hook implementing the logger option.
+ *
+ * @private
+ * @param {Object} event
+ */
+function logOnRetry( event ) {
+	const options = loggingOptions( event );
+	if ( options === null ) {
+		return;
+	}
+	options.logger( {
+		type: 'retry',
+		reason: event.reason,
+		retryAfterSeconds: event.retryAfterSeconds,
+		retryBudgetSeconds: retryBudgetSeconds( options ),
+	} );
+}
+
+/**
+ * Retry a request after the given delay,
+ * if that delay is still before the retryUntil option.
+ *
  * @private
  * @param {Session} session
  * @param {Params} params
  * @param {Options} options
  * @param {number} retryAfterSeconds
+ * @param {string} reason The reason for the retry, for the onRetry hooks.
  * @return {Promise<Object>|null}
  */
-function retryIfBefore( session, params, options, retryAfterSeconds ) {
-	const { clock: {
-		performance,
-		setTimeout,
-	} } = {
+function retryIfBefore( session, params, options, retryAfterSeconds, reason ) {
+	const { clock, signal } = {
 		...DEFAULT_OPTIONS,
 		...session.defaultOptions,
 		...options,
 	};
-	const retryAfterMillis = 1000 * retryAfterSeconds;
-	if ( performance.now() + retryAfterMillis <= options.retryUntil ) {
-		return new Promise( ( resolve ) => {
-			setTimeout( resolve, retryAfterMillis );
-		} ).then( () => session.request( params, options ) );
+	// if the request will be throttled anyway, take that into account for the deadline
+	const retryAfterMillis = Math.max(
+		1000 * retryAfterSeconds,
+		session.getThrottleDelay( options ),
+	);
+	if ( clock.performance.now() + retryAfterMillis <= options.retryUntil ) {
+		session.stats.retries[ reason ] = ( session.stats.retries[ reason ] || 0 ) + 1;
+		if ( options.span ) {
+			options.span.addEvent( 'm3api.retry', {
+				'm3api.retry.reason': reason,
+				'm3api.retry.delay_seconds': retryAfterMillis / 1000,
+			} );
+		}
+		return callHooks( session, options, 'onRetry', {
+			session,
+			params,
+			options,
+			reason,
+			retryAfterSeconds: retryAfterMillis / 1000,
+		} )
+			.then( () => sleep( retryAfterMillis, clock, signal ) )
+			.then( () => session.request( params, options ) );
 	} else {
 		return null;
 	}
 }
 
+/**
+ * Retry a request after a delay determined by exponential backoff,
+ * if that delay is still before the retryUntil option.
+ *
+ * @private
+ * @param {Session} session
+ * @param {Params} params
+ * @param {Options} options
+ * @param {string} reason The reason for the retry, for the onRetry hooks.
+ * @return {Promise<Object>|null}
+ */
+function retryWithBackoff( session, params, options, reason ) {
+	const {
+		retryBackoffInitialSeconds,
+		retryBackoffMaxSeconds,
+		backoffAttempts = 0,
+	} = {
+		...DEFAULT_OPTIONS,
+		...session.defaultOptions,
+		...options,
+	};
+	const maxDelaySeconds = Math.min(
+		retryBackoffMaxSeconds,
+		retryBackoffInitialSeconds * Math.pow( 2, backoffAttempts ),
+	);
+	// “equal jitter”: wait for at least half of the delay, plus a random part of the other half
+	const delaySeconds = maxDelaySeconds / 2 * ( 1 + Math.random() );
+	return retryIfBefore( session, params, {
+		...options,
+		backoffAttempts: backoffAttempts + 1,
+	}, delaySeconds, reason );
+}
+
+/**
+ * Log in again and retry a request, according to the relogin option,
+ * unless this was already attempted for this request.
+ *
+ * @private
+ * @param {Session} session
+ * @param {Params} params
+ * @param {Options} options
+ * @return {Promise<Object|null>|null}
+ */
+function reloginAndRetry( session, params, options ) {
+	const { relogin, reloginAttempted = false, clock } = {
+		...DEFAULT_OPTIONS,
+		...session.defaultOptions,
+		...options,
+	};
+	if ( reloginAttempted || relogin === false ||
+		relogin === true && session.loginCredentials === null ||
+		clock.performance.now() > options.retryUntil
+	) {
+		return null;
+	}
+	return session.relogin( options ).then( () => retryIfBefore( session, params, {
+		...options,
+		reloginAttempted: true,
+	}, 0 /* no delay */, 'relogin' ) );
+}
+
+/**
+ * Get the lag reported by a maxlag error, if any.
+ *
+ * @private
+ * @param {Object} error The maxlag error, in any errorformat.
+ * @return {number|null} The lag in seconds, or null if the error doesn’t include it.
+ */
+function maxlagErrorLag( error ) {
+	// errorformat=bc has the lag directly in the error, other errorformats in the error data
+	const lag = 'lag' in error ? error.lag : ( error.data || {} ).lag;
+	return typeof lag === 'number' ? lag : null;
+}
+
 /**
  * Return whether the given warning is *not* a truncatedresult warning.
  *
@@ -429,66 +1128,532 @@ class ApiWarnings extends Error {
 }
 
 /**
- * Decorate the given warn handler so that warnings about truncated results are dropped.
+ * An Error used when a single HTTP attempt of an API request takes too long.
  *
- * Most of the time, you should use the dropTruncatedResultWarning request option
- * instead of using this function directly.
- *
- * @param {Function} warn The original warn function.
- * @return {Function} A new function that, when called,
- * will call the original warn functions,
- * but with all truncated result warnings dropped;
- * when there are no other warnings, the original function is not called.
- */
-function makeWarnDroppingTruncatedResultWarning( warn ) {
-	return function ( error ) {
-		if ( error instanceof ApiWarnings ) {
-			const warnings = error.warnings.filter( notTruncatedResultWarning );
-			if ( warnings.length > 0 ) {
-				return warn( warnings.length === error.warnings.length ?
-					error :
-					new ApiWarnings( warnings ) );
-			}
-		} else {
-			return warn( error );
-		}
-	};
-}
-
-/**
- * An Error used as a warning when a request with no custom user agent is made.
+ * This error is thrown if the timeoutSeconds option is set,
+ * an attempt takes longer than that,
+ * and there is no time left to retry the request.
  */
-class DefaultUserAgentWarning extends Error {
+class RequestTimeoutError extends Error {
 
 	/**
-	 * @param {...*} params Any additional params for the Error constructor,
-	 * not including the message (which is hard-coded).
+	 * @param {number} timeoutSeconds The timeout that was exceeded.
+	 * @param {...*} params Any other params for the Error constructor.
+	 * (Not including the message: it is generated from the timeout.)
 	 */
-	constructor( ...params ) {
-		super(
-			'm3api: Sending request with default User-Agent. ' +
-				'You should set the userAgent request option, ' +
-				'either as a default option for the session (third constructor argument) ' +
-				'or as a custom option for each request (second request argument). ' +
-				'See w.wiki/9mMA for the User-Agent policy.',
-			...params,
-		);
+	constructor( timeoutSeconds, ...params ) {
+		super( `API request timed out after ${ timeoutSeconds } seconds`, ...params );
 
 		if ( Error.captureStackTrace ) {
-			Error.captureStackTrace( this, DefaultUserAgentWarning );
+			Error.captureStackTrace( this, RequestTimeoutError );
 		}
 
-		this.name = 'DefaultUserAgentWarning';
+		this.name = 'RequestTimeoutError';
+
+		/**
+		 * The timeout that was exceeded, in seconds.
+		 *
+		 * @member {number}
+		 */
+		this.timeoutSeconds = timeoutSeconds;
 	}
 
 }
 
 /**
- * A session to make API requests.
+ * Start a timeout for a single HTTP attempt.
+ *
+ * @private
+ * @param {number|null} timeoutSeconds
+ * @param {Object} clock The clock option.
+ * @param {AbortSignal|null} signal The signal option, if any.
+ * @return {Object} An object with a `signal` member
+ * (an AbortSignal that is aborted when either the timeout expires or the signal option is aborted,
+ * or just the signal option if there is no timeout),
+ * a `timedOut` member (whether the timeout has expired),
+ * and a `clear()` method (which must be called once the attempt is over).
  */
-class Session {
+function startTimeout( timeoutSeconds, clock, signal ) {
+	if ( timeoutSeconds === null ) {
+		return {
+			signal,
+			timedOut: false,
+			clear() {},
+		};
+	}
 
-	/**
+	// AbortController is not supported by some older browsers,
+	// but those can still use m3api as long as they don’t use the timeoutSeconds option
+	// eslint-disable-next-line compat/compat
+	const controller = new AbortController();
+	const attemptTimeout = {
+		signal: controller.signal,
+		timedOut: false,
+		clear,
+	};
+	const timeout = clock.setTimeout( () => {
+		attemptTimeout.timedOut = true;
+		controller.abort( new RequestTimeoutError( timeoutSeconds ) );
+	}, 1000 * timeoutSeconds );
+	const onAbort = () => controller.abort( signal.reason );
+	if ( signal !== null ) {
+		if ( signal.aborted ) {
+			onAbort();
+		} else {
+			signal.addEventListener( 'abort', onAbort );
+		}
+	}
+	return attemptTimeout;
+
+	function clear() {
+		clock.clearTimeout( timeout );
+		if ( signal !== null ) {
+			signal.removeEventListener( 'abort', onAbort );
+		}
+	}
+}
+
+/**
+ * The messages of the TypeErrors with which browsers reject fetch() on network errors
+ * (Chromium, Firefox and Safari, respectively).
+ *
+ * @private
+ */
+const BROWSER_NETWORK_ERROR_MESSAGES = [
+	'Failed to fetch',
+	'NetworkError when attempting to fetch resource.',
+	'Load failed',
+];
+
+/**
+ * The codes of the errors underlying a Node.js (undici) fetch failure
+ * which are likely to be transient, so that the request may be retried.
+ * Other errors, such as ENOTFOUND (unknown domain) or invalid TLS certificates,
+ * are unlikely to go away by themselves.
+ *
+ * @private
+ */
+const TRANSIENT_NETWORK_ERROR_CODES = [
+	'ECONNREFUSED',
+	'ECONNRESET',
+	'EPIPE',
+	'ETIMEDOUT',
+	'EAI_AGAIN',
+	'ENETUNREACH',
+	'EHOSTUNREACH',
+	'UND_ERR_SOCKET',
+	'UND_ERR_CLOSED',
+	'UND_ERR_CONNECT_TIMEOUT',
+	'UND_ERR_HEADERS_TIMEOUT',
+	'UND_ERR_BODY_TIMEOUT',
+];
+
+/**
+ * Whether an exception thrown while fetching a response was caused by a transient network error.
+ *
+ * fetch() also rejects with a TypeError if the request could not be constructed
+ * (e.g. because of an invalid header value); such errors are not network errors,
+ * and retrying the request would not help.
+ *
+ * @private
+ * @param {*} e
+ * @return {boolean}
+ */
+function isNetworkError( e ) {
+	if ( !( e instanceof TypeError ) ) {
+		return false;
+	}
+	// Node.js (undici) rejects with TypeError( 'fetch failed' ) with the underlying error as cause
+	if ( e.cause !== undefined && e.cause !== null ) {
+		return TRANSIENT_NETWORK_ERROR_CODES.includes( e.cause.code );
+	}
+	return BROWSER_NETWORK_ERROR_MESSAGES.includes( e.message );
+}
+
+/**
+ * Get the number of bytes of the given string in UTF-8.
+ *
+ * @private
+ * @param {string} string
+ * @return {number}
+ */
+function utf8ByteLength( string ) {
+	return new TextEncoder().encode( string ).byteLength;
+}
+
+/**
+ * Decorate the given warn handler so that warnings about truncated results are dropped.
+ *
+ * Most of the time, you should use the dropTruncatedResultWarning request option
+ * instead of using this function directly.
+ *
+ * @param {Function} warn The original warn function.
+ * @return {Function} A new function that, when called,
+ * will call the original warn functions,
+ * but with all truncated result warnings dropped;
+ * when there are no other warnings, the original function is not called.
+ */
+function makeWarnDroppingTruncatedResultWarning( warn ) {
+	return function ( error ) {
+		if ( error instanceof ApiWarnings ) {
+			const warnings = error.warnings.filter( notTruncatedResultWarning );
+			if ( warnings.length > 0 ) {
+				return warn( warnings.length === error.warnings.length ?
+					error :
+					new ApiWarnings( warnings ) );
+			}
+		} else {
+			return warn( error );
+		}
+	};
+}
+
+/**
+ * An Error used as a warning when a request with no custom user agent is made.
+ */
+class DefaultUserAgentWarning extends Error {
+
+	/**
+	 * @param {...*} params Any additional params for the Error constructor,
+	 * not including the message (which is hard-coded).
+	 */
+	constructor( ...params ) {
+		super(
+			'm3api: Sending request with default User-Agent. ' +
+				'You should set the userAgent request option, ' +
+				'either as a default option for the session (third constructor argument) ' +
+				'or as a custom option for each request (second request argument). ' +
+				'See w.wiki/9mMA for the User-Agent policy.',
+			...params,
+		);
+
+		if ( Error.captureStackTrace ) {
+			Error.captureStackTrace( this, DefaultUserAgentWarning );
+		}
+
+		this.name = 'DefaultUserAgentWarning';
+	}
+
+}
+
+/**
+ * An Error used as a warning when a request is retried after a maxlag error.
+ *
+ * This warning is only reported if the maxlag request option is set.
+ */
+class MaxlagWarning extends Error {
+
+	/**
+	 * @param {number|null} lag The lag reported by the API (in seconds), if known.
+	 * @param {number} retryAfterSeconds How long m3api will wait before retrying the request.
+	 * @param {...*} params Any additional params for the Error constructor,
+	 * not including the message (which is generated from the other arguments).
+	 */
+	constructor( lag, retryAfterSeconds, ...params ) {
+		super(
+			'm3api: The wiki is lagged' +
+				( lag !== null ? ` by ${ lag } seconds` : '' ) +
+				`, retrying request in ${ retryAfterSeconds } seconds.`,
+			...params,
+		);
+
+		if ( Error.captureStackTrace ) {
+			Error.captureStackTrace( this, MaxlagWarning );
+		}
+
+		this.name = 'MaxlagWarning';
+
+		/**
+		 * The lag reported by the API, in seconds, or null if unknown.
+		 *
+		 * @member {number|null}
+		 */
+		this.lag = lag;
+
+		/**
+		 * How long m3api will wait before retrying the request, in seconds.
+		 *
+		 * @member {number}
+		 */
+		this.retryAfterSeconds = retryAfterSeconds;
+	}
+
+}
+
+/**
+ * An Error thrown by {@link Session#login} if logging in failed.
+ */
+class LoginError extends Error {
+
+	/**
+	 * @param {string} result The result or status of the login,
+	 * e.g. 'Failed' (action=login) or 'FAIL' (action=clientlogin).
+	 * @param {string|Object|null} reason The reason given by the API, if any.
+	 * @param {Object} response The login or clientlogin part of the API response.
+	 * @param {...*} params Any additional params for the Error constructor,
+	 * not including the message (which is generated from the other arguments).
+	 */
+	constructor( result, reason, response, ...params ) {
+		super(
+			`m3api: Login failed (${ result })` + ( reason ?
+				`: ${ typeof reason === 'string' ? reason : JSON.stringify( reason ) }` :
+				'' ),
+			...params,
+		);
+
+		if ( Error.captureStackTrace ) {
+			Error.captureStackTrace( this, LoginError );
+		}
+
+		this.name = 'LoginError';
+
+		/**
+		 * The result or status of the login, e.g. 'Failed' or 'FAIL'.
+		 *
+		 * @member {string}
+		 */
+		this.result = result;
+
+		/**
+		 * The reason given by the API, if any.
+		 *
+		 * @member {string|Object|null}
+		 */
+		this.reason = reason;
+
+		/**
+		 * The login or clientlogin part of the API response.
+		 *
+		 * @member {Object}
+		 */
+		this.response = response;
+	}
+
+}
+
+/**
+ * An Error thrown by {@link Session#upload} if the upload did not succeed,
+ * either due to upload warnings (e.g. the file is a duplicate or already exists)
+ * or because the asynchronous processing of the upload failed.
+ */
+class UploadError extends Error {
+
+	/**
+	 * @param {Object} result The upload part of the API response.
+	 * @param {...*} params Any additional params for the Error constructor,
+	 * not including the message (which is generated from the result).
+	 */
+	constructor( result, ...params ) {
+		super(
+			`m3api: Upload failed (${ result.result })` + ( result.warnings ?
+				`: ${ Object.keys( result.warnings ).join( ', ' ) }` :
+				'' ),
+			...params,
+		);
+
+		if ( Error.captureStackTrace ) {
+			Error.captureStackTrace( this, UploadError );
+		}
+
+		this.name = 'UploadError';
+
+		/**
+		 * The upload part of the API response.
+		 * If the upload failed due to warnings,
+		 * its `warnings` member contains them (e.g. `duplicate` or `exists`),
+		 * and its `filekey` member can be used to publish the stashed file anyway
+		 * (with `ignorewarnings: true`).
+		 *
+		 * @member {Object}
+		 */
+		this.result = result;
+	}
+
+}
+
+/**
+ * Report to the warn handler that a request will be retried due to maxlag,
+ * if the maxlag option is set.
+ *
+ * @private
+ * @param {Session} session
+ * @param {Options} options
+ * @param {number|null} lag
+ * @param {number} retryAfterSeconds
+ */
+function warnMaxlag( session, options, lag, retryAfterSeconds ) {
+	const { maxlag, warn } = {
+		...DEFAULT_OPTIONS,
+		...session.defaultOptions,
+		...options,
+	};
+	if ( maxlag !== null ) {
+		warn( new MaxlagWarning( lag, retryAfterSeconds ) );
+	}
+}
+
+/**
+ * A simple in-memory {@link ResponseCache},
+ * which drops the least recently used entries when it grows too large.
+ *
+ * Entries are stored as JSON strings,
+ * so that callers cannot modify the cached entries by accident.
+ */
+class MemoryCache {
+
+	/**
+	 * @param {number} [maxEntries] The maximum number of entries to keep.
+	 */
+	constructor( maxEntries = 1000 ) {
+		/**
+		 * @private
+		 * @member {number}
+		 */
+		this.maxEntries = maxEntries;
+
+		/**
+		 * The entries, in order from least to most recently used.
+		 *
+		 * @private
+		 * @member {Map<string, string>}
+		 */
+		this.entries = new Map();
+	}
+
+	/**
+	 * @param {string} key
+	 * @return {Object|undefined}
+	 */
+	get( key ) {
+		const entry = this.entries.get( key );
+		if ( entry === undefined ) {
+			return undefined;
+		}
+		// move to the end (most recently used)
+		this.entries.delete( key );
+		this.entries.set( key, entry );
+		return JSON.parse( entry );
+	}
+
+	/**
+	 * @param {string} key
+	 * @param {Object} entry
+	 */
+	set( key, entry ) {
+		this.entries.delete( key );
+		this.entries.set( key, JSON.stringify( entry ) );
+		while ( this.entries.size > this.maxEntries ) {
+			this.entries.delete( this.entries.keys().next().value );
+		}
+	}
+
+	/**
+	 * @param {string} key
+	 */
+	delete( key ) {
+		this.entries.delete( key );
+	}
+
+	clear() {
+		this.entries.clear();
+	}
+
+	/**
+	 * The number of entries currently in the cache.
+	 *
+	 * @type {number}
+	 */
+	get size() {
+		return this.entries.size;
+	}
+
+}
+
+/**
+ * Counters about the requests made by a {@link Session},
+ * available as {@link Session#stats}, e.g. for monitoring.
+ *
+ * The counters only ever increase, until {@link SessionStats#reset} is called.
+ * (For more detailed information, see the hooks and logger options.)
+ */
+class SessionStats {
+
+	constructor() {
+		this.reset();
+	}
+
+	/**
+	 * Reset all counters to zero.
+	 */
+	reset() {
+		/**
+		 * The number of HTTP requests sent, including automatic retries.
+		 *
+		 * @member {number}
+		 */
+		this.requests = 0;
+
+		/**
+		 * The number of automatic retries, by reason
+		 * (see the onRetry {@link Hook} for the possible reasons).
+		 *
+		 * @member {Object.<string, number>}
+		 */
+		this.retries = {
+			'retry-after': 0,
+			maxlag: 0,
+			readonly: 0,
+			badtoken: 0,
+			relogin: 0,
+			'server-error': 0,
+			'network-error': 0,
+			timeout: 0,
+		};
+
+		/**
+		 * The number of bytes received in API response bodies,
+		 * after decompression (if the response was compressed);
+		 * bodies of other responses (e.g. HTTP errors) are not counted.
+		 *
+		 * @member {number}
+		 */
+		this.bytesReceived = 0;
+
+		/**
+		 * The number of requests answered from the cache
+		 * (see the cacheTtlSeconds option), without an HTTP request.
+		 *
+		 * @member {number}
+		 */
+		this.cacheHits = 0;
+
+		/**
+		 * The number of API warnings passed to the warn handler.
+		 * (Warnings about truncated results that were dropped
+		 * because of the dropTruncatedResultWarning option are not counted.)
+		 *
+		 * @member {number}
+		 */
+		this.warnings = 0;
+
+		/**
+		 * The number of requests that were combined into another request,
+		 * i.e. the number of HTTP requests saved by combining requests.
+		 * Only used by sessions that combine requests (i.e. not by the base Session class).
+		 *
+		 * @member {number}
+		 */
+		this.combinedRequests = 0;
+	}
+
+}
+
+/**
+ * A session to make API requests.
+ */
+class Session {
+
+	/**
 	 * @param {string} apiUrl The URL to the api.php endpoint,
 	 * such as {@link https://en.wikipedia.org/w/api.php}.
 	 * Can also be just the domain, such as en.wikipedia.org.
@@ -531,8 +1696,11 @@ class Session {
 
 		/**
 		 * Saved/cached tokens.
+		 * They are cleared automatically when the session notices that the user changed
+		 * (after {@link Session#login}, {@link Session#logout},
+		 * or a meta=userinfo response with a different user name).
 		 * Can be modified after construction,
-		 * particularly to call `clear()` after logging in or out;
+		 * particularly to call `clear()` after logging in or out by other means;
 		 * apart from that, however,
 		 * using the tokenType/tokenName options or {@link Session#getToken}
 		 * is generally more convenient.
@@ -540,6 +1708,97 @@ class Session {
 		 * @member {Map}
 		 */
 		this.tokens = new Map();
+
+		/**
+		 * The name of the user as which this session was last seen to make requests,
+		 * according to the login helpers or any meta=userinfo response;
+		 * null if unknown.
+		 * If it changes, the tokens are invalidated.
+		 *
+		 * @private
+		 * @member {string|null}
+		 */
+		this.userName = null;
+
+		/**
+		 * The earliest time (in terms of the clock option)
+		 * at which the next request may be sent, by method,
+		 * according to the throttleGetSeconds and throttlePostSeconds options.
+		 *
+		 * @private
+		 * @member {Map<string, number>}
+		 */
+		this.nextRequestTimes = new Map();
+
+		/**
+		 * The number of requests currently in flight,
+		 * for the maxConcurrentRequests option.
+		 *
+		 * @private
+		 * @member {number}
+		 */
+		this.activeRequests = 0;
+
+		/**
+		 * Requests waiting for another request to finish,
+		 * because of the maxConcurrentRequests option.
+		 *
+		 * @private
+		 * @member {Object[]}
+		 */
+		this.requestQueue = [];
+
+		/**
+		 * Counters about the requests made by this session.
+		 *
+		 * @member {SessionStats}
+		 */
+		this.stats = new SessionStats();
+
+		/**
+		 * The default cache for the cacheTtlSeconds option,
+		 * used if the cache option is not set.
+		 *
+		 * @private
+		 * @member {MemoryCache}
+		 */
+		this.memoryCache = new MemoryCache();
+
+		/**
+		 * Validators (ETag and Last-Modified) and bodies of earlier responses, by URL,
+		 * for the conditionalRequests option.
+		 *
+		 * @private
+		 * @member {MemoryCache}
+		 */
+		this.conditionalResponses = new MemoryCache();
+
+		/**
+		 * The username, password and options of the last successful {@link Session#login},
+		 * for the relogin option; null if the session is not logged in with that method.
+		 *
+		 * @private
+		 * @member {Object|null}
+		 */
+		this.loginCredentials = null;
+
+		/**
+		 * Whether {@link Session#login} added assert=user to the default parameters
+		 * (so that {@link Session#logout} can remove it again).
+		 *
+		 * @private
+		 * @member {boolean}
+		 */
+		this.addedAssert = false;
+
+		/**
+		 * The promise of the current login due to the relogin option, if any,
+		 * so that concurrent failed requests only cause one login.
+		 *
+		 * @private
+		 * @member {Promise|null}
+		 */
+		this.pendingRelogin = null;
 	}
 
 	/**
@@ -560,29 +1819,44 @@ class Session {
 			tokenType,
 			tokenName,
 			maxRetriesSeconds,
-			warn,
-			dropTruncatedResultWarning,
-			clock: {
-				performance,
-			},
-			retryUntil = performance.now() + maxRetriesSeconds * 1000,
+			cacheTtlSeconds,
+			bypassCache,
+			conditionalRequests,
+			signal,
+			clock,
+			tracer,
+			span,
+			retryUntil = clock.performance.now() + maxRetriesSeconds * 1000,
 		} = {
 			...DEFAULT_OPTIONS,
 			...this.defaultOptions,
 			...options,
 		};
+		if ( tracer !== null && span === null ) {
+			return this.traceRequest( params, options, tracer );
+		}
 		const retryOptions = { ...options, retryUntil };
+		const responseCache = this.getResponseCache( options );
+		throwIfAborted( signal );
 
 		let tokenParams = null;
 		if ( tokenType !== null ) {
 			tokenParams = { [ tokenName ]: await this.getToken( tokenType, retryOptions ) };
 		}
-		const allParams = this.transformParams( {
-			...this.defaultParams,
-			...tokenParams,
-			...params,
-			format: 'json',
-		} );
+		const allParams = this.getAllParams( params, options, tokenParams );
+
+		let cacheKey = null;
+		if ( cacheTtlSeconds > 0 && method === 'GET' && tokenType === null ) {
+			cacheKey = await this.getCacheKey( allParams, options );
+			if ( !bypassCache ) {
+				const entry = await responseCache.get( cacheKey );
+				if ( entry !== undefined && entry.expires > clock.Date.now() ) {
+					this.stats.cacheHits++;
+					return entry.response;
+				}
+			}
+		}
+
 		const requestHeaders = this.getRequestHeaders( options );
 
 		const url = new URL( this.apiUrl );
@@ -599,54 +1873,549 @@ class Session {
 			let body1 = new URLSearchParams();
 			const body2 = new FormData();
 			for ( const [ paramName, paramValue ] of Object.entries( bodyParams ) ) {
-				if ( body1 !== null && typeof paramValue === 'string' ) {
-					body1.append( paramName, paramValue );
+				if ( typeof paramValue === 'string' ) {
+					if ( body1 !== null ) {
+						body1.append( paramName, paramValue );
+					}
+					body2.append( paramName, paramValue );
 				} else {
 					body1 = null;
+					body2.append( paramName, await this.prepareFileParam( paramValue ) );
 				}
-				body2.append( paramName, paramValue );
 			}
 			requestBody = body1 !== null ? body1 : body2;
 		} else {
 			throw new Error( `Unknown request method: ${ method }` );
 		}
 
-		const response = await this.fetch( url, {
-			method,
-			headers: requestHeaders,
-			body: requestBody,
-		} );
+		let conditionalKey = null;
+		let conditionalResponse;
+		if ( conditionalRequests && method === 'GET' ) {
+			conditionalKey = url.toString();
+			conditionalResponse = this.conditionalResponses.get( conditionalKey );
+			if ( conditionalResponse !== undefined ) {
+				if ( conditionalResponse.etag !== null ) {
+					requestHeaders[ 'if-none-match' ] = conditionalResponse.etag;
+				}
+				if ( conditionalResponse.lastModified !== null ) {
+					requestHeaders[ 'if-modified-since' ] = conditionalResponse.lastModified;
+				}
+			}
+		}
+
+		await this.throttle( options );
+
+		const event = {
+			session: this,
+			params,
+			options: retryOptions,
+			url,
+			fetchOptions: {
+				method,
+				headers: requestHeaders,
+				body: requestBody,
+			},
+		};
+		await callHooks( this, options, 'beforeRequest', event );
+		this.stats.requests++;
+		let response, responseBody;
+		try {
+			( { response, responseBody } = await this.fetchAttempt(
+				event.url, event.fetchOptions, options ) );
+		} catch ( e ) {
+			event.error = e;
+			await callHooks( this, options, 'onError', event );
+			return this.handleFetchError( e, params, retryOptions );
+		}
+		if ( conditionalKey !== null ) {
+			responseBody = this.handleConditionalResponse(
+				conditionalKey, conditionalResponse, response, responseBody );
+		}
+		event.response = response;
+		event.responseBody = responseBody;
+		await callHooks( this, options, 'afterResponse', event );
+		const {
+			status,
+			headers: responseHeaders,
+		} = response;
+
+		if ( responseHeaders.has( 'retry-after' ) ) {
+			const retryAfterSeconds = parseInt( responseHeaders.get( 'retry-after' ) );
+			const retryPromise = retryIfBefore(
+				this, params, retryOptions, retryAfterSeconds, 'retry-after' );
+			if ( retryPromise !== null ) {
+				const maxlagError = responseBody !== null &&
+					responseErrors( responseBody ).find( ( error ) => error.code === 'maxlag' );
+				if ( maxlagError ) {
+					warnMaxlag( this, options, maxlagErrorLag( maxlagError ), retryAfterSeconds );
+				}
+				return retryPromise;
+			}
+		}
+
+		if ( responseBody === null ) {
+			const httpErrorHandlers = [
+				...DEFAULT_OPTIONS.httpErrorHandlers || [],
+				...this.defaultOptions.httpErrorHandlers || [],
+				...options.httpErrorHandlers || [],
+			];
+			for ( const handler of httpErrorHandlers ) {
+				const handlerResult = await handler(
+					this, params, retryOptions, response );
+				if ( handlerResult !== null ) {
+					return handlerResult;
+				}
+			}
+			throw new Error( `API request returned non-200 HTTP status code: ${ status }` );
+		}
+
+		const result = await this.handleResponseBody(
+			responseBody, response, params, options, retryOptions );
+		if ( cacheKey !== null && result === responseBody ) {
+			// (if result !== responseBody, the request was retried and already cached)
+			await responseCache.set( cacheKey, {
+				expires: clock.Date.now() + cacheTtlSeconds * 1000,
+				response: responseBody,
+			} );
+		}
+		return result;
+	}
+
+	/**
+	 * Remember the validators of a response for the conditionalRequests option,
+	 * or use the remembered response body if the server responded with 304 Not Modified.
+	 *
+	 * @private
+	 * @param {string} conditionalKey The request URL.
+	 * @param {Object|undefined} conditionalResponse The remembered response, if any.
+	 * @param {Response} response
+	 * @param {Object|null} responseBody
+	 * @return {Object|null} The response body to use.
+	 */
+	handleConditionalResponse( conditionalKey, conditionalResponse, response, responseBody ) {
+		if ( response.status === 304 && conditionalResponse !== undefined ) {
+			return conditionalResponse.body;
+		}
+		const etag = response.headers.get( 'etag' );
+		const lastModified = response.headers.get( 'last-modified' );
+		if (
+			response.status === 200 &&
+			responseBody !== null &&
+			responseErrors( responseBody ).length === 0 &&
+			( etag !== null || lastModified !== null )
+		) {
+			this.conditionalResponses.set( conditionalKey, {
+				etag,
+				lastModified,
+				body: responseBody,
+			} );
+		}
+		return responseBody;
+	}
+
+	/**
+	 * Get the full parameters of a request, as they are sent to the API.
+	 *
+	 * @private
+	 * @param {Params} params
+	 * @param {Options} options
+	 * @param {Object|null} tokenParams
+	 * @return {Object}
+	 */
+	getAllParams( params, options, tokenParams ) {
+		const {
+			method,
+			maxlag,
+			maxlagAllRequests,
+		} = {
+			...DEFAULT_OPTIONS,
+			...this.defaultOptions,
+			...options,
+		};
+		let maxlagParams = null;
+		if ( maxlag !== null && ( method !== 'GET' || maxlagAllRequests ) ) {
+			maxlagParams = { maxlag };
+		}
+		return this.transformParams( {
+			...maxlagParams,
+			...this.defaultParams,
+			...tokenParams,
+			...params,
+			format: 'json',
+		} );
+	}
+
+	/**
+	 * Get the cache key for the given (full) request parameters.
+	 * Sessions with the same API URL and the same user can share cache entries;
+	 * the user is identified by the user name (if known to the session)
+	 * and a hash of the Authorization header (if any).
+	 *
+	 * @private
+	 * @param {Object} allParams
+	 * @param {Options} options
+	 * @return {Promise<string>}
+	 */
+	async getCacheKey( allParams, options ) {
+		const sortedParams = new URLSearchParams();
+		for ( const key of Object.keys( allParams ).sort() ) {
+			sortedParams.append( key, allParams[ key ] );
+		}
+		const identity = new URLSearchParams();
+		if ( this.userName !== null ) {
+			identity.append( 'user', this.userName );
+		}
+		const authorization = this.getAuthorizationHeader( options );
+		if ( authorization ) {
+			identity.append( 'authorization', await this.digest( authorization ) );
+		}
+		const key = `${ this.apiUrl }?${ sortedParams }`;
+		return String( identity ) !== '' ? `${ key }#${ identity }` : key;
+	}
+
+	/**
+	 * @private
+	 * @param {Options} options
+	 * @return {ResponseCache}
+	 */
+	getResponseCache( options ) {
+		const { cache } = {
+			...DEFAULT_OPTIONS,
+			...this.defaultOptions,
+			...options,
+		};
+		return cache !== null ? cache : this.memoryCache;
+	}
+
+	/**
+	 * Remove the cached response for a request from the cache.
+	 *
+	 * @param {Params} params The request parameters, as for {@link Session#request}.
+	 * @param {Options} [options] The request options, as for {@link Session#request}
+	 * (only used to determine the cache and any parameters added by m3api,
+	 * e.g. the maxlag option with maxlagAllRequests).
+	 * @return {Promise}
+	 */
+	async invalidateCache( params, options = {} ) {
+		const cacheKey = await this.getCacheKey(
+			this.getAllParams( params, options, null ),
+			options,
+		);
+		await this.getResponseCache( options ).delete( cacheKey );
+	}
+
+	/**
+	 * Remove all cached responses from the cache.
+	 *
+	 * Note that, if the cache option is set to a cache shared with other sessions,
+	 * this also removes those sessions’ cached responses.
+	 *
+	 * @param {Options} [options] The options specifying the cache.
+	 * @return {Promise}
+	 */
+	async clearCache( options = {} ) {
+		await this.getResponseCache( options ).clear();
+	}
+
+	/**
+	 * Make a request inside a new span for the tracer option.
+	 *
+	 * @private
+	 * @param {Params} params
+	 * @param {Options} options
+	 * @param {Object} tracer
+	 * @return {Promise<Object>}
+	 */
+	traceRequest( params, options, tracer ) {
+		const attributes = paramsSpanAttributes( this.transformParams( {
+			...this.defaultParams,
+			...params,
+		} ) );
+		return withSpan( tracer, 'm3api request', attributes, async ( span ) => {
+			try {
+				const response = await this.request( params, { ...options, span } );
+				const warnings = responseWarnings( response );
+				if ( warnings.length > 0 ) {
+					span.setAttribute( 'mediawiki.api.warning_codes', spanCodes( warnings ) );
+				}
+				return response;
+			} catch ( e ) {
+				if ( e instanceof ApiErrors ) {
+					span.setAttribute( 'mediawiki.api.error_codes', spanCodes( e.errors ) );
+				}
+				throw e;
+			}
+		} );
+	}
+
+	/**
+	 * Make a single HTTP attempt for a request.
+	 *
+	 * This takes care of the timeoutSeconds and maxConcurrentRequests options.
+	 * The response body is read as JSON if the response is an API response
+	 * (i.e. it has status 200 or a MediaWiki-API-Error header);
+	 * otherwise, it is left unread (for any HTTP error handlers).
+	 *
+	 * @private
+	 * @param {URL} url
+	 * @param {RequestInit} fetchOptions Without the signal.
+	 * @param {Options} options
+	 * @return {Promise<Object>} An object with `response` and `responseBody` members
+	 * (the latter null if the body was not read).
+	 * @throws {RequestTimeoutError} If the attempt timed out.
+	 */
+	async fetchAttempt( url, fetchOptions, options ) {
+		const {
+			timeoutSeconds,
+			signal,
+			clock,
+			tracer,
+			tokenName,
+		} = {
+			...DEFAULT_OPTIONS,
+			...this.defaultOptions,
+			...options,
+		};
+
+		let attributes = {};
+		if ( tracer !== null ) {
+			const [ redactedUrl ] = redactRequest( url, null, tokenName );
+			attributes = {
+				'http.request.method': fetchOptions.method,
+				'url.full': redactedUrl,
+			};
+		}
+		return withSpan( tracer, 'm3api attempt', attributes, async ( span ) => {
+			await this.acquireRequestSlot( options );
+			const attemptTimeout = startTimeout( timeoutSeconds, clock, signal );
+			try {
+				if ( attemptTimeout.signal !== null ) {
+					fetchOptions = { ...fetchOptions, signal: attemptTimeout.signal };
+				}
+				const response = await this.fetchWithOptions( url, fetchOptions, options );
+				let responseBody = null;
+				if ( response.status === 200 || response.headers.has( 'mediawiki-api-error' ) ) {
+					const text = await response.text();
+					this.stats.bytesReceived += utf8ByteLength( text );
+					responseBody = JSON.parse( text );
+				}
+				if ( span !== null ) {
+					span.setAttribute( 'http.response.status_code', response.status );
+					const errors = responseBody !== null ? responseErrors( responseBody ) : [];
+					if ( errors.length > 0 ) {
+						span.setAttribute( 'mediawiki.api.error_codes', spanCodes( errors ) );
+					}
+				}
+				return { response, responseBody };
+			} catch ( e ) {
+				if ( attemptTimeout.timedOut ) {
+					throw attemptTimeout.signal.reason;
+				}
+				throw e;
+			} finally {
+				attemptTimeout.clear();
+				this.releaseRequestSlot();
+			}
+		} );
+	}
+
+	/**
+	 * The number of requests currently queued because of the maxConcurrentRequests option,
+	 * i.e. waiting for another request of this session to finish.
+	 * Useful for monitoring.
+	 *
+	 * @type {number}
+	 */
+	get queuedRequests() {
+		return this.requestQueue.length;
+	}
+
+	/**
+	 * Wait until a request with these options may be sent,
+	 * according to the maxConcurrentRequests option.
+	 * Each call must be followed by a call to {@link Session#releaseRequestSlot}
+	 * once the request is done (unless the returned promise was rejected).
+	 *
+	 * @private
+	 * @param {Options} options
+	 * @return {Promise}
+	 */
+	acquireRequestSlot( options ) {
+		const {
+			maxConcurrentRequests,
+			priority,
+			signal,
+		} = {
+			...DEFAULT_OPTIONS,
+			...this.defaultOptions,
+			...options,
+		};
+		if ( this.activeRequests < maxConcurrentRequests ) {
+			this.activeRequests++;
+			return Promise.resolve();
+		}
+		const queue = this.requestQueue;
+		return new Promise( ( resolve, reject ) => {
+			throwIfAborted( signal );
+			const entry = {
+				priority,
+				resolve: () => {
+					if ( signal !== null ) {
+						signal.removeEventListener( 'abort', onAbort );
+					}
+					resolve();
+				},
+			};
+			if ( priority ) {
+				// skip ahead of all non-priority requests
+				let index = queue.findIndex( ( other ) => !other.priority );
+				if ( index === -1 ) {
+					index = queue.length;
+				}
+				queue.splice( index, 0, entry );
+			} else {
+				queue.push( entry );
+			}
+			if ( signal !== null ) {
+				signal.addEventListener( 'abort', onAbort );
+			}
+
+			function onAbort() {
+				queue.splice( queue.indexOf( entry ), 1 );
+				reject( signal.reason );
+			}
+		} );
+	}
+
+	/**
+	 * Release a request slot acquired with {@link Session#acquireRequestSlot},
+	 * handing it over to the next queued request if there is one.
+	 *
+	 * @private
+	 */
+	releaseRequestSlot() {
+		const next = this.requestQueue.shift();
+		if ( next ) {
+			next.resolve(); // the slot is handed over, activeRequests stays the same
+		} else {
+			this.activeRequests--;
+		}
+	}
+
+	/**
+	 * Get the delay until a request with these options may be sent,
+	 * according to the throttleGetSeconds and throttlePostSeconds options.
+	 *
+	 * @protected
+	 * @param {Options} options
+	 * @return {number} The delay in milliseconds (0 if the request may be sent immediately).
+	 */
+	getThrottleDelay( options ) {
+		const { method, clock } = {
+			...DEFAULT_OPTIONS,
+			...this.defaultOptions,
+			...options,
+		};
+		const nextRequestTime = this.nextRequestTimes.get( method ) || 0;
+		return Math.max( 0, nextRequestTime - clock.performance.now() );
+	}
+
+	/**
+	 * Wait until a request with these options may be sent,
+	 * and reserve that time for it so that later requests are queued after it.
+	 *
+	 * @private
+	 * @param {Options} options
+	 * @return {Promise}
+	 */
+	async throttle( options ) {
 		const {
-			status,
-			headers: responseHeaders,
-		} = response;
-
-		if ( responseHeaders.has( 'retry-after' ) ) {
-			const retryAfterSeconds = parseInt( responseHeaders.get( 'retry-after' ) );
-			const retryResult = await retryIfBefore(
-				this, params, retryOptions, retryAfterSeconds );
-			if ( retryResult !== null ) {
-				return retryResult;
-			}
+			method,
+			throttleGetSeconds,
+			throttlePostSeconds,
+			clock,
+			signal,
+		} = {
+			...DEFAULT_OPTIONS,
+			...this.defaultOptions,
+			...options,
+		};
+		const throttleSeconds = method === 'GET' ? throttleGetSeconds : throttlePostSeconds;
+		if ( throttleSeconds <= 0 ) {
+			return;
 		}
-
-		if ( status !== 200 && !responseHeaders.has( 'mediawiki-api-error' ) ) {
-			const httpErrorHandlers = [
-				...DEFAULT_OPTIONS.httpErrorHandlers || [],
-				...this.defaultOptions.httpErrorHandlers || [],
-				...options.httpErrorHandlers || [],
-			];
-			for ( const handler of httpErrorHandlers ) {
-				const handlerResult = await handler(
-					this, params, retryOptions, response );
-				if ( handlerResult !== null ) {
-					return handlerResult;
+		const delay = this.getThrottleDelay( options );
+		const previousRequestTime = this.nextRequestTimes.get( method );
+		const reservedRequestTime = clock.performance.now() + delay + 1000 * throttleSeconds;
+		this.nextRequestTimes.set( method, reservedRequestTime );
+		if ( delay > 0 ) {
+			try {
+				await sleep( delay, clock, signal );
+			} catch ( e ) {
+				// the request was aborted, release its slot
+				// (unless a later request was already queued after it)
+				if ( this.nextRequestTimes.get( method ) === reservedRequestTime ) {
+					this.nextRequestTimes.set( method, previousRequestTime );
 				}
+				throw e;
 			}
-			throw new Error( `API request returned non-200 HTTP status code: ${ status }` );
 		}
+	}
+
+	/**
+	 * Handle an exception thrown while fetching a response.
+	 *
+	 * If the exception was caused by a network error or by the attempt timing out,
+	 * retry the request with exponential backoff if possible,
+	 * or else rethrow the exception (or throw a {@link RequestTimeoutError});
+	 * other exceptions (including aborts via the signal option) are rethrown immediately.
+	 *
+	 * @private
+	 * @param {*} e The exception.
+	 * @param {Params} params
+	 * @param {Options} retryOptions
+	 * @return {Promise<Object>}
+	 */
+	async handleFetchError( e, params, retryOptions ) {
+		const { signal } = {
+			...DEFAULT_OPTIONS,
+			...this.defaultOptions,
+			...retryOptions,
+		};
+		const aborted = signal !== null && signal.aborted;
+		const timedOut = e instanceof RequestTimeoutError;
+		const networkError = isNetworkError( e ) && !aborted;
+		if ( !timedOut && !networkError ) {
+			throw e;
+		}
+		const retryResult = await retryWithBackoff(
+			this, params, retryOptions, timedOut ? 'timeout' : 'network-error' );
+		if ( retryResult !== null ) {
+			return retryResult;
+		}
+		throw e;
+	}
 
-		const responseBody = await response.json();
+	/**
+	 * Handle the errors and warnings in a response body.
+	 *
+	 * @private
+	 * @param {Object} responseBody
+	 * @param {Response} response
+	 * @param {Params} params
+	 * @param {Options} options
+	 * @param {Options} retryOptions
+	 * @return {Promise<Object>}
+	 */
+	async handleResponseBody( responseBody, response, params, options, retryOptions ) {
+		const {
+			warn,
+			dropTruncatedResultWarning,
+		} = {
+			...DEFAULT_OPTIONS,
+			...this.defaultOptions,
+			...options,
+		};
 
 		const errors = responseErrors( responseBody );
 
@@ -669,11 +2438,19 @@ class Session {
 			throw new ApiErrors( errors );
 		}
 
+		const userinfo = responseBody.query && responseBody.query.userinfo;
+		if ( userinfo && typeof userinfo.name === 'string' ) {
+			this.setUserName( userinfo.name );
+		}
+
 		const warnings = responseWarnings( responseBody );
 		if ( warnings.length > 0 ) {
 			const actualWarn = dropTruncatedResultWarning ?
 				makeWarnDroppingTruncatedResultWarning( warn ) :
 				warn;
+			this.stats.warnings += dropTruncatedResultWarning ?
+				warnings.filter( notTruncatedResultWarning ).length :
+				warnings.length;
 			actualWarn( new ApiWarnings( warnings ) );
 		}
 
@@ -762,30 +2539,508 @@ class Session {
 	 */
 	async getToken( type, options ) {
 		if ( !this.tokens.has( type ) ) {
-			const params = {
-				action: 'query',
-				meta: set( 'tokens' ),
-				type: set( type ),
-			};
-			options = {
-				...options,
-				method: 'GET',
-				tokenType: null,
-				dropTruncatedResultWarning: true,
-			};
+			await this.fetchTokens( [ type ], options );
+		}
+		return this.tokens.get( type );
+	}
+
+	/**
+	 * Get tokens of the specified types.
+	 *
+	 * Any types that are not yet saved in {@link Session#tokens}
+	 * are fetched in a single request (rather than one request per type, as with getToken),
+	 * so this can be used to prefetch all the tokens that a tool will need.
+	 *
+	 * @param {string[]} types The token types, e.g. `[ 'csrf', 'watch', 'rollback' ]`.
+	 * @param {Options} [options] Options for the request to get the tokens.
+	 * @return {Promise<Object.<string, string>>} The tokens, by type.
+	 */
+	async getTokens( types, options = {} ) {
+		const missingTypes = types.filter( ( type ) => !this.tokens.has( type ) );
+		if ( missingTypes.length > 0 ) {
+			await this.fetchTokens( missingTypes, options );
+		}
+		const tokens = {};
+		for ( const type of types ) {
+			tokens[ type ] = this.tokens.get( type );
+		}
+		return tokens;
+	}
+
+	/**
+	 * Fetch tokens of the specified types in a single request,
+	 * and save them in {@link Session#tokens}.
+	 *
+	 * @private
+	 * @param {string[]} types
+	 * @param {Options} options Options for the request to get the tokens.
+	 * @return {Promise}
+	 */
+	async fetchTokens( types, options ) {
+		types = [ ...new Set( types ) ];
+		const { tracer } = {
+			...DEFAULT_OPTIONS,
+			...this.defaultOptions,
+			...options,
+		};
+		const params = {
+			action: 'query',
+			meta: set( 'tokens' ),
+			type: set( ...types ),
+		};
+		options = {
+			...options,
+			method: 'GET',
+			tokenType: null,
+			dropTruncatedResultWarning: true,
+			priority: true,
+			span: null, // the token requests get their own spans
+			// tokens must always be fresh and must not be stored in the cache
+			cacheTtlSeconds: 0,
+			conditionalRequests: false,
+		};
+		const fetchedTypes = [];
+		await withSpan( tracer, 'm3api getToken', {
+			'mediawiki.api.token_type': types.join( '|' ),
+		}, async () => {
 			for await ( const response of this.requestAndContinue( params, options ) ) {
-				try {
-					const token = response.query.tokens[ type + 'token' ];
-					if ( typeof token === 'string' ) {
-						this.tokens.set( type, token );
-						break;
+				for ( const type of types ) {
+					try {
+						const token = response.query.tokens[ type + 'token' ];
+						if ( typeof token === 'string' && !fetchedTypes.includes( type ) ) {
+							this.tokens.set( type, token );
+							fetchedTypes.push( type );
+						}
+					} catch ( _ ) {
 					}
-					// if token not found in this response, follow continuation
-				} catch ( _ ) {
 				}
+				if ( fetchedTypes.length === types.length ) {
+					break;
+				}
+				// if some tokens not found in this response, follow continuation
 			}
+		} );
+		if ( fetchedTypes.length > 0 ) {
+			await callHooks( this, options, 'onTokenRefresh', {
+				session: this,
+				params,
+				options,
+				types: fetchedTypes,
+			} );
 		}
-		return this.tokens.get( type );
+	}
+
+	/**
+	 * Invalidate all saved tokens, e.g. because they were rejected or the user changed.
+	 * The tokens will be fetched again when they are next needed.
+	 *
+	 * @private
+	 */
+	invalidateTokens() {
+		this.tokens.clear();
+	}
+
+	/**
+	 * Remember the name of the user as which this session makes requests,
+	 * invalidating the tokens if it changed.
+	 *
+	 * @private
+	 * @param {string|null} userName
+	 */
+	setUserName( userName ) {
+		if ( this.userName !== null && userName !== this.userName ) {
+			this.invalidateTokens();
+		}
+		this.userName = userName;
+	}
+
+	/**
+	 * Log in with the given username and password.
+	 *
+	 * This uses action=login, which is intended for bot passwords
+	 * (the username then has the form `User@BotPasswordName`);
+	 * if the wiki rejects this for the given account (with the result 'Aborted'),
+	 * action=clientlogin is used instead
+	 * (though this only works if no further authentication steps, like two-factor authentication,
+	 * are required).
+	 * Note that this requires a session that can keep cookies
+	 * (i.e. a Node.js session or a browser session on the same site).
+	 *
+	 * On success, {@link Session#tokens} are invalidated (since they depend on the user),
+	 * and assert=user is added to {@link Session#defaultParams}
+	 * (unless they already contain an assert parameter, e.g. assert=bot),
+	 * so that later requests fail instead of silently being made logged out
+	 * if the session is lost.
+	 *
+	 * @param {string} username
+	 * @param {string} password
+	 * @param {Options} [options] Options for the login requests.
+	 * (The method and tokenType options are set automatically.)
+	 * @return {Promise<string>} The name of the user now logged in.
+	 * @throws {LoginError} If logging in failed.
+	 */
+	async login( username, password, options = {} ) {
+		options = { ...options, method: 'POST', tokenType: null };
+		let result = null;
+		// if the login token expired in the meantime, try again once with a fresh one
+		for ( let attempt = 0; attempt < 2; attempt++ ) {
+			const response = await this.request( {
+				action: 'login',
+				lgname: username,
+				lgpassword: password,
+				lgtoken: await this.getLoginToken( options ),
+				assert: null,
+				assertuser: null,
+			}, options );
+			result = response.login;
+			if ( result.result !== 'NeedToken' && result.result !== 'WrongToken' ) {
+				break;
+			}
+		}
+
+		if ( result.result === 'Success' ) {
+			this.loggedIn( result.lgusername, username, password, options );
+			return result.lgusername;
+		}
+		if ( result.result === 'Aborted' ) {
+			return this.clientLogin( username, password, options );
+		}
+		throw new LoginError( result.result, result.reason || null, result );
+	}
+
+	/**
+	 * Log in using action=clientlogin, see {@link Session#login}.
+	 *
+	 * @private
+	 * @param {string} username
+	 * @param {string} password
+	 * @param {Options} options
+	 * @return {Promise<string>}
+	 * @throws {LoginError}
+	 */
+	async clientLogin( username, password, options ) {
+		const response = await this.request( {
+			action: 'clientlogin',
+			username,
+			password,
+			logintoken: await this.getLoginToken( options ),
+			loginreturnurl: this.apiUrl,
+			assert: null,
+			assertuser: null,
+		}, options );
+		const result = response.clientlogin;
+		if ( result.status === 'PASS' ) {
+			this.loggedIn( result.username, username, password, options );
+			return result.username;
+		}
+		throw new LoginError( result.status, result.message || null, result );
+	}
+
+	/**
+	 * Get a fresh login token.
+	 * Unlike other tokens, login tokens are not saved in {@link Session#tokens}.
+	 *
+	 * @private
+	 * @param {Options} options
+	 * @return {Promise<string>}
+	 */
+	async getLoginToken( options ) {
+		const response = await this.request( {
+			action: 'query',
+			meta: set( 'tokens' ),
+			type: set( 'login' ),
+			assert: null,
+			assertuser: null,
+		}, {
+			...options,
+			method: 'GET',
+			priority: true,
+			// tokens must always be fresh and must not be stored in the cache
+			cacheTtlSeconds: 0,
+			conditionalRequests: false,
+		} );
+		return response.query.tokens.logintoken;
+	}
+
+	/**
+	 * Update the session state after logging in.
+	 *
+	 * @private
+	 * @param {string} userName The name of the user now logged in.
+	 * @param {string} username The username used to log in.
+	 * @param {string} password
+	 * @param {Options} options
+	 */
+	loggedIn( userName, username, password, options ) {
+		this.invalidateTokens();
+		this.userName = userName;
+		if ( this.defaultParams.assert === undefined ) {
+			this.defaultParams.assert = 'user';
+			this.addedAssert = true;
+		}
+		this.loginCredentials = { username, password, options };
+	}
+
+	/**
+	 * Log in again, according to the relogin option.
+	 * If a login for this purpose is already in progress, wait for it instead.
+	 *
+	 * @private
+	 * @param {Options} options The options of the request that failed.
+	 * @return {Promise}
+	 */
+	relogin( options ) {
+		if ( this.pendingRelogin === null ) {
+			const { relogin } = {
+				...DEFAULT_OPTIONS,
+				...this.defaultOptions,
+				...options,
+			};
+			let promise;
+			if ( typeof relogin === 'function' ) {
+				promise = Promise.resolve( relogin( this, options ) ).then( () => {
+					this.invalidateTokens();
+				} );
+			} else {
+				const { username, password, options: loginOptions } = this.loginCredentials;
+				promise = this.login( username, password, loginOptions );
+			}
+			this.pendingRelogin = promise.finally( () => {
+				this.pendingRelogin = null;
+			} );
+		}
+		return this.pendingRelogin;
+	}
+
+	/**
+	 * Log out, ending the session.
+	 *
+	 * This sends an action=logout request (with a csrf token),
+	 * and then invalidates {@link Session#tokens}, removes any cookies of the session,
+	 * and removes the assert=user parameter from {@link Session#defaultParams}
+	 * if {@link Session#login} added it (so that further requests can be made logged out).
+	 * Any assert or assertuser default parameters set by the caller are left alone.
+	 *
+	 * @param {Options} [options] Options for the logout request.
+	 * (The method and tokenType options are set automatically.)
+	 * @return {Promise}
+	 */
+	async logout( options = {} ) {
+		await this.request( {
+			action: 'logout',
+			assert: null,
+			assertuser: null,
+		}, {
+			...options,
+			method: 'POST',
+			tokenType: 'csrf',
+		} );
+		this.invalidateTokens();
+		this.userName = null;
+		this.loginCredentials = null;
+		await this.clearCookies();
+		if ( this.addedAssert && this.defaultParams.assert === 'user' ) {
+			delete this.defaultParams.assert;
+		}
+		this.addedAssert = false;
+	}
+
+	/**
+	 * Edit a page by transforming its current wikitext.
+	 *
+	 * This fetches the latest revision of the page,
+	 * calls the transform function with its wikitext,
+	 * and saves the result with the right baserevid, basetimestamp and starttimestamp,
+	 * so that edit conflicts are detected by MediaWiki;
+	 * if the page exists, nocreate is also set
+	 * (so the edit fails if the page is deleted meanwhile),
+	 * otherwise createonly is set (so the edit fails if the page is created meanwhile).
+	 * If the edit fails because of such a conflict, the whole process is repeated
+	 * (fetching the page again and calling the transform function with the new wikitext),
+	 * up to the number of times specified by the maxEditConflictRetries option.
+	 *
+	 * @param {string} title The title of the page.
+	 * @param {Function} transform Called with the current wikitext of the page
+	 * (or null if the page does not exist yet) and the current revision
+	 * (an object with `revid` and `timestamp` members, or null).
+	 * Returns (or resolves to) the new wikitext,
+	 * or an object with additional edit params (e.g. `{ text, summary }`, `text` is required).
+	 * @param {Options} [options] Options for the requests.
+	 * (The method and tokenType options are set automatically.)
+	 * @return {Promise<Object>} The edit result (the `edit` member of the response).
+	 * @throws {ApiErrors} If the edit failed,
+	 * including due to conflicts after the maximum number of retries,
+	 * or if the title is invalid (with the error code invalidtitle,
+	 * as MediaWiki would return it for the edit).
+	 * @throws {Error} If the page cannot be edited because it has no revisions
+	 * (e.g. a special page or an interwiki title).
+	 */
+	async edit( title, transform, options = {} ) {
+		const { maxEditConflictRetries } = {
+			...DEFAULT_OPTIONS,
+			...this.defaultOptions,
+			...options,
+		};
+		for ( let retries = 0; ; retries++ ) {
+			const queryResponse = await this.request( {
+				action: 'query',
+				titles: title,
+				prop: set( 'revisions' ),
+				rvprop: set( 'ids', 'timestamp', 'content' ),
+				rvslots: set( 'main' ),
+				curtimestamp: true,
+				formatversion: 2,
+			}, { ...options, method: 'GET' } );
+			const [ page ] = queryResponse.query.pages || [];
+			let content = null, revision = null, baseParams;
+			if ( page !== undefined && page.invalid ) {
+				throw new ApiErrors( [ {
+					code: 'invalidtitle',
+					info: page.invalidreason,
+					title,
+				} ] );
+			} else if ( page !== undefined && page.missing ) {
+				baseParams = { createonly: true };
+			} else if ( page === undefined || page.revisions === undefined ) {
+				throw new Error( `Cannot edit page without revisions (e.g. special page): ${ title }` );
+			} else {
+				const [ { revid, timestamp, slots } ] = page.revisions;
+				content = slots.main.content;
+				revision = { revid, timestamp };
+				baseParams = { baserevid: revid, basetimestamp: timestamp, nocreate: true };
+			}
+
+			let editParams = await transform( content, revision );
+			if ( typeof editParams === 'string' ) {
+				editParams = { text: editParams };
+			}
+
+			try {
+				const editResponse = await this.request( {
+					action: 'edit',
+					title,
+					...editParams,
+					...baseParams,
+					starttimestamp: queryResponse.curtimestamp,
+					formatversion: 2,
+				}, { ...options, method: 'POST', tokenType: 'csrf' } );
+				return editResponse.edit;
+			} catch ( e ) {
+				const conflict = e instanceof ApiErrors &&
+					e.errors.some( ( error ) => EDIT_CONFLICT_CODES.includes( error.code ) );
+				if ( !conflict || retries >= maxEditConflictRetries ) {
+					throw e;
+				}
+			}
+		}
+	}
+
+	/**
+	 * Upload a file in chunks.
+	 *
+	 * The file is split into chunks of the size given by the uploadChunkSizeBytes option,
+	 * which are uploaded to the upload stash one after the other;
+	 * afterwards, the stashed file is published asynchronously.
+	 * The chunks are uploaded with ignorewarnings, so that upload warnings
+	 * (e.g. about duplicates) are only reported when publishing the file,
+	 * according to the ignorewarnings param (if any) in the params.
+	 * While the wiki processes the upload, its status is checked regularly
+	 * (see the uploadPollSeconds option).
+	 * This also works for files larger than the maximum upload size of the wiki,
+	 * as long as the chunk size is below that limit.
+	 *
+	 * @param {Blob} file The file contents, e.g. a File or Blob
+	 * (or any other value supported by the session as a file param,
+	 * e.g. a file created with fileFromPath() in Node.js).
+	 * @param {string} filename The target file name (without the File: namespace prefix).
+	 * @param {Params} [params] Additional params for publishing the file,
+	 * e.g. `{ comment, text }`; specify `ignorewarnings: true` to upload the file
+	 * even if it is a duplicate or the file name already exists.
+	 * @param {Options} [options] Options for the requests.
+	 * (The method and tokenType options are set automatically.)
+	 * The uploadChunkSizeBytes, uploadPollSeconds and onUploadProgress options
+	 * are specific to this method.
+	 * @return {Promise<Object>} The upload result (the `upload` member of the final response).
+	 * @throws {UploadError} If the upload resulted in warnings or failed.
+	 */
+	async upload( file, filename, params = {}, options = {} ) {
+		const { uploadChunkSizeBytes, onUploadProgress } = {
+			...DEFAULT_OPTIONS,
+			...this.defaultOptions,
+			...options,
+		};
+		options = { ...options, method: 'POST', tokenType: 'csrf' };
+		file = await this.prepareFileParam( file );
+
+		let filekey, offset = 0;
+		do {
+			const chunk = file.slice( offset, offset + uploadChunkSizeBytes );
+			const response = await this.request( {
+				action: 'upload',
+				stash: true,
+				filename,
+				filesize: file.size,
+				offset,
+				chunk,
+				filekey,
+				// warnings are only reported when publishing the stashed file (see below)
+				ignorewarnings: true,
+			}, options );
+			const result = await this.waitForUpload(
+				response.upload, response.upload.filekey || filekey, options, true );
+			filekey = result.filekey;
+			offset = result.offset !== undefined ? result.offset : offset + chunk.size;
+			if ( onUploadProgress !== null ) {
+				onUploadProgress( {
+					filename,
+					uploadedBytes: Math.min( offset, file.size ),
+					totalBytes: file.size,
+				} );
+			}
+		} while ( offset < file.size );
+
+		const response = await this.request( {
+			...params,
+			action: 'upload',
+			filename,
+			filekey,
+			async: true,
+		}, options );
+		return this.waitForUpload( response.upload, filekey, options );
+	}
+
+	/**
+	 * Wait until an upload has been processed, if necessary,
+	 * by checking its status until it is no longer 'Poll'.
+	 *
+	 * @private
+	 * @param {Object} result The upload part of the API response.
+	 * @param {string} filekey The file key of the upload.
+	 * @param {Options} options
+	 * @param {boolean} [ignoreWarnings] Whether to accept a 'Warning' result
+	 * (for chunks uploaded to the stash) instead of throwing an UploadError.
+	 * @return {Promise<Object>} The final upload result.
+	 * @throws {UploadError} If the upload resulted in warnings or failed.
+	 */
+	async waitForUpload( result, filekey, options, ignoreWarnings = false ) {
+		const { uploadPollSeconds, clock, signal } = {
+			...DEFAULT_OPTIONS,
+			...this.defaultOptions,
+			...options,
+		};
+		while ( result.result === 'Poll' ) {
+			await sleep( 1000 * uploadPollSeconds, clock, signal );
+			const response = await this.request( {
+				action: 'upload',
+				checkstatus: true,
+				filekey,
+			}, options );
+			result = { filekey, ...response.upload };
+		}
+		if ( result.result === 'Failure' || ( result.result === 'Warning' && !ignoreWarnings ) ) {
+			throw new UploadError( result );
+		}
+		return result;
 	}
 
 	/**
@@ -949,6 +3204,7 @@ class Session {
 	 *    - `method` (must be set)
 	 *    - `headers` (must be set and contain a User-Agent header)
 	 *    - `body` (only string, FormData and URLSearchParams values are supported)
+	 *    - `signal` (optional)
 	 *
 	 * Implementations may support additional `fetch()` features
 	 * as long as they are part of the standard,
@@ -970,6 +3226,75 @@ class Session {
 		throw new Error( 'Abstract method fetch not implemented!' );
 	}
 
+	/**
+	 * Make an HTTP request for the given request options.
+	 *
+	 * This is called for every HTTP attempt of a request.
+	 * The default implementation ignores the request options and calls {@link Session#fetch};
+	 * subclasses may override it if they need to know the request options
+	 * (e.g. to compare them with expected options in tests),
+	 * rather than passing them to `fetch()` in a nonstandard way.
+	 *
+	 * @protected
+	 * @param {URL} resource As for {@link Session#fetch}.
+	 * @param {RequestInit} fetchOptions As for {@link Session#fetch}.
+	 * @param {Options} options The request options.
+	 * @return {Promise<Response>}
+	 */
+	fetchWithOptions( resource, fetchOptions, options ) {
+		return this.fetch( resource, fetchOptions );
+	}
+
+	/**
+	 * Prepare a non-string POST param value (i.e. a file) for the multipart/form-data body.
+	 *
+	 * The default implementation returns the value unmodified,
+	 * so it should be a Blob or File;
+	 * subclasses may override it to support other kinds of values
+	 * (e.g. Node.js streams), converting them to Blob-like objects.
+	 * This is called for every attempt of the request (including automatic retries).
+	 *
+	 * @protected
+	 * @param {*} value
+	 * @return {Promise<Blob>}
+	 */
+	async prepareFileParam( value ) {
+		return value;
+	}
+
+	/**
+	 * Remove all cookies of this session, e.g. after logging out.
+	 *
+	 * The default implementation does nothing,
+	 * for sessions that do not manage their own cookies
+	 * (e.g. in the browser, where cookies are managed by the browser itself);
+	 * subclasses with a cookie jar should override it.
+	 *
+	 * @protected
+	 * @return {Promise}
+	 */
+	async clearCookies() {
+	}
+
+	/**
+	 * Get a hash of the given string, as a hexadecimal SHA-256 digest.
+	 *
+	 * This is used to identify the user in cache keys
+	 * without storing their credentials in the cache.
+	 * The default implementation uses the Web Crypto API;
+	 * subclasses for environments without it should override it.
+	 *
+	 * @protected
+	 * @param {string} string
+	 * @return {Promise<string>}
+	 */
+	async digest( string ) {
+		// eslint-disable-next-line compat/compat
+		const buffer = await crypto.subtle.digest( 'SHA-256', new TextEncoder().encode( string ) );
+		return Array.from( new Uint8Array( buffer ), ( byte ) => byte.toString( 16 ).padStart( 2, '0' ) )
+			.join( '' );
+	}
+
 }
 
 /**
@@ -1015,8 +3340,16 @@ export {
 	ApiErrors,
 	ApiWarnings,
 	DefaultUserAgentWarning,
+	LoginError,
+	MaxlagWarning,
+	MemoryCache,
+	RequestTimeoutError,
 	Session,
+	SessionStats,
+	UploadError,
 	makeWarnDroppingTruncatedResultWarning,
+	isSecretParam,
 	responseBoolean,
 	set,
+	sleep,
 };
@@ -0,0 +1,666 @@
+import { randomBytes } from 'crypto';
+import { createServer } from 'http';
+
+/**
+ * An API error, thrown inside the fake server and turned into an error response.
+ *
+ * @private
+ */
+class FakeApiError extends Error {
+
+	/**
+	 * @param {string} code
+	 * @param {string} info
+	 * @param {Object} [data] Additional members of the error object.
+	 * @param {Object} [headers] Additional response headers.
+	 */
+	constructor( code, info, data = {}, headers = {} ) {
+		super( info );
+		this.code = code;
+		this.data = data;
+		this.headers = headers;
+	}
+
+}
+
+/**
+ * @private
+ * @return {string}
+ */
+function randomToken() {
+	return randomBytes( 16 ).toString( 'hex' ) + '+\\';
+}
+
+/**
+ * Format a timestamp like MediaWiki does (ISO 8601 without milliseconds).
+ *
+ * @private
+ * @param {number} millis
+ * @return {string}
+ */
+function formatTimestamp( millis ) {
+	return new Date( millis ).toISOString().replace( /\.\d{3}Z$/, 'Z' );
+}
+
+/**
+ * @private
+ * @param {string|undefined} value
+ * @return {string[]}
+ */
+function splitList( value ) {
+	if ( value === undefined || value === '' ) {
+		return [];
+	}
+	if ( value.startsWith( '\x1f' ) ) {
+		return value.slice( 1 ).split( '\x1f' );
+	}
+	return value.split( '|' );
+}
+
+/**
+ * A small in-process HTTP server that fakes enough of the MediaWiki Action API
+ * to run sessions (including the real network code of NodeSession) against it in tests,
+ * without network access.
+ *
+ * Supported are: meta=tokens, meta=userinfo, meta=siteinfo (only the sitename),
+ * list=allpages (with continuation), prop=revisions for titles,
+ * action=edit, action=login, action=clientlogin and action=logout;
+ * sessions are tracked using a cookie.
+ * The maxlag, assert and assertuser parameters are supported,
+ * and maxlag, readonly, badtoken, assertuserfailed and other errors are returned
+ * much like MediaWiki would return them.
+ * Responses always use formatversion=2 structure, with errors in the bc error format.
+ *
+ * The state of the fake wiki (pages, lag, read-only mode, etc.)
+ * can be inspected and modified through the members of the server object.
+ */
+class FakeApiServer {
+
+	/**
+	 * @param {Object} [options]
+	 * @param {Object.<string, string>} [options.users] The users of the wiki,
+	 * mapping user names to passwords.
+	 * @param {Object.<string, string>} [options.pages] Initial pages of the wiki,
+	 * mapping titles to page contents.
+	 * @param {string} [options.sitename] The name of the wiki.
+	 */
+	constructor( { users = {}, pages = {}, sitename = 'Fake Wiki' } = {} ) {
+		/**
+		 * The users of the wiki, mapping user names to passwords.
+		 *
+		 * @member {Object.<string, string>}
+		 */
+		this.users = users;
+
+		/**
+		 * The name of the wiki.
+		 *
+		 * @member {string}
+		 */
+		this.sitename = sitename;
+
+		/**
+		 * The pages of the wiki, by title.
+		 * Each page has `pageid`, `title` and `revisions` (oldest first) members;
+		 * each revision has `revid`, `timestamp`, `user` and `content` members.
+		 *
+		 * @member {Map<string, Object>}
+		 */
+		this.pages = new Map();
+
+		/**
+		 * The current replication lag, in seconds.
+		 * Requests with a lower maxlag parameter fail with a maxlag error.
+		 *
+		 * @member {number}
+		 */
+		this.lag = 0;
+
+		/**
+		 * The Retry-After header value sent with maxlag errors.
+		 *
+		 * @member {number}
+		 */
+		this.maxlagRetryAfterSeconds = 5;
+
+		/**
+		 * If not null, the wiki is in read-only mode, with this reason,
+		 * and edits fail with a readonly error.
+		 *
+		 * @member {string|null}
+		 */
+		this.readOnlyReason = null;
+
+		/**
+		 * All the requests received so far, each with `method`, `params` and `headers` members,
+		 * e.g. for assertions in tests.
+		 *
+		 * @member {Object[]}
+		 */
+		this.requests = [];
+
+		/**
+		 * Responses to send instead of handling the next requests,
+		 * see {@link FakeApiServer#failNextRequest}.
+		 *
+		 * @private
+		 * @member {Object[]}
+		 */
+		this.failures = [];
+
+		/**
+		 * The sessions, by session ID (from the session cookie).
+		 *
+		 * @private
+		 * @member {Map<string, Object>}
+		 */
+		this.sessions = new Map();
+
+		/**
+		 * The ID of the last revision.
+		 *
+		 * @private
+		 * @member {number}
+		 */
+		this.lastRevid = 0;
+
+		/**
+		 * The underlying HTTP server, while it is running.
+		 *
+		 * @private
+		 * @member {Object|null}
+		 */
+		this.server = null;
+
+		for ( const [ title, content ] of Object.entries( pages ) ) {
+			this.savePage( title, content, null );
+		}
+	}
+
+	/**
+	 * Start the server, listening on a random port.
+	 *
+	 * @param {string} [host] The host name or address to listen on.
+	 * @return {Promise<string>} The API URL of the fake wiki,
+	 * to be used as the apiUrl of a session.
+	 */
+	start( host = '127.0.0.1' ) {
+		return new Promise( ( resolve, reject ) => {
+			this.server = createServer( ( request, response ) => {
+				this.handleRequest( request, response ).catch( ( e ) => {
+					response.writeHead( 500, { 'content-type': 'text/plain' } );
+					response.end( String( e ) );
+				} );
+			} );
+			this.server.on( 'error', reject );
+			this.server.listen( 0, host, () => {
+				const { port } = this.server.address();
+				resolve( `http://${ host }:${ port }/w/api.php` );
+			} );
+		} );
+	}
+
+	/**
+	 * Stop the server.
+	 *
+	 * @return {Promise}
+	 */
+	close() {
+		return new Promise( ( resolve, reject ) => {
+			if ( this.server === null ) {
+				resolve();
+				return;
+			}
+			this.server.closeAllConnections();
+			this.server.close( ( error ) => {
+				this.server = null;
+				if ( error ) {
+					reject( error );
+				} else {
+					resolve();
+				}
+			} );
+		} );
+	}
+
+	/**
+	 * Make the next request fail with an HTTP error,
+	 * instead of being handled normally.
+	 * Can be called several times to make several requests fail.
+	 *
+	 * @param {number} [status] The HTTP status code.
+	 * @param {number|null} [retryAfterSeconds] If not null, send a Retry-After header.
+	 */
+	failNextRequest( status = 503, retryAfterSeconds = null ) {
+		this.failures.push( { status, retryAfterSeconds } );
+	}
+
+	/**
+	 * Save a new revision of a page, creating the page if necessary.
+	 *
+	 * @param {string} title
+	 * @param {string} content
+	 * @param {string|null} user
+	 * @return {Object} The new revision.
+	 */
+	savePage( title, content, user ) {
+		let page = this.pages.get( title );
+		if ( page === undefined ) {
+			page = { pageid: this.pages.size + 1, title, revisions: [] };
+			this.pages.set( title, page );
+		}
+		const revision = {
+			revid: ++this.lastRevid,
+			timestamp: formatTimestamp( Date.now() ),
+			user,
+			content,
+		};
+		page.revisions.push( revision );
+		return revision;
+	}
+
+	/**
+	 * @private
+	 * @param {Object} request The Node.js request.
+	 * @param {Object} response The Node.js response.
+	 * @return {Promise}
+	 */
+	async handleRequest( request, response ) {
+		const chunks = [];
+		for await ( const chunk of request ) {
+			chunks.push( chunk );
+		}
+		const url = new URL( request.url, 'http://localhost' );
+		if ( url.pathname !== '/w/api.php' ) {
+			response.writeHead( 404, { 'content-type': 'text/plain' } );
+			response.end( 'Not Found' );
+			return;
+		}
+
+		const params = {};
+		for ( const [ key, value ] of url.searchParams ) {
+			params[ key ] = value;
+		}
+		if ( request.method === 'POST' ) {
+			const body = new Response( Buffer.concat( chunks ), {
+				headers: { 'content-type': request.headers[ 'content-type' ] },
+			} );
+			for ( const [ key, value ] of await body.formData() ) {
+				params[ key ] = value;
+			}
+		}
+		this.requests.push( { method: request.method, params, headers: request.headers } );
+
+		if ( this.failures.length > 0 ) {
+			const { status, retryAfterSeconds } = this.failures.shift();
+			const headers = { 'content-type': 'text/plain' };
+			if ( retryAfterSeconds !== null ) {
+				headers[ 'retry-after' ] = String( retryAfterSeconds );
+			}
+			response.writeHead( status, headers );
+			response.end( `Fake error ${ status }` );
+			return;
+		}
+
+		const headers = { 'content-type': 'application/json; charset=utf-8' };
+		const session = this.getSession( request, headers );
+		let body;
+		try {
+			body = this.handleAction( request.method, params, session );
+		} catch ( e ) {
+			if ( !( e instanceof FakeApiError ) ) {
+				throw e;
+			}
+			body = { error: { code: e.code, info: e.message, ...e.data } };
+			headers[ 'mediawiki-api-error' ] = e.code;
+			Object.assign( headers, e.headers );
+		}
+		response.writeHead( 200, headers );
+		response.end( JSON.stringify( body ) );
+	}
+
+	/**
+	 * Get the session for this request, creating a new one if necessary.
+	 *
+	 * @private
+	 * @param {Object} request
+	 * @param {Object} headers The response headers, to which Set-Cookie may be added.
+	 * @return {Object}
+	 */
+	getSession( request, headers ) {
+		const match = /(?:^|;\s*)fakeapi_session=([0-9a-f]+)/.exec( request.headers.cookie || '' );
+		if ( match && this.sessions.has( match[ 1 ] ) ) {
+			return this.sessions.get( match[ 1 ] );
+		}
+		const id = randomBytes( 16 ).toString( 'hex' );
+		const session = { user: null, loginToken: randomToken(), csrfToken: '+\\' };
+		this.sessions.set( id, session );
+		headers[ 'set-cookie' ] = `fakeapi_session=${ id }; Path=/; HttpOnly`;
+		return session;
+	}
+
+	/**
+	 * @private
+	 * @param {string} method
+	 * @param {Object} params
+	 * @param {Object} session
+	 * @return {Object}
+	 */
+	handleAction( method, params, session ) {
+		if ( params.maxlag !== undefined && this.lag > Number( params.maxlag ) ) {
+			throw new FakeApiError(
+				'maxlag',
+				`Waiting for a database server: ${ this.lag } seconds lagged.`,
+				{ host: 'db', lag: this.lag, type: 'db' },
+				{ 'retry-after': String( this.maxlagRetryAfterSeconds ) },
+			);
+		}
+		this.checkAssert( params, session );
+
+		switch ( params.action ) {
+			case 'query':
+				return this.handleQuery( params, session );
+			case 'edit':
+				this.checkWrite( method, params, session );
+				return this.handleEdit( params, session );
+			case 'login':
+				this.checkPosted( method );
+				return this.handleLogin( params, session );
+			case 'clientlogin':
+				this.checkPosted( method );
+				return this.handleClientLogin( params, session );
+			case 'logout':
+				this.checkPosted( method );
+				this.checkToken( params, session );
+				session.user = null;
+				session.csrfToken = '+\\';
+				return {};
+			default:
+				throw new FakeApiError(
+					'badvalue',
+					`Unrecognized value for parameter "action": ${ params.action }.`,
+				);
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {Object} params
+	 * @param {Object} session
+	 */
+	checkAssert( params, session ) {
+		if ( ( params.assert === 'user' || params.assert === 'bot' ) && session.user === null ) {
+			throw new FakeApiError(
+				`assert${ params.assert }failed`,
+				params.assert === 'user' ?
+					'You are no longer logged in, so the action could not be completed.' :
+					'You do not have the "bot" right, so the action could not be completed.',
+			);
+		}
+		if ( params.assertuser !== undefined && params.assertuser !== session.user ) {
+			throw new FakeApiError(
+				'assertnameduserfailed',
+				`You are no longer logged in as "${ params.assertuser }", ` +
+					'so the action could not be completed.',
+				{ user: params.assertuser },
+			);
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {string} method
+	 */
+	checkPosted( method ) {
+		if ( method !== 'POST' ) {
+			throw new FakeApiError( 'mustbeposted', 'This module requires a POST request.' );
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {Object} params
+	 * @param {Object} session
+	 */
+	checkToken( params, session ) {
+		if ( params.token === undefined ) {
+			throw new FakeApiError( 'missingparam', 'The "token" parameter must be set.' );
+		}
+		if ( params.token !== session.csrfToken ) {
+			throw new FakeApiError( 'badtoken', 'Invalid CSRF token.' );
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {string} method
+	 * @param {Object} params
+	 * @param {Object} session
+	 */
+	checkWrite( method, params, session ) {
+		this.checkPosted( method );
+		if ( this.readOnlyReason !== null ) {
+			throw new FakeApiError(
+				'readonly',
+				'The wiki is currently in read-only mode.',
+				{ readonlyreason: this.readOnlyReason },
+			);
+		}
+		this.checkToken( params, session );
+	}
+
+	/**
+	 * @private
+	 * @param {Object} params
+	 * @param {Object} session
+	 * @return {Object}
+	 */
+	handleQuery( params, session ) {
+		const query = {};
+		const result = { batchcomplete: true, query };
+		if ( params.curtimestamp !== undefined ) {
+			result.curtimestamp = formatTimestamp( Date.now() );
+		}
+
+		const meta = splitList( params.meta );
+		if ( meta.includes( 'tokens' ) ) {
+			query.tokens = {};
+			for ( const type of splitList( params.type || 'csrf' ) ) {
+				query.tokens[ `${ type }token` ] = type === 'login' ?
+					session.loginToken :
+					session.csrfToken;
+			}
+		}
+		if ( meta.includes( 'userinfo' ) ) {
+			query.userinfo = session.user === null ?
+				{ id: 0, name: '127.0.0.1', anon: true } :
+				{ id: Object.keys( this.users ).indexOf( session.user ) + 1, name: session.user };
+		}
+		if ( meta.includes( 'siteinfo' ) ) {
+			query.general = { sitename: this.sitename };
+		}
+
+		if ( splitList( params.list ).includes( 'allpages' ) ) {
+			const limit = Number( params.aplimit || 10 );
+			const titles = [ ...this.pages.keys() ].sort();
+			const start = params.apcontinue !== undefined ?
+				titles.findIndex( ( title ) => title >= params.apcontinue ) :
+				0;
+			const batch = start === -1 ? [] : titles.slice( start, start + limit );
+			query.allpages = batch.map( ( title ) => {
+				const { pageid } = this.pages.get( title );
+				return { pageid, ns: 0, title };
+			} );
+			if ( start !== -1 && start + limit < titles.length ) {
+				result.continue = { apcontinue: titles[ start + limit ], continue: '-||' };
+				delete result.batchcomplete;
+			}
+		}
+
+		if ( params.titles !== undefined ) {
+			const withRevisions = splitList( params.prop ).includes( 'revisions' );
+			query.pages = splitList( params.titles ).map( ( title ) => {
+				const page = this.pages.get( title );
+				if ( page === undefined ) {
+					return { ns: 0, title, missing: true };
+				}
+				const pageResult = { pageid: page.pageid, ns: 0, title };
+				if ( withRevisions ) {
+					const latest = page.revisions[ page.revisions.length - 1 ];
+					const { revid, timestamp, user, content } = latest;
+					const revision = { revid, timestamp, user };
+					if ( params.rvslots !== undefined ) {
+						revision.slots = {
+							main: { contentmodel: 'wikitext', contentformat: 'text/x-wiki', content },
+						};
+					} else {
+						revision.content = content;
+					}
+					pageResult.revisions = [ revision ];
+				}
+				return pageResult;
+			} );
+		}
+
+		return result;
+	}
+
+	/**
+	 * @private
+	 * @param {Object} params
+	 * @param {Object} session
+	 * @return {Object}
+	 */
+	handleEdit( params, session ) {
+		const { title } = params;
+		if ( title === undefined ) {
+			throw new FakeApiError( 'missingparam', 'The "title" parameter must be set.' );
+		}
+		const page = this.pages.get( title );
+		const latest = page && page.revisions[ page.revisions.length - 1 ];
+		if ( page === undefined && params.nocreate !== undefined ) {
+			throw new FakeApiError( 'missingtitle', "The page you specified doesn't exist." );
+		}
+		if ( page !== undefined && params.createonly !== undefined ) {
+			throw new FakeApiError(
+				'articleexists',
+				'The article you tried to create has been created already.',
+			);
+		}
+		if ( latest && (
+			( params.basetimestamp !== undefined && params.basetimestamp !== latest.timestamp ) ||
+			( params.baserevid !== undefined && Number( params.baserevid ) !== latest.revid )
+		) ) {
+			throw new FakeApiError( 'editconflict', 'Edit conflict.' );
+		}
+
+		const oldContent = latest ? latest.content : '';
+		let content;
+		if ( params.text !== undefined ) {
+			content = params.text;
+		} else if ( params.appendtext !== undefined || params.prependtext !== undefined ) {
+			content = ( params.prependtext || '' ) + oldContent + ( params.appendtext || '' );
+		} else {
+			throw new FakeApiError( 'missingparam', 'The "text" parameter must be set.' );
+		}
+
+		if ( latest && content === oldContent ) {
+			return { edit: {
+				result: 'Success',
+				pageid: page.pageid,
+				title,
+				nochange: true,
+			} };
+		}
+		const revision = this.savePage( title, content, session.user );
+		const edit = {
+			result: 'Success',
+			pageid: this.pages.get( title ).pageid,
+			title,
+			oldrevid: latest ? latest.revid : 0,
+			newrevid: revision.revid,
+			newtimestamp: revision.timestamp,
+		};
+		if ( !latest ) {
+			edit.new = true;
+		}
+		return { edit };
+	}
+
+	/**
+	 * @private
+	 * @param {Object} params
+	 * @param {Object} session
+	 * @return {Object}
+	 */
+	handleLogin( params, session ) {
+		if ( params.lgtoken === undefined ) {
+			return { login: { result: 'NeedToken', token: session.loginToken } };
+		}
+		if ( params.lgtoken !== session.loginToken ) {
+			return { login: { result: 'WrongToken' } };
+		}
+		session.loginToken = randomToken();
+		if ( !this.checkPassword( params.lgname, params.lgpassword ) ) {
+			return { login: {
+				result: 'Failed',
+				reason: 'Incorrect username or password entered. Please try again.',
+			} };
+		}
+		this.logIn( session, params.lgname );
+		return { login: {
+			result: 'Success',
+			lguserid: Object.keys( this.users ).indexOf( params.lgname ) + 1,
+			lgusername: params.lgname,
+		} };
+	}
+
+	/**
+	 * @private
+	 * @param {Object} params
+	 * @param {Object} session
+	 * @return {Object}
+	 */
+	handleClientLogin( params, session ) {
+		if ( params.logintoken !== session.loginToken ) {
+			throw new FakeApiError( 'badtoken', 'Invalid CSRF token.' );
+		}
+		session.loginToken = randomToken();
+		if ( !this.checkPassword( params.username, params.password ) ) {
+			return { clientlogin: {
+				status: 'FAIL',
+				message: 'Incorrect username or password entered. Please try again.',
+				messagecode: 'wrongpassword',
+			} };
+		}
+		this.logIn( session, params.username );
+		return { clientlogin: { status: 'PASS', username: params.username } };
+	}
+
+	/**
+	 * @private
+	 * @param {string|undefined} username
+	 * @param {string|undefined} password
+	 * @return {boolean}
+	 */
+	checkPassword( username, password ) {
+		return username !== undefined &&
+			Object.prototype.hasOwnProperty.call( this.users, username ) &&
+			this.users[ username ] === password;
+	}
+
+	/**
+	 * @private
+	 * @param {Object} session
+	 * @param {string} username
+	 */
+	logIn( session, username ) {
+		session.user = username;
+		session.csrfToken = randomToken();
+	}
+
+}
+
+export {
+	FakeApiServer,
+};
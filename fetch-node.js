@@ -1,14 +1,177 @@
 import { CookieAgent } from 'http-cookie-agent/undici';
 import { CookieJar } from 'tough-cookie';
+import { createHash } from 'crypto';
+import { createReadStream } from 'fs';
+import { stat } from 'fs/promises';
+import { basename } from 'path';
+import { Readable } from 'stream';
 import { FetchSession } from './fetch.js';
 
+/**
+ * A File-like object whose contents are read from a Node.js stream,
+ * so that it can be sent as a file param without reading it into memory.
+ * Create it with {@link fileFromPath} or {@link fileFromStream}.
+ *
+ * This is not a real File, but it has the members that `FormData` and `fetch()` need
+ * (`size`, `type`, `name`, `lastModified` and `stream()`),
+ * as well as `slice()` (used e.g. by the `upload()` method of sessions).
+ */
+class StreamFile {
+
+	/**
+	 * @param {Function} getStream Called with a start and end offset,
+	 * returns a new Node.js Readable stream with the contents in that range
+	 * (including the start but excluding the end, like `slice()`).
+	 * @param {number} size The size of the contents in bytes.
+	 * @param {string} name The file name.
+	 * @param {string} type The MIME type.
+	 */
+	constructor( getStream, size, name, type ) {
+		/**
+		 * @private
+		 * @member {Function}
+		 */
+		this.getStream = getStream;
+
+		/**
+		 * The size of the contents in bytes.
+		 *
+		 * @member {number}
+		 */
+		this.size = size;
+
+		/**
+		 * The file name.
+		 *
+		 * @member {string}
+		 */
+		this.name = name;
+
+		/**
+		 * The MIME type, possibly empty.
+		 *
+		 * @member {string}
+		 */
+		this.type = type;
+
+		/**
+		 * Always 0 (unknown).
+		 *
+		 * @member {number}
+		 */
+		this.lastModified = 0;
+	}
+
+	get [ Symbol.toStringTag ]() {
+		return 'File';
+	}
+
+	/**
+	 * @return {ReadableStream}
+	 */
+	stream() {
+		if ( this.size === 0 ) {
+			return Readable.toWeb( Readable.from( [] ) );
+		}
+		return Readable.toWeb( this.getStream( 0, this.size ) );
+	}
+
+	/**
+	 * Get a part of the file, like `Blob.slice()` (but negative offsets are not supported).
+	 *
+	 * @param {number} [start]
+	 * @param {number} [end]
+	 * @return {StreamFile}
+	 */
+	slice( start = 0, end = this.size ) {
+		start = Math.min( start, this.size );
+		end = Math.max( start, Math.min( end, this.size ) );
+		return new StreamFile(
+			( sliceStart, sliceEnd ) => this.getStream( start + sliceStart, start + sliceEnd ),
+			end - start,
+			this.name,
+			this.type,
+		);
+	}
+
+}
+
+/**
+ * Create a File-like param value for the file at the given path.
+ * The file is streamed from disk whenever the request is sent
+ * (so it can also be sent again in automatic retries).
+ *
+ * @param {string} path
+ * @param {Object} [options]
+ * @param {string} [options.name] The file name; defaults to the last component of the path.
+ * @param {string} [options.type] The MIME type; defaults to the empty string (unknown).
+ * @return {Promise<StreamFile>}
+ */
+async function fileFromPath( path, { name = basename( path ), type = '' } = {} ) {
+	// eslint-disable-next-line security/detect-non-literal-fs-filename
+	const { size } = await stat( path );
+	return new StreamFile(
+		// eslint-disable-next-line security/detect-non-literal-fs-filename
+		( start, end ) => createReadStream( path, { start, end: end - 1 } ),
+		size,
+		name,
+		type,
+	);
+}
+
+/**
+ * Create a File-like param value from a Node.js Readable stream.
+ * Since a stream can only be read once,
+ * the request cannot be retried automatically once the stream has been read,
+ * and the file cannot be sliced (e.g. for chunked uploads);
+ * prefer {@link fileFromPath} or an fs FileHandle where possible.
+ *
+ * @param {Readable} stream
+ * @param {Object} options
+ * @param {number} options.size The size of the stream contents in bytes (required).
+ * @param {string} [options.name] The file name; defaults to 'blob'.
+ * @param {string} [options.type] The MIME type; defaults to the empty string (unknown).
+ * @return {StreamFile}
+ */
+function fileFromStream( stream, { size, name = 'blob', type = '' } ) {
+	let read = false;
+	return new StreamFile( ( start, end ) => {
+		if ( start !== 0 || end !== size ) {
+			throw new Error( 'm3api: cannot read only part of a stream param' );
+		}
+		if ( read ) {
+			throw new Error( 'm3api: cannot send a stream param again after it was already read' );
+		}
+		read = true;
+		return stream;
+	}, size, name, type );
+}
+
 class FetchNodeSession extends FetchSession {
 
-	constructor( apiUrl, defaultParams = {}, defaultOptions = {} ) {
+	/**
+	 * @param {string} apiUrl As for {@link FetchSession}.
+	 * @param {Object} [defaultParams] As for {@link FetchSession}.
+	 * @param {Object} [defaultOptions] As for {@link FetchSession}.
+	 * @param {CookieJar} [cookieJar] The tough-cookie jar to use for this session.
+	 * By default, each session gets its own new, empty jar;
+	 * pass in a jar to share cookies between several sessions
+	 * (e.g. for CentralAuth across the wikis of a wiki family),
+	 * or to use a cookie jar with a persistent store.
+	 */
+	constructor( apiUrl, defaultParams = {}, defaultOptions = {}, cookieJar = new CookieJar() ) {
 		super( apiUrl, defaultParams, defaultOptions );
 
+		/**
+		 * The cookie jar of this session.
+		 * It may be shared with other sessions.
+		 *
+		 * @member {CookieJar}
+		 */
+		this.cookieJar = cookieJar;
+
 		this.agent = new CookieAgent( {
-			cookies: { jar: new CookieJar() },
+			cookies: { jar: this.cookieJar },
 		} );
 	}
 
@@ -19,8 +182,120 @@ class FetchNodeSession extends FetchSession {
 		};
 	}
 
+	/**
+	 * Prepare a file param value, adding support for Node.js-specific values:
+	 * fs FileHandles (streamed from the start of the file for every attempt)
+	 * and fs ReadStreams (as returned by `fs.createReadStream()`;
+	 * the stream itself is destroyed, and its file is opened again for every attempt,
+	 * with the same start and end).
+	 * Other Readable streams must be wrapped with {@link fileFromStream},
+	 * since their size must be known in advance.
+	 *
+	 * @protected
+	 * @param {*} value
+	 * @return {Promise<Blob|StreamFile>}
+	 */
+	async prepareFileParam( value ) {
+		if ( isFileHandle( value ) ) {
+			const { size } = await value.stat();
+			return new StreamFile(
+				( start, end ) => value.createReadStream( {
+					start,
+					end: end - 1,
+					autoClose: false,
+				} ),
+				size,
+				'blob',
+				'',
+			);
+		}
+		if ( value instanceof Readable ) {
+			if ( typeof value.path !== 'string' ) {
+				throw new TypeError( 'm3api: the size of a stream param must be known, ' +
+					'use fileFromStream( stream, { size } )' );
+			}
+			// a stream can only be read once, but the request may be retried,
+			// so read the file from its path instead (the ReadStream end is inclusive)
+			const start = value.start || 0;
+			const end = value.end !== undefined ? value.end + 1 : Infinity;
+			value.destroy();
+			return ( await fileFromPath( value.path ) ).slice( start, end );
+		}
+		return value;
+	}
+
+	/**
+	 * Get a hash of the given string using the Node.js crypto module,
+	 * since the Web Crypto API is only available globally as of Node.js 19.
+	 *
+	 * @protected
+	 * @param {string} string
+	 * @return {Promise<string>}
+	 */
+	async digest( string ) {
+		return createHash( 'sha256' ).update( string ).digest( 'hex' );
+	}
+
+	/**
+	 * Remove the cookies of this session,
+	 * i.e. the cookies in the cookie jar that would be sent to the API URL.
+	 * If the cookie jar is shared with sessions for other wikis,
+	 * their cookies are kept (unless they also apply to this session’s API URL,
+	 * e.g. cookies set for a whole domain).
+	 *
+	 * @protected
+	 * @return {Promise}
+	 */
+	async clearCookies() {
+		for ( const cookie of await this.cookieJar.getCookies( this.apiUrl ) ) {
+			await this.cookieJar.store.removeCookie( cookie.domain, cookie.path, cookie.key );
+		}
+	}
+
+	/**
+	 * Export the cookies of this session,
+	 * e.g. to save them to a file between runs of a tool.
+	 *
+	 * @return {Promise<Object>} The serialized cookie jar,
+	 * which can be stored as JSON and later passed into {@link FetchNodeSession#importCookies}.
+	 */
+	async exportCookies() {
+		return this.cookieJar.serialize();
+	}
+
+	/**
+	 * Import cookies previously exported with {@link FetchNodeSession#exportCookies}.
+	 * The cookies are added to the cookie jar of this session,
+	 * replacing any existing cookies with the same domain, path and name.
+	 *
+	 * @param {Object|string} serialized The serialized cookie jar (or its JSON string).
+	 * @return {Promise}
+	 */
+	async importCookies( serialized ) {
+		const source = await CookieJar.deserialize( serialized );
+		for ( const cookie of await source.store.getAllCookies() ) {
+			await this.cookieJar.store.putCookie( cookie );
+		}
+	}
+
+}
+
+/**
+ * @private
+ * @param {*} value
+ * @return {boolean} Whether the value is an fs FileHandle
+ * (the class is not exported by Node.js).
+ */
+function isFileHandle( value ) {
+	return value !== null && typeof value === 'object' &&
+		typeof value.stat === 'function' &&
+		typeof value.createReadStream === 'function' &&
+		typeof value.fd === 'number';
 }
 
 export {
 	FetchNodeSession,
+	StreamFile,
+	fileFromPath,
+	fileFromStream,
 };
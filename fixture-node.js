@@ -0,0 +1,277 @@
+import { readFile, writeFile } from 'fs/promises';
+import { DEFAULT_OPTIONS, Session, isSecretParam } from './core.js';
+
+/**
+ * An Error thrown when replaying a fixture
+ * and the session makes a request that is not in the fixture
+ * (or that was already replayed).
+ */
+class UnmatchedRequestError extends Error {
+
+	/**
+	 * @param {Object} request The normalized request that could not be matched,
+	 * with `method` and `params` members.
+	 * @param {string} fileName The fixture file name.
+	 * @param {...*} params Any other params for the Error constructor.
+	 * (Use `{ cause }` to wrap another error.)
+	 */
+	constructor( request, fileName, ...params ) {
+		super(
+			`m3api fixture ${ fileName } has no (remaining) response for ${ request.method } request ` +
+				JSON.stringify( request.params ),
+			...params,
+		);
+
+		if ( Error.captureStackTrace ) {
+			Error.captureStackTrace( this, UnmatchedRequestError );
+		}
+
+		this.name = 'UnmatchedRequestError';
+
+		/**
+		 * The normalized request that could not be matched,
+		 * with `method` and `params` members.
+		 *
+		 * @member {Object}
+		 */
+		this.request = request;
+	}
+
+}
+
+/**
+ * Normalize the request made through {@link Session#fetch},
+ * so that it can be stored in a fixture and compared with other requests.
+ *
+ * @private
+ * @param {URL|string} resource
+ * @param {RequestInit} fetchOptions
+ * @param {string} tokenName The tokenName option of the session.
+ * @return {Object} An object with `method` and `params` members,
+ * the latter being an object with all URL and body parameters in sorted order.
+ * (File parameters are represented by a placeholder string,
+ * and tokens and passwords are redacted.)
+ */
+function normalizeRequest( resource, fetchOptions, tokenName ) {
+	const url = new URL( resource );
+	const entries = [ ...url.searchParams ];
+	const { body = null } = fetchOptions;
+	if ( body !== null ) {
+		for ( const [ name, value ] of body.entries() ) {
+			if ( typeof value === 'string' ) {
+				entries.push( [ name, value ] );
+			} else {
+				entries.push( [ name, `[file ${ value.name || '' }, ${ value.size } bytes]` ] );
+			}
+		}
+	}
+	entries.sort( ( [ nameA ], [ nameB ] ) => nameA < nameB ? -1 : nameA > nameB ? 1 : 0 );
+	const params = {};
+	for ( const [ name, value ] of entries ) {
+		params[ name ] = isSecretParam( name, tokenName ) ? '[redacted]' : value;
+	}
+	return {
+		method: fetchOptions.method,
+		url: `${ url.origin }${ url.pathname }`,
+		params,
+	};
+}
+
+/**
+ * @private
+ * @param {Object} requestA
+ * @param {Object} requestB
+ * @return {boolean}
+ */
+function requestsEqual( requestA, requestB ) {
+	return JSON.stringify( requestA ) === JSON.stringify( requestB );
+}
+
+/**
+ * A fixture of recorded requests and responses,
+ * used to record or replay the network traffic of a session.
+ * Create it with {@link useFixture}.
+ */
+class Fixture {
+
+	/**
+	 * @param {string} fileName
+	 * @param {string} mode 'record' or 'replay'.
+	 * @param {Object[]} interactions
+	 * @param {string} tokenName The tokenName option of the session.
+	 */
+	constructor( fileName, mode, interactions, tokenName ) {
+		/**
+		 * The name of the fixture file.
+		 *
+		 * @member {string}
+		 */
+		this.fileName = fileName;
+
+		/**
+		 * The mode of the fixture, 'record' or 'replay'.
+		 *
+		 * @member {string}
+		 */
+		this.mode = mode;
+
+		/**
+		 * The recorded interactions, each with `request` and `response` members.
+		 *
+		 * @private
+		 * @member {Object[]}
+		 */
+		this.interactions = interactions;
+
+		/**
+		 * For replay mode, which interactions have already been replayed.
+		 *
+		 * @private
+		 * @member {boolean[]}
+		 */
+		this.replayed = interactions.map( () => false );
+
+		/**
+		 * The name of the token parameter, which is redacted like other tokens.
+		 *
+		 * @private
+		 * @member {string}
+		 */
+		this.tokenName = tokenName;
+	}
+
+	/**
+	 * Record a request and the response to it.
+	 *
+	 * @private
+	 * @param {Function} fetch The original fetch method of the session.
+	 * @param {URL|string} resource
+	 * @param {RequestInit} fetchOptions
+	 * @return {Promise<Response>}
+	 */
+	async record( fetch, resource, fetchOptions ) {
+		const request = normalizeRequest( resource, fetchOptions, this.tokenName );
+		const response = await fetch( resource, fetchOptions );
+		const headers = {};
+		for ( const [ name, value ] of response.headers ) {
+			if ( name === 'set-cookie' ) {
+				continue; // cookies are not needed for replaying and may contain secrets
+			}
+			headers[ name ] = value;
+		}
+		const interaction = {
+			request,
+			response: {
+				status: response.status,
+				headers,
+				body: response.body !== null ? await response.clone().text() : null,
+			},
+		};
+		this.interactions.push( interaction );
+		return response;
+	}
+
+	/**
+	 * Replay the response to a request.
+	 * Each recorded interaction is only replayed once,
+	 * in the order in which they were recorded.
+	 *
+	 * @private
+	 * @param {URL|string} resource
+	 * @param {RequestInit} fetchOptions
+	 * @return {Response}
+	 * @throws {UnmatchedRequestError}
+	 */
+	replay( resource, fetchOptions ) {
+		const request = normalizeRequest( resource, fetchOptions, this.tokenName );
+		const index = this.interactions.findIndex( ( interaction, i ) => !this.replayed[ i ] &&
+			requestsEqual( interaction.request, request ) );
+		if ( index === -1 ) {
+			throw new UnmatchedRequestError( request, this.fileName );
+		}
+		this.replayed[ index ] = true;
+		const { status, headers, body } = this.interactions[ index ].response;
+		return new Response( body, { status, headers } );
+	}
+
+	/**
+	 * Finish using the fixture.
+	 *
+	 * In record mode, this writes the recorded interactions to the fixture file.
+	 * In replay mode, this checks that all recorded interactions were replayed,
+	 * and throws an error otherwise.
+	 *
+	 * @return {Promise}
+	 */
+	async finish() {
+		if ( this.mode === 'record' ) {
+			// eslint-disable-next-line security/detect-non-literal-fs-filename
+			await writeFile( this.fileName, JSON.stringify( {
+				interactions: this.interactions,
+			}, null, '\t' ) + '\n' );
+		} else {
+			const remaining = this.interactions.filter( ( _, i ) => !this.replayed[ i ] );
+			if ( remaining.length > 0 ) {
+				throw new Error( `m3api fixture ${ this.fileName } has ${ remaining.length } ` +
+					'interaction(s) that were not replayed, first: ' +
+					JSON.stringify( remaining[ 0 ].request ) );
+			}
+		}
+	}
+
+}
+
+/**
+ * Record or replay the network traffic of a session using a JSON fixture file.
+ *
+ * This replaces the {@link Session#fetch} method of the given session object:
+ * in record mode, requests are still sent to the network,
+ * and each request and the response to it are recorded;
+ * in replay mode, no requests are sent to the network,
+ * and the recorded responses are returned instead,
+ * throwing an {@link UnmatchedRequestError} for requests that are not in the fixture.
+ * Requests are matched on their method, URL and parameters
+ * (but not on request headers, which are not recorded,
+ * so that authorization headers are not saved in the fixture file).
+ *
+ * Tokens and passwords in the request parameters are redacted
+ * (both when recording and when replaying, so that requests still match),
+ * and Set-Cookie response headers are not recorded;
+ * however, the response bodies are recorded unchanged.
+ *
+ * Call {@link Fixture#finish} at the end of the test
+ * to write the fixture file (in record mode) or check that all recorded requests were made.
+ *
+ * @param {Session} session The session to record or replay.
+ * @param {string} fileName The fixture file name.
+ * @param {string} [mode] 'record' or 'replay' (the default).
+ * @return {Promise<Fixture>}
+ */
+async function useFixture( session, fileName, mode = 'replay' ) {
+	const { tokenName } = {
+		...DEFAULT_OPTIONS,
+		...session.defaultOptions,
+	};
+	let fixture;
+	if ( mode === 'record' ) {
+		fixture = new Fixture( fileName, mode, [], tokenName );
+		const originalFetch = session.fetch.bind( session );
+		session.fetch = ( resource, fetchOptions ) => fixture.record(
+			originalFetch, resource, fetchOptions );
+	} else if ( mode === 'replay' ) {
+		// eslint-disable-next-line security/detect-non-literal-fs-filename
+		const { interactions } = JSON.parse( await readFile( fileName, 'utf8' ) );
+		fixture = new Fixture( fileName, mode, interactions, tokenName );
+		session.fetch = async ( resource, fetchOptions ) => fixture.replay(
+			resource, fetchOptions );
+	} else {
+		throw new Error( `Unknown fixture mode: ${ mode }` );
+	}
+	return fixture;
+}
+
+export {
+	Fixture,
+	UnmatchedRequestError,
+	useFixture,
+};
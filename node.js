@@ -11,5 +11,16 @@ mixCombiningSessionInto( NodeSession );
 export {
 	ApiErrors,
 	ApiWarnings,
+	LoginError,
+	MemoryCache,
+	RequestTimeoutError,
+	UploadError,
 	set,
 } from './core.js';
+export {
+	DirectoryCache,
+} from './cache-node.js';
+export {
+	fileFromPath,
+	fileFromStream,
+} from './fetch-node.js';
@@ -1,6 +1,7 @@
 /* eslint-env mocha */
 
 import NodeSession, { set } from '../../node.js';
+import { FakeApiServer } from '../../fake-server-node.js';
 import { expect } from 'chai';
 import { File } from 'buffer'; // only available globally since Node 20
 import fs from 'fs/promises';
@@ -8,13 +9,61 @@ import process from 'process';
 
 const userAgent = 'm3api-integration-tests (https://phabricator.wikimedia.org/tag/m3api/)';
 
+// if set, run the tests against a local FakeApiServer instead of Wikimedia wikis,
+// skipping the tests that need features the fake server does not support
+const offline = !!process.env.M3API_TEST_OFFLINE;
+
 describe( 'NodeSession', function () {
 
 	this.timeout( 60000 );
 
 	let mediawikiUsername, mediawikiPassword;
+	let fakeServer = null, fakeApiUrl = null;
+
+	/**
+	 * Get the API URL to use for the given wiki:
+	 * the wiki itself, or the fake server in offline mode.
+	 *
+	 * @param {string} wiki
+	 * @return {string}
+	 */
+	function apiUrl( wiki ) {
+		return offline ? fakeApiUrl : wiki;
+	}
+
+	/**
+	 * Skip the current test in offline mode.
+	 *
+	 * @param {Object} test The mocha context (`this` in the test function).
+	 */
+	function skipIfOffline( test ) {
+		if ( offline ) {
+			test.skip();
+		}
+	}
+
+	before( 'start fake server', async () => {
+		if ( !offline ) {
+			return;
+		}
+		mediawikiUsername = 'M3api test';
+		mediawikiPassword = 'fake password';
+		fakeServer = new FakeApiServer( {
+			users: { [ mediawikiUsername ]: mediawikiPassword },
+		} );
+		fakeApiUrl = await fakeServer.start();
+	} );
+
+	after( 'stop fake server', async () => {
+		if ( fakeServer !== null ) {
+			await fakeServer.close();
+		}
+	} );
 
 	before( 'load credentials', async () => {
+		if ( offline ) {
+			return;
+		}
 		// note: m3api-botpassword and m3api-rest have copies of this code
 		mediawikiUsername = process.env.MEDIAWIKI_USERNAME;
 		mediawikiPassword = process.env.MEDIAWIKI_PASSWORD;
@@ -61,7 +110,8 @@ describe( 'NodeSession', function () {
 		}
 	} );
 
-	it( 'siteinfo, array siprops, default formatversion', async () => {
+	it( 'siteinfo, array siprops, default formatversion', async function () {
+		skipIfOffline( this );
 		const session = new NodeSession( 'en.wikipedia.org', {
 			formatversion: 2,
 		}, {
@@ -78,7 +128,8 @@ describe( 'NodeSession', function () {
 		expect( response.query.statistics.pages ).to.be.above( 0 );
 	} );
 
-	it( 'validatepassword', async () => {
+	it( 'validatepassword', async function () {
+		skipIfOffline( this );
 		const session = new NodeSession( 'en.wikipedia.org', {
 			formatversion: 2,
 		}, {
@@ -95,7 +146,7 @@ describe( 'NodeSession', function () {
 		if ( !mediawikiUsername || !mediawikiPassword ) {
 			return this.skip();
 		}
-		const session = new NodeSession( 'test.wikipedia.org', {
+		const session = new NodeSession( apiUrl( 'test.wikipedia.org' ), {
 			formatversion: 2,
 		}, {
 			userAgent,
@@ -144,11 +195,12 @@ describe( 'NodeSession', function () {
 		const contentB = "<svg xmlns='http://www.w3.org/2000/svg' />\n";
 		// eslint-disable-next-line no-loop-func
 		it( `upload (${ name })`, async function () {
+			skipIfOffline( this );
 			if ( !mediawikiUsername || !mediawikiPassword ) {
 				return this.skip();
 			}
 
-			const session = new NodeSession( 'test.wikipedia.org', {
+			const session = new NodeSession( apiUrl( 'test.wikipedia.org' ), {
 				formatversion: 2,
 			}, {
 				userAgent,
@@ -0,0 +1,82 @@
+/* eslint-env mocha */
+
+import { DirectoryCache } from '../../cache-node.js';
+import { singleRequestSession } from './sessions.js';
+import { expect } from 'chai';
+import { mkdtemp, readdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+describe( 'DirectoryCache', () => {
+
+	let directory;
+
+	beforeEach( async () => {
+		directory = await mkdtemp( join( tmpdir(), 'm3api-test-' ) );
+	} );
+
+	afterEach( async () => {
+		await rm( directory, { recursive: true, force: true } );
+	} );
+
+	it( 'stores entries', async () => {
+		const cache = new DirectoryCache( directory );
+		expect( await cache.get( 'a' ) ).to.be.undefined;
+		await cache.set( 'a', { value: 1 } );
+		expect( await cache.get( 'a' ) ).to.eql( { value: 1 } );
+		await cache.set( 'a', { value: 2 } );
+		expect( await cache.get( 'a' ) ).to.eql( { value: 2 } );
+		await cache.delete( 'a' );
+		expect( await cache.get( 'a' ) ).to.be.undefined;
+		await cache.delete( 'a' ); // no error
+	} );
+
+	it( 'persists entries across instances', async () => {
+		await new DirectoryCache( directory ).set( 'a', { value: 1 } );
+		expect( await new DirectoryCache( directory ).get( 'a' ) ).to.eql( { value: 1 } );
+	} );
+
+	it( 'creates the directory', async () => {
+		const cache = new DirectoryCache( join( directory, 'sub', 'dir' ) );
+		await cache.set( 'a', { value: 1 } );
+		expect( await cache.get( 'a' ) ).to.eql( { value: 1 } );
+	} );
+
+	it( 'ignores corrupt files', async () => {
+		const cache = new DirectoryCache( directory );
+		await cache.set( 'a', { value: 1 } );
+		// eslint-disable-next-line security/detect-non-literal-fs-filename
+		const [ fileName ] = await readdir( directory );
+		// eslint-disable-next-line security/detect-non-literal-fs-filename
+		await writeFile( join( directory, fileName ), '{' );
+		expect( await cache.get( 'a' ) ).to.be.undefined;
+	} );
+
+	it( 'clears all entries', async () => {
+		const cache = new DirectoryCache( directory );
+		await cache.set( 'a', { value: 1 } );
+		await cache.set( 'b', { value: 2 } );
+		// eslint-disable-next-line security/detect-non-literal-fs-filename
+		await writeFile( join( directory, 'unrelated.txt' ), '' );
+		await cache.clear();
+		// eslint-disable-next-line security/detect-non-literal-fs-filename
+		expect( await readdir( directory ) ).to.eql( [ 'unrelated.txt' ] );
+	} );
+
+	it( 'clears missing directory', async () => {
+		await new DirectoryCache( join( directory, 'missing' ) ).clear();
+	} );
+
+	it( 'caches responses across sessions', async () => {
+		const options = { cacheTtlSeconds: 60 };
+		const session1 = singleRequestSession( { meta: 'siteinfo' }, { response: true } );
+		session1.defaultOptions.cache = new DirectoryCache( directory );
+		await session1.request( { meta: 'siteinfo' }, options );
+
+		const session2 = singleRequestSession( { meta: 'other' } ); // not called
+		session2.defaultOptions.cache = new DirectoryCache( directory );
+		expect( await session2.request( { meta: 'siteinfo' }, options ) )
+			.to.eql( { response: true } );
+	} );
+
+} );
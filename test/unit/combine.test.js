@@ -9,6 +9,7 @@ import {
 } from './sessions.js';
 import { expect, use } from 'chai';
 import chaiAsPromised from 'chai-as-promised';
+import FakeTimers from '@sinonjs/fake-timers';
 use( chaiAsPromised );
 import { File } from 'buffer'; // only available globally since Node 20
 
@@ -40,8 +41,8 @@ describe( 'CombiningSession', () => {
 			const promise1 = session.request( {} );
 			const promise2 = session.request( { formatversion: 2 } );
 			const [ response1, response2 ] = await Promise.all( [ promise1, promise2 ] );
-			expect( response1 ).to.equal( response );
-			expect( response2 ).to.equal( response );
+			expect( response1 ).to.eql( response );
+			expect( response2 ).to.equal( response1 );
 		} );
 
 		it( 'nonempty + empty', async () => {
@@ -51,8 +52,8 @@ describe( 'CombiningSession', () => {
 			const promise1 = session.request( { formatversion: 2 } );
 			const promise2 = session.request( {} );
 			const [ response1, response2 ] = await Promise.all( [ promise1, promise2 ] );
-			expect( response1 ).to.equal( response );
-			expect( response2 ).to.equal( response );
+			expect( response1 ).to.eql( response );
+			expect( response2 ).to.equal( response1 );
 		} );
 
 		it( 'identical parameters', async () => {
@@ -63,8 +64,8 @@ describe( 'CombiningSession', () => {
 			const promise1 = session.request( { formatversion: 2, errorformat: 'raw' } );
 			const promise2 = session.request( { formatversion: 2, errorformat: 'raw' } );
 			const [ response1, response2 ] = await Promise.all( [ promise1, promise2 ] );
-			expect( response1 ).to.equal( response );
-			expect( response2 ).to.equal( response );
+			expect( response1 ).to.eql( response );
+			expect( response2 ).to.equal( response1 );
 		} );
 
 		it( 'identical but swapped parameters', async () => {
@@ -75,8 +76,8 @@ describe( 'CombiningSession', () => {
 			const promise1 = session.request( { formatversion: 2, errorformat: 'raw' } );
 			const promise2 = session.request( { errorformat: 'raw', formatversion: 2 } );
 			const [ response1, response2 ] = await Promise.all( [ promise1, promise2 ] );
-			expect( response1 ).to.equal( response );
-			expect( response2 ).to.equal( response );
+			expect( response1 ).to.eql( response );
+			expect( response2 ).to.equal( response1 );
 		} );
 
 		it( 'disjoint parameters', async () => {
@@ -87,8 +88,8 @@ describe( 'CombiningSession', () => {
 			const promise1 = session.request( { formatversion: 2 } );
 			const promise2 = session.request( { errorformat: 'raw' } );
 			const [ response1, response2 ] = await Promise.all( [ promise1, promise2 ] );
-			expect( response1 ).to.equal( response );
-			expect( response2 ).to.equal( response );
+			expect( response1 ).to.eql( response );
+			expect( response2 ).to.equal( response1 );
 		} );
 
 		it( 'differently typed scalar parameters', async () => {
@@ -99,8 +100,8 @@ describe( 'CombiningSession', () => {
 			const promise1 = session.request( { two: 2, yes: true, no: false } );
 			const promise2 = session.request( { two: '2', yes: '', no: null } );
 			const [ response1, response2 ] = await Promise.all( [ promise1, promise2 ] );
-			expect( response1 ).to.equal( response );
-			expect( response2 ).to.equal( response );
+			expect( response1 ).to.eql( response );
+			expect( response2 ).to.equal( response1 );
 		} );
 
 		it( 'set parameters', async () => {
@@ -110,8 +111,8 @@ describe( 'CombiningSession', () => {
 			const promise1 = session.request( { meta: set( 'siteinfo' ) } );
 			const promise2 = session.request( { meta: set( 'userinfo' ) } );
 			const [ response1, response2 ] = await Promise.all( [ promise1, promise2 ] );
-			expect( response1 ).to.equal( response );
-			expect( response2 ).to.equal( response );
+			expect( response1 ).to.eql( response );
+			expect( response2 ).to.equal( response1 );
 		} );
 
 		it( 'set + nonempty set', async () => {
@@ -121,8 +122,8 @@ describe( 'CombiningSession', () => {
 			const promise1 = session.request( { meta: set() } );
 			const promise2 = session.request( { meta: set( 'siteinfo' ) } );
 			const [ response1, response2 ] = await Promise.all( [ promise1, promise2 ] );
-			expect( response1 ).to.equal( response );
-			expect( response2 ).to.equal( response );
+			expect( response1 ).to.eql( response );
+			expect( response2 ).to.equal( response1 );
 		} );
 
 		it( 'nonempty set + empty set', async () => {
@@ -132,8 +133,8 @@ describe( 'CombiningSession', () => {
 			const promise1 = session.request( { meta: set( 'siteinfo' ) } );
 			const promise2 = session.request( { meta: set() } );
 			const [ response1, response2 ] = await Promise.all( [ promise1, promise2 ] );
-			expect( response1 ).to.equal( response );
-			expect( response2 ).to.equal( response );
+			expect( response1 ).to.eql( response );
+			expect( response2 ).to.equal( response1 );
 		} );
 
 		it( 'longer sets', async () => {
@@ -143,8 +144,8 @@ describe( 'CombiningSession', () => {
 			const promise1 = session.request( { alpha: set( 'a', 'b', 'c', 'd', 'e' ) } );
 			const promise2 = session.request( { alpha: set( 'd', 'e', 'f', 'g', 'h' ) } );
 			const [ response1, response2 ] = await Promise.all( [ promise1, promise2 ] );
-			expect( response1 ).to.equal( response );
-			expect( response2 ).to.equal( response );
+			expect( response1 ).to.eql( response );
+			expect( response2 ).to.equal( response1 );
 		} );
 
 		it( 'sets with differently typed scalars', async () => {
@@ -154,8 +155,8 @@ describe( 'CombiningSession', () => {
 			const promise1 = session.request( { two: set( 2 ) } );
 			const promise2 = session.request( { two: set( '2' ) } );
 			const [ response1, response2 ] = await Promise.all( [ promise1, promise2 ] );
-			expect( response1 ).to.equal( response );
-			expect( response2 ).to.equal( response );
+			expect( response1 ).to.eql( response );
+			expect( response2 ).to.equal( response1 );
 		} );
 
 		it( 'sets from more than two requests', async () => {
@@ -209,13 +210,13 @@ describe( 'CombiningSession', () => {
 				promise6,
 				promise7,
 			] );
-			expect( response1 ).to.equal( response );
-			expect( response2 ).to.equal( response );
-			expect( response3 ).to.equal( response );
-			expect( response4 ).to.equal( response );
-			expect( response5 ).to.equal( response );
-			expect( response6 ).to.equal( response );
-			expect( response7 ).to.equal( response );
+			expect( response1 ).to.eql( response );
+			expect( response2 ).to.equal( response1 );
+			expect( response3 ).to.equal( response1 );
+			expect( response4 ).to.equal( response1 );
+			expect( response5 ).to.equal( response1 );
+			expect( response6 ).to.equal( response1 );
+			expect( response7 ).to.equal( response1 );
 		} );
 
 		it( 'requestAndContinue + requestAndContinue', async () => {
@@ -228,8 +229,8 @@ describe( 'CombiningSession', () => {
 				{ value: response1 },
 				{ value: response2 },
 			] = await Promise.all( [ promise1, promise2 ] );
-			expect( response1 ).to.equal( response );
-			expect( response2 ).to.equal( response );
+			expect( response1 ).to.eql( response );
+			expect( response2 ).to.equal( response1 );
 		} );
 
 		it( 'requestAndContinue + request', async () => {
@@ -243,8 +244,8 @@ describe( 'CombiningSession', () => {
 				{ value: response1 },
 				response2,
 			] = await Promise.all( [ promise1, promise2 ] );
-			expect( response1 ).to.equal( response );
-			expect( response2 ).to.equal( response );
+			expect( response1 ).to.eql( response );
+			expect( response2 ).to.equal( response1 );
 		} );
 
 		it( 'same options', async () => {
@@ -258,8 +259,8 @@ describe( 'CombiningSession', () => {
 				maxRetriesSeconds: 120,
 			} );
 			const [ response1, response2 ] = await Promise.all( [ promise1, promise2 ] );
-			expect( response1 ).to.equal( response );
-			expect( response2 ).to.equal( response );
+			expect( response1 ).to.eql( response );
+			expect( response2 ).to.equal( response1 );
 		} );
 
 		it( 'explicit default options', async () => {
@@ -271,8 +272,8 @@ describe( 'CombiningSession', () => {
 				maxRetriesSeconds: 65,
 			} );
 			const [ response1, response2 ] = await Promise.all( [ promise1, promise2 ] );
-			expect( response1 ).to.equal( response );
-			expect( response2 ).to.equal( response );
+			expect( response1 ).to.eql( response );
+			expect( response2 ).to.equal( response1 );
 		} );
 
 		it( 'token + query', async () => {
@@ -399,8 +400,8 @@ describe( 'CombiningSession', () => {
 			const promise1 = session.request( {}, { tokenName: 'token' } );
 			const promise2 = session.request( {}, { tokenName: 'lgtoken' } );
 			const [ response1, response2 ] = await Promise.all( [ promise1, promise2 ] );
-			expect( response1 ).to.equal( response );
-			expect( response2 ).to.equal( response );
+			expect( response1 ).to.eql( response );
+			expect( response2 ).to.equal( response1 );
 		} );
 
 		it( 'same tokenType + tokenName', async () => {
@@ -426,8 +427,8 @@ describe( 'CombiningSession', () => {
 			const promise1 = session.request( {}, { tokenType: 'csrf' } );
 			const promise2 = session.request( {}, { tokenType: 'csrf', tokenName: 'token' } );
 			const [ response1, response2 ] = await Promise.all( [ promise1, promise2 ] );
-			expect( response1 ).to.equal( response );
-			expect( response2 ).to.equal( response );
+			expect( response1 ).to.eql( response );
+			expect( response2 ).to.equal( response1 );
 		} );
 
 	} );
@@ -489,9 +490,14 @@ describe( 'CombiningSession', () => {
 				promise2,
 				promise3,
 			] );
-			expect( response1 ).to.equal( response );
-			expect( response2 ).to.equal( response );
-			expect( response3 ).to.equal( response );
+			expect( response1 ).to.eql( {
+				warnings: {
+					main: { warnings: 'Subscribe to…', module: 'main' },
+					revisions: { warnings: 'Because…', module: 'revisions' },
+				},
+			} );
+			expect( response2 ).to.equal( response1 );
+			expect( response3 ).to.equal( response1 );
 			expect( called1 ).to.be.true;
 			expect( called2 ).to.be.true;
 			expect( called3 ).to.be.true;
@@ -529,8 +535,8 @@ describe( 'CombiningSession', () => {
 			const promise1 = session.request( {}, { warn } );
 			const promise2 = session.request( {}, { dropTruncatedResultWarning: true } );
 			const [ response1, response2 ] = await Promise.all( [ promise1, promise2 ] );
-			expect( response1 ).to.equal( response );
-			expect( response2 ).to.equal( response );
+			expect( response1 ).to.eql( response );
+			expect( response2 ).to.equal( response1 );
 			expect( called ).to.be.true;
 		} );
 
@@ -561,8 +567,8 @@ describe( 'CombiningSession', () => {
 				{ expectedParams, response },
 				{ expectedParams, response },
 			] );
-			expect( await session.request( { formatversion: 2 } ) ).to.equal( response );
-			expect( await session.request( { formatversion: 2 } ) ).to.equal( response );
+			expect( await session.request( { formatversion: 2 } ) ).to.eql( response );
+			expect( await session.request( { formatversion: 2 } ) ).to.eql( response );
 		} );
 
 		it( 'incompatible', async () => {
@@ -574,12 +580,55 @@ describe( 'CombiningSession', () => {
 				{ expectedParams: params1, response: response1 },
 				{ expectedParams: params2, response: response2 },
 			] );
-			expect( await session.request( params1 ) ).to.equal( response1 );
-			expect( await session.request( params2 ) ).to.equal( response2 );
+			expect( await session.request( params1 ) ).to.eql( response1 );
+			expect( await session.request( params2 ) ).to.eql( response2 );
 		} );
 
 	} );
 
+	it( 'combines requests while throttled', async () => {
+		const clock = FakeTimers.createClock();
+		const options = { throttleGetSeconds: 1, clock };
+		const session = sequentialRequestSession( [
+			{ expectedParams: { list: 'a' } },
+			{ expectedParams: { list: 'b|c' } },
+		] );
+		const promise1 = session.request( { list: set( 'a' ) }, options );
+		await clock.tickAsync( 0 );
+		const promise2 = session.request( { list: set( 'b' ) }, options );
+		await clock.tickAsync( 500 );
+		const promise3 = session.request( { list: set( 'c' ) }, options );
+		await clock.tickAsync( 500 );
+		await Promise.all( [ promise1, promise2, promise3 ] );
+		expect( clock.countTimers() ).to.equal( 0 );
+	} );
+
+	it( 'stops waiting for the throttle on abort', async () => {
+		const clock = FakeTimers.createClock();
+		// eslint-disable-next-line compat/compat
+		const controller = new AbortController();
+		const options = { throttleGetSeconds: 1, clock, signal: controller.signal };
+		const session = singleRequestSession( { list: 'a' } );
+		await session.request( { list: set( 'a' ) }, options );
+		const promise = session.request( { list: set( 'b' ) }, options );
+		await clock.tickAsync( 0 );
+		const reason = new Error( 'aborted' );
+		controller.abort( reason );
+		await expect( promise ).to.be.rejectedWith( reason );
+		expect( clock.countTimers() ).to.equal( 0 );
+	} );
+
+	it( 'counts combined requests in stats', async () => {
+		const session = singleRequestSession( { list: 'a|b|c' } );
+		await Promise.all( [
+			session.request( { list: set( 'a' ) } ),
+			session.request( { list: set( 'b' ) } ),
+			session.request( { list: set( 'c' ) } ),
+		] );
+		expect( session.stats.requests ).to.equal( 1 );
+		expect( session.stats.combinedRequests ).to.equal( 2 );
+	} );
+
 	describe( 'does not combine concurrent incompatible requests', () => {
 
 		it( 'different strings', async () => {
@@ -594,8 +643,8 @@ describe( 'CombiningSession', () => {
 			const promise1 = session.request( params1 );
 			const promise2 = session.request( params2 );
 			const responses = await Promise.all( [ promise1, promise2 ] );
-			expect( responses[ 0 ] ).to.equal( response1 );
-			expect( responses[ 1 ] ).to.equal( response2 );
+			expect( responses[ 0 ] ).to.eql( response1 );
+			expect( responses[ 1 ] ).to.eql( response2 );
 		} );
 
 		it( 'string + set', async () => {
@@ -611,8 +660,8 @@ describe( 'CombiningSession', () => {
 			const promise1 = session.request( params1 );
 			const promise2 = session.request( params2 );
 			const responses = await Promise.all( [ promise1, promise2 ] );
-			expect( responses[ 0 ] ).to.equal( response1 );
-			expect( responses[ 1 ] ).to.equal( response2 );
+			expect( responses[ 0 ] ).to.eql( response1 );
+			expect( responses[ 1 ] ).to.eql( response2 );
 		} );
 
 		it( 'string + array', async () => {
@@ -628,8 +677,8 @@ describe( 'CombiningSession', () => {
 			const promise1 = session.request( params1 );
 			const promise2 = session.request( params2 );
 			const responses = await Promise.all( [ promise1, promise2 ] );
-			expect( responses[ 0 ] ).to.equal( response1 );
-			expect( responses[ 1 ] ).to.equal( response2 );
+			expect( responses[ 0 ] ).to.eql( response1 );
+			expect( responses[ 1 ] ).to.eql( response2 );
 		} );
 
 		it( 'array + set', async () => {
@@ -645,8 +694,8 @@ describe( 'CombiningSession', () => {
 			const promise1 = session.request( params1 );
 			const promise2 = session.request( params2 );
 			const responses = await Promise.all( [ promise1, promise2 ] );
-			expect( responses[ 0 ] ).to.equal( response1 );
-			expect( responses[ 1 ] ).to.equal( response2 );
+			expect( responses[ 0 ] ).to.eql( response1 );
+			expect( responses[ 1 ] ).to.eql( response2 );
 		} );
 
 		it( 'array + array', async () => {
@@ -662,8 +711,8 @@ describe( 'CombiningSession', () => {
 			const promise1 = session.request( params1 );
 			const promise2 = session.request( params2 );
 			const responses = await Promise.all( [ promise1, promise2 ] );
-			expect( responses[ 0 ] ).to.equal( response1 );
-			expect( responses[ 1 ] ).to.equal( response2 );
+			expect( responses[ 0 ] ).to.eql( response1 );
+			expect( responses[ 1 ] ).to.eql( response2 );
 		} );
 
 		it( 'true + false', async () => {
@@ -678,8 +727,8 @@ describe( 'CombiningSession', () => {
 			const promise1 = session.request( params1 );
 			const promise2 = session.request( params2 );
 			const responses = await Promise.all( [ promise1, promise2 ] );
-			expect( responses[ 0 ] ).to.equal( response1 );
-			expect( responses[ 1 ] ).to.equal( response2 );
+			expect( responses[ 0 ] ).to.eql( response1 );
+			expect( responses[ 1 ] ).to.eql( response2 );
 		} );
 
 		it( 'string + undefined', async () => {
@@ -694,8 +743,8 @@ describe( 'CombiningSession', () => {
 			const promise1 = session.request( params1 );
 			const promise2 = session.request( params2 );
 			const responses = await Promise.all( [ promise1, promise2 ] );
-			expect( responses[ 0 ] ).to.equal( response1 );
-			expect( responses[ 1 ] ).to.equal( response2 );
+			expect( responses[ 0 ] ).to.eql( response1 );
+			expect( responses[ 1 ] ).to.eql( response2 );
 		} );
 
 		it( 'set + null', async () => {
@@ -710,8 +759,8 @@ describe( 'CombiningSession', () => {
 			const promise1 = session.request( params1 );
 			const promise2 = session.request( params2 );
 			const responses = await Promise.all( [ promise1, promise2 ] );
-			expect( responses[ 0 ] ).to.equal( response1 );
-			expect( responses[ 1 ] ).to.equal( response2 );
+			expect( responses[ 0 ] ).to.eql( response1 );
+			expect( responses[ 1 ] ).to.eql( response2 );
 		} );
 
 		it( 'different blobs', async () => {
@@ -729,8 +778,8 @@ describe( 'CombiningSession', () => {
 			const promise1 = session.request( params1, { method } );
 			const promise2 = session.request( params2, { method } );
 			const responses = await Promise.all( [ promise1, promise2 ] );
-			expect( responses[ 0 ] ).to.equal( response1 );
-			expect( responses[ 1 ] ).to.equal( response2 );
+			expect( responses[ 0 ] ).to.eql( response1 );
+			expect( responses[ 1 ] ).to.eql( response2 );
 		} );
 
 		it( 'different files', async () => {
@@ -748,8 +797,8 @@ describe( 'CombiningSession', () => {
 			const promise1 = session.request( params1, { method } );
 			const promise2 = session.request( params2, { method } );
 			const responses = await Promise.all( [ promise1, promise2 ] );
-			expect( responses[ 0 ] ).to.equal( response1 );
-			expect( responses[ 1 ] ).to.equal( response2 );
+			expect( responses[ 0 ] ).to.eql( response1 );
+			expect( responses[ 1 ] ).to.eql( response2 );
 		} );
 
 		for ( const first of [ 'generator', 'continue' ] ) {
@@ -766,8 +815,8 @@ describe( 'CombiningSession', () => {
 					const promise1 = session.request( params1 );
 					const promise2 = session.request( params2 );
 					const responses = await Promise.all( [ promise1, promise2 ] );
-					expect( responses[ 0 ] ).to.equal( response1 );
-					expect( responses[ 1 ] ).to.equal( response2 );
+					expect( responses[ 0 ] ).to.eql( response1 );
+					expect( responses[ 1 ] ).to.eql( response2 );
 				} );
 			}
 		}
@@ -786,8 +835,8 @@ describe( 'CombiningSession', () => {
 					const promise1 = session.request( params1 );
 					const promise2 = session.request( params2 );
 					const responses = await Promise.all( [ promise1, promise2 ] );
-					expect( responses[ 0 ] ).to.equal( response1 );
-					expect( responses[ 1 ] ).to.equal( response2 );
+					expect( responses[ 0 ] ).to.eql( response1 );
+					expect( responses[ 1 ] ).to.eql( response2 );
 				} );
 			}
 		}
@@ -804,8 +853,8 @@ describe( 'CombiningSession', () => {
 			const promise1 = session.requestAndContinue( params1 ).next();
 			const promise2 = session.request( params2 );
 			const responses = await Promise.all( [ promise1, promise2 ] );
-			expect( responses[ 0 ].value ).to.equal( response1 );
-			expect( responses[ 1 ] ).to.equal( response2 );
+			expect( responses[ 0 ].value ).to.eql( response1 );
+			expect( responses[ 1 ] ).to.eql( response2 );
 		} );
 
 		describe( 'incompatible options', () => {
@@ -820,14 +869,16 @@ describe( 'CombiningSession', () => {
 				const promise1 = session.request( params, { method: 'GET' } );
 				const promise2 = session.request( params, { method: 'POST' } );
 				const responses = await Promise.all( [ promise1, promise2 ] );
-				expect( responses[ 0 ] ).to.equal( response );
-				expect( responses[ 1 ] ).to.equal( response );
+				expect( responses[ 0 ] ).to.eql( response );
+				expect( responses[ 1 ] ).to.eql( response );
 			} );
 
 			for ( const [ optionName, optionA, optionB ] of [
 				[ 'maxRetriesSeconds', 0, 65 ],
 				[ 'userAgent', 'foo', 'bar' ],
 				[ 'different-package/unknownOption', 'x', 'y' ],
+				// eslint-disable-next-line compat/compat
+				[ 'signal', new AbortController().signal, new AbortController().signal ],
 				[
 					'callableOption',
 					function x() {},
@@ -844,8 +895,8 @@ describe( 'CombiningSession', () => {
 					const promise1 = session.request( params, { [ optionName ]: optionA } );
 					const promise2 = session.request( params, { [ optionName ]: optionB } );
 					const responses = await Promise.all( [ promise1, promise2 ] );
-					expect( responses[ 0 ] ).to.equal( response );
-					expect( responses[ 1 ] ).to.equal( response );
+					expect( responses[ 0 ] ).to.eql( response );
+					expect( responses[ 1 ] ).to.eql( response );
 				} );
 			}
 
@@ -859,8 +910,8 @@ describe( 'CombiningSession', () => {
 				const promise1 = session.request( params, { maxRetriesSeconds: 0 } );
 				const promise2 = session.request( params );
 				const responses = await Promise.all( [ promise1, promise2 ] );
-				expect( responses[ 0 ] ).to.equal( response );
-				expect( responses[ 1 ] ).to.equal( response );
+				expect( responses[ 0 ] ).to.eql( response );
+				expect( responses[ 1 ] ).to.eql( response );
 			} );
 
 			it( 'explicit non-default option in second request', async () => {
@@ -873,8 +924,8 @@ describe( 'CombiningSession', () => {
 				const promise1 = session.request( params );
 				const promise2 = session.request( params, { maxRetriesSeconds: 0 } );
 				const responses = await Promise.all( [ promise1, promise2 ] );
-				expect( responses[ 0 ] ).to.equal( response );
-				expect( responses[ 1 ] ).to.equal( response );
+				expect( responses[ 0 ] ).to.eql( response );
+				expect( responses[ 1 ] ).to.eql( response );
 			} );
 
 			it( 'same tokenType but different tokenName', async () => {
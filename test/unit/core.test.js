@@ -5,15 +5,23 @@ import {
 	ApiWarnings,
 	DefaultUserAgentWarning,
 	DEFAULT_OPTIONS,
+	LoginError,
+	MaxlagWarning,
+	MemoryCache,
+	RequestTimeoutError,
+	SessionStats,
+	UploadError,
 	responseBoolean,
 	set,
 } from '../../core.js';
 import {
 	BaseTestSession,
+	networkError,
 	successfulResponse,
 	singleRequestSession,
 	sequentialRequestSession,
 } from './sessions.js';
+import { AsyncLocalStorage } from 'async_hooks';
 import { File } from 'buffer'; // only available globally since Node 20
 import { expect, use } from 'chai';
 import chaiAsPromised from 'chai-as-promised';
@@ -128,10 +136,25 @@ describe( 'Session', () => {
 					status: 502,
 				},
 			) );
-			await expect( session.request( { action: 'query' } ) )
+			await expect( session.request( { action: 'query' }, { maxRetriesSeconds: 0 } ) )
 				.to.be.rejectedWith( '502' );
 		} );
 
+		it( 'passes the request options to fetchWithOptions', async () => {
+			let actualOptions;
+			class TestSession extends BaseTestSession {
+				async fetchWithOptions( resource, fetchOptions, options ) {
+					expect( fetchOptions ).to.have.property( 'method', 'GET' );
+					actualOptions = options;
+					return successfulResponse( { response: true } );
+				}
+			}
+			const session = new TestSession( 'en.wikipedia.org' );
+			const options = { maxRetriesSeconds: 0, timeoutSeconds: 10 };
+			expect( await session.request( {}, options ) ).to.eql( { response: true } );
+			expect( actualOptions ).to.equal( options );
+		} );
+
 		describe( 'tokens', () => {
 
 			it( 'GETs token of tokenType using continuation', async () => {
@@ -479,6 +502,52 @@ describe( 'Session', () => {
 					expect( session.tokens ).not.to.have.keys( 'other' );
 				} );
 
+				it( 'does not use cached tokens when retrying', async () => {
+					const session = sequentialRequestSession( [
+						{
+							expectedParams: {
+								action: 'query',
+								meta: 'tokens',
+								type: 'csrf',
+							},
+							response: { query: { tokens: { csrftoken: 'badtoken+\\' } } },
+						},
+						{
+							expectedParams: {
+								action: 'edit',
+								token: 'badtoken+\\',
+							},
+							response: { errors: [ { code: 'badtoken' } ] },
+							method: 'POST',
+						},
+						{
+							expectedParams: {
+								action: 'query',
+								meta: 'tokens',
+								type: 'csrf',
+							},
+							response: { query: { tokens: { csrftoken: 'csrftoken+\\' } } },
+						},
+						{
+							expectedParams: {
+								action: 'edit',
+								token: 'csrftoken+\\',
+							},
+							response: { edit: true },
+							method: 'POST',
+						},
+					] );
+					session.defaultOptions.cacheTtlSeconds = 60;
+					session.defaultOptions.conditionalRequests = true;
+
+					const response = await session.request(
+						{ action: 'edit' },
+						{ method: 'POST', tokenType: 'csrf' },
+					);
+					expect( response ).to.eql( { edit: true } );
+					expect( session.memoryCache.size ).to.equal( 0 );
+				} );
+
 				it( 'discards tokens but does not retry with maxRetriesSeconds = 0', async () => {
 					const session = singleRequestSession(
 						{
@@ -518,6 +587,147 @@ describe( 'Session', () => {
 
 			} );
 
+			describe( 'user changes', () => {
+
+				/**
+				 * @param {string} name
+				 * @return {Object}
+				 */
+				function userinfoCall( name ) {
+					return {
+						expectedParams: { action: 'query', meta: 'userinfo' },
+						response: { query: { userinfo: { name } } },
+					};
+				}
+
+				it( 'invalidates tokens if the user name changes', async () => {
+					const session = sequentialRequestSession( [
+						userinfoCall( 'User' ),
+						userinfoCall( '127.0.0.1' ),
+					] );
+					await session.request( { action: 'query', meta: 'userinfo' } );
+					session.tokens.set( 'csrf', 'csrftoken+\\' );
+					await session.request( { action: 'query', meta: 'userinfo' } );
+					expect( session.tokens ).to.be.empty;
+				} );
+
+				it( 'keeps tokens if the user name is unchanged', async () => {
+					const session = sequentialRequestSession( [
+						userinfoCall( 'User' ),
+						userinfoCall( 'User' ),
+					] );
+					session.tokens.set( 'csrf', 'csrftoken+\\' );
+					await session.request( { action: 'query', meta: 'userinfo' } );
+					await session.request( { action: 'query', meta: 'userinfo' } );
+					expect( session.tokens ).to.have.keys( 'csrf' );
+				} );
+
+				it( 'invalidates tokens if the user differs from the login', async () => {
+					const session = sequentialRequestSession( [
+						{
+							expectedParams: { action: 'query', meta: 'tokens', type: 'login' },
+							response: { query: { tokens: { logintoken: 'login token' } } },
+						},
+						{
+							expectedParams: {
+								action: 'login',
+								lgname: 'User@Bot',
+								lgpassword: 'password',
+								lgtoken: 'login token',
+							},
+							response: { login: { result: 'Success', lgusername: 'User' } },
+							method: 'POST',
+						},
+						{
+							...userinfoCall( 'Other user' ),
+							expectedParams: { action: 'query', meta: 'userinfo', assert: 'user' },
+						},
+					] );
+					await session.login( 'User@Bot', 'password' );
+					session.tokens.set( 'csrf', 'csrftoken+\\' );
+					await session.request( { action: 'query', meta: 'userinfo' } );
+					expect( session.tokens ).to.be.empty;
+				} );
+
+			} );
+
+			describe( 'getTokens', () => {
+
+				it( 'fetches missing tokens in one request', async () => {
+					const session = singleRequestSession( {
+						action: 'query',
+						meta: 'tokens',
+						type: 'watch|rollback',
+					}, { query: { tokens: {
+						watchtoken: 'watchtoken+\\',
+						rollbacktoken: 'rollbacktoken+\\',
+					} } } );
+					session.tokens.set( 'csrf', 'csrftoken+\\' );
+					expect( await session.getTokens( [ 'csrf', 'watch', 'rollback' ] ) ).to.eql( {
+						csrf: 'csrftoken+\\',
+						watch: 'watchtoken+\\',
+						rollback: 'rollbacktoken+\\',
+					} );
+					expect( session.tokens ).to.have.keys( 'csrf', 'watch', 'rollback' );
+				} );
+
+				it( 'follows continuation until all tokens are found', async () => {
+					const session = sequentialRequestSession( [
+						{
+							expectedParams: { action: 'query', meta: 'tokens', type: 'csrf|watch' },
+							response: {
+								continue: { c: '1' },
+								query: { tokens: { csrftoken: 'csrftoken+\\' } },
+							},
+						},
+						{
+							expectedParams: {
+								action: 'query',
+								meta: 'tokens',
+								type: 'csrf|watch',
+								c: '1',
+							},
+							response: { query: { tokens: { watchtoken: 'watchtoken+\\' } } },
+						},
+					] );
+					expect( await session.getTokens( [ 'csrf', 'watch' ] ) ).to.eql( {
+						csrf: 'csrftoken+\\',
+						watch: 'watchtoken+\\',
+					} );
+				} );
+
+				it( 'does not make a request if all tokens are saved', async () => {
+					const session = new BaseTestSession( 'en.wikipedia.org' );
+					session.tokens.set( 'csrf', 'csrftoken+\\' );
+					expect( await session.getTokens( [ 'csrf' ] ) )
+						.to.eql( { csrf: 'csrftoken+\\' } );
+				} );
+
+			} );
+
+			it( 'calls onTokenRefresh hooks', async () => {
+				const session = sequentialRequestSession( [
+					{
+						expectedParams: { action: 'query', meta: 'tokens', type: 'csrf' },
+						response: { query: { tokens: { csrftoken: 'csrftoken+\\' } } },
+					},
+					{
+						expectedParams: { action: 'edit', token: 'csrftoken+\\' },
+						method: 'POST',
+					},
+				] );
+				const events = [];
+				await session.request( { action: 'edit' }, {
+					method: 'POST',
+					tokenType: 'csrf',
+					hooks: { onTokenRefresh: [ ( event ) => events.push( event ) ] },
+				} );
+				expect( events ).to.have.lengthOf( 1 );
+				expect( events[ 0 ].session ).to.equal( session );
+				expect( events[ 0 ].types ).to.eql( [ 'csrf' ] );
+				expect( events[ 0 ].params ).to.have.property( 'action', 'query' );
+			} );
+
 		} );
 
 		describe( 'user agent', () => {
@@ -875,6 +1085,1601 @@ describe( 'Session', () => {
 				expect( response ).to.eql( { response: true } );
 			} );
 
+			describe( 'exponential backoff', () => {
+
+				/**
+				 * Create a session whose fetch() throws the given errors in turn,
+				 * and then returns a successful response.
+				 *
+				 * @param {...Error} errors
+				 * @return {BaseTestSession}
+				 */
+				function failingSession( ...errors ) {
+					class TestSession extends BaseTestSession {
+						async fetch() {
+							if ( errors.length > 0 ) {
+								throw errors.shift();
+							}
+							return successfulResponse( { response: true } );
+						}
+					}
+					return new TestSession( 'en.wikipedia.org' );
+				}
+
+				it( 'retries server error', async () => {
+					const session = sequentialRequestSession( [
+						{ response: new Response( 'Service Unavailable', { status: 503 } ) },
+						{ response: { response: true } },
+					] );
+					const promise = session.request( {}, { clock } );
+					await clock.tickAsync( 1000 );
+					const response = await promise;
+					expect( response ).to.eql( { response: true } );
+				} );
+
+				it( 'discards the body of server errors before retrying', async () => {
+					let canceled = false;
+					// eslint-disable-next-line compat/compat
+					const body = new ReadableStream( {
+						cancel() {
+							canceled = true;
+						},
+					} );
+					const session = sequentialRequestSession( [
+						{ response: new Response( body, { status: 503 } ) },
+						{ response: { response: true } },
+					] );
+					const promise = session.request( {}, { clock } );
+					await clock.tickAsync( 1000 );
+					await promise;
+					expect( canceled ).to.be.true;
+				} );
+
+				it( 'does not retry server error with too long Retry-After', async () => {
+					const session = singleRequestSession( {}, new Response( 'Service Unavailable', {
+						status: 503,
+						headers: { 'Retry-After': '120' },
+					} ) );
+					await expect( session.request( {}, { maxRetriesSeconds: 10, clock } ) )
+						.to.be.rejectedWith( '503' );
+				} );
+
+				it( 'retries network error', async () => {
+					const session = failingSession( networkError() );
+					const promise = session.request( {}, { clock } );
+					await clock.tickAsync( 1000 );
+					const response = await promise;
+					expect( response ).to.eql( { response: true } );
+				} );
+
+				it( 'retries browser network error', async () => {
+					const session = failingSession( new TypeError( 'Failed to fetch' ) );
+					const promise = session.request( {}, { clock } );
+					await clock.tickAsync( 1000 );
+					const response = await promise;
+					expect( response ).to.eql( { response: true } );
+				} );
+
+				it( 'does not retry permanent network errors', async () => {
+					const error = networkError( 'ENOTFOUND' );
+					const session = failingSession( error );
+					await expect( session.request( {}, { clock } ) )
+						.to.be.rejectedWith( error );
+				} );
+
+				it( 'does not retry other TypeErrors', async () => {
+					const error = new TypeError( 'Headers.append: "x\n" is an invalid header value.' );
+					const session = failingSession( error );
+					await expect( session.request( {}, { clock } ) )
+						.to.be.rejectedWith( error );
+				} );
+
+				it( 'doubles the delay for each retry', async () => {
+					const session = sequentialRequestSession( [
+						{ response: new Response( '', { status: 502 } ) },
+						{ response: new Response( '', { status: 502 } ) },
+						{ response: new Response( '', { status: 502 } ) },
+						{ response: { response: true } },
+					] );
+					let done = false;
+					const promise = session.request( {}, { clock } ).then( ( response ) => {
+						done = true;
+						return response;
+					} );
+					// the third retry happens after at least 0.5 + 1 + 2 seconds
+					await clock.tickAsync( 3400 );
+					expect( done ).to.be.false;
+					// and after at most 1 + 2 + 4 seconds
+					await clock.tickAsync( 3600 );
+					const response = await promise;
+					expect( response ).to.eql( { response: true } );
+				} );
+
+				it( 'custom initial and maximum delay', async () => {
+					const session = failingSession(
+						networkError(),
+						networkError(),
+						networkError(),
+					);
+					const promise = session.request( {}, {
+						retryBackoffInitialSeconds: 2,
+						retryBackoffMaxSeconds: 3,
+						clock,
+					} );
+					await clock.tickAsync( 2000 + 3000 + 3000 );
+					const response = await promise;
+					expect( response ).to.eql( { response: true } );
+				} );
+
+				it( 'rethrows network error without retry', async () => {
+					const error = networkError();
+					const session = failingSession( error );
+					await expect( session.request( {}, { maxRetriesSeconds: 0, clock } ) )
+						.to.be.rejectedWith( error );
+				} );
+
+				it( 'does not retry other errors', async () => {
+					const error = new Error( 'custom error' );
+					const session = failingSession( error );
+					await expect( session.request( {}, { clock } ) )
+						.to.be.rejectedWith( error );
+				} );
+
+				it( 'does not retry client error', async () => {
+					const session = singleRequestSession( {}, new Response( '', { status: 404 } ) );
+					await expect( session.request( {}, { clock } ) )
+						.to.be.rejectedWith( '404' );
+				} );
+
+				it( 'does not retry after abort', async () => {
+					// eslint-disable-next-line compat/compat
+					const controller = new AbortController();
+					const reason = new TypeError( 'aborted with a TypeError' );
+					class TestSession extends BaseTestSession {
+						async fetch() {
+							controller.abort( reason );
+							throw reason;
+						}
+					}
+					const session = new TestSession( 'en.wikipedia.org' );
+					await expect( session.request( {}, { signal: controller.signal, clock } ) )
+						.to.be.rejectedWith( reason );
+				} );
+
+			} );
+
+		} );
+
+		describe( 'signal', () => {
+
+			it( 'passes signal to fetch', async () => {
+				// eslint-disable-next-line compat/compat
+				const controller = new AbortController();
+				let called = false;
+				class TestSession extends BaseTestSession {
+					async fetch( resource, fetchOptions ) {
+						expect( fetchOptions.signal ).to.equal( controller.signal );
+						expect( called, 'not called yet' ).to.be.false;
+						called = true;
+						return successfulResponse( { response: true } );
+					}
+				}
+
+				const session = new TestSession( 'en.wikipedia.org' );
+				const response = await session.request( {}, { signal: controller.signal } );
+				expect( response ).to.eql( { response: true } );
+				expect( called ).to.be.true;
+			} );
+
+			it( 'does not make request with already aborted signal', async () => {
+				// eslint-disable-next-line compat/compat
+				const controller = new AbortController();
+				const reason = new Error( 'aborted by unit test' );
+				controller.abort( reason );
+				const session = new BaseTestSession( 'en.wikipedia.org' );
+				await expect( session.request( {}, { signal: controller.signal } ) )
+					.to.be.rejectedWith( reason );
+			} );
+
+			it( 'rejects with AbortError by default', async () => {
+				// eslint-disable-next-line compat/compat
+				const controller = new AbortController();
+				controller.abort();
+				const session = new BaseTestSession( 'en.wikipedia.org' );
+				await expect( session.request( {}, { signal: controller.signal } ) )
+					.to.be.rejected.and.eventually.have.property( 'name', 'AbortError' );
+			} );
+
+			it( 'does not get token with already aborted signal', async () => {
+				// eslint-disable-next-line compat/compat
+				const controller = new AbortController();
+				controller.abort();
+				const session = new BaseTestSession( 'en.wikipedia.org' );
+				await expect( session.request( {}, {
+					tokenType: 'csrf',
+					signal: controller.signal,
+				} ) ).to.be.rejected;
+			} );
+
+			it( 'aborts automatic retry', async () => {
+				const clock = FakeTimers.createClock();
+				// eslint-disable-next-line compat/compat
+				const controller = new AbortController();
+				const reason = new Error( 'aborted by unit test' );
+				const session = singleRequestSession( {}, Response.json(
+					{ error: { code: 'maxlag' } },
+					{
+						headers: { 'retry-after': '5' },
+					},
+				) );
+				const promise = session.request( {}, { signal: controller.signal, clock } );
+				await clock.tickAsync( 1000 );
+				controller.abort( reason );
+				await expect( promise ).to.be.rejectedWith( reason );
+				expect( clock.countTimers() ).to.equal( 0 );
+			} );
+
+			it( 'stops requestAndContinue', async () => {
+				// eslint-disable-next-line compat/compat
+				const controller = new AbortController();
+				const reason = new Error( 'aborted by unit test' );
+				const session = singleRequestSession( {}, {
+					continue: { c: '1' },
+				} );
+				const iterator = session.requestAndContinue( {}, { signal: controller.signal } );
+				await iterator.next();
+				controller.abort( reason );
+				await expect( iterator.next() ).to.be.rejectedWith( reason );
+			} );
+
+			it( 'stops requestAndContinueReducingBatch', async () => {
+				// eslint-disable-next-line compat/compat
+				const controller = new AbortController();
+				const reason = new Error( 'aborted by unit test' );
+				const session = singleRequestSession( {}, {
+					batchcomplete: true,
+					continue: { c: '1' },
+				} );
+				const iterator = session.requestAndContinueReducingBatch(
+					{},
+					{ signal: controller.signal },
+					( accumulator ) => accumulator,
+				);
+				await iterator.next();
+				controller.abort( reason );
+				await expect( iterator.next() ).to.be.rejectedWith( reason );
+			} );
+
+		} );
+
+		describe( 'timeout', () => {
+
+			let clock;
+			beforeEach( () => {
+				clock = FakeTimers.createClock();
+			} );
+			afterEach( () => {
+				expect( clock.countTimers() ).to.equal( 0 );
+			} );
+
+			/**
+			 * Create a session whose fetch() hangs until the signal is aborted
+			 * for the given number of calls, and then returns the response.
+			 *
+			 * @param {number} hangingCalls
+			 * @param {Object} [response]
+			 * @return {BaseTestSession}
+			 */
+			function hangingSession( hangingCalls, response = { response: true } ) {
+				let calls = 0;
+				class TestSession extends BaseTestSession {
+					fetch( resource, fetchOptions ) {
+						if ( calls++ >= hangingCalls ) {
+							return Promise.resolve( successfulResponse( response ) );
+						}
+						const { signal } = fetchOptions;
+						expect( signal ).to.be.an.instanceof( AbortSignal );
+						return new Promise( ( resolve, reject ) => {
+							signal.addEventListener( 'abort', () => reject( signal.reason ) );
+						} );
+					}
+				}
+				return new TestSession( 'en.wikipedia.org' );
+			}
+
+			it( 'no timeout by default', async () => {
+				const session = singleRequestSession( {}, { response: true } );
+				const response = await session.request( {}, { clock } );
+				expect( response ).to.eql( { response: true } );
+			} );
+
+			it( 'response in time', async () => {
+				const session = hangingSession( 0 );
+				const response = await session.request( {}, { timeoutSeconds: 10, clock } );
+				expect( response ).to.eql( { response: true } );
+			} );
+
+			it( 'throws RequestTimeoutError without retry', async () => {
+				const session = hangingSession( 1 );
+				const promise = session.request( {}, {
+					timeoutSeconds: 10,
+					maxRetriesSeconds: 0,
+					clock,
+				} );
+				await clock.tickAsync( 10000 );
+				await expect( promise ).to.be.rejectedWith( RequestTimeoutError )
+					.and.eventually.have.property( 'timeoutSeconds', 10 );
+			} );
+
+			it( 'retries after timeout', async () => {
+				const session = hangingSession( 2 );
+				const promise = session.request( {}, { timeoutSeconds: 10, clock } );
+				await clock.tickAsync( 30000 );
+				const response = await promise;
+				expect( response ).to.eql( { response: true } );
+			} );
+
+			it( 'throws RequestTimeoutError after retries are exhausted', async () => {
+				const session = hangingSession( Infinity );
+				const promise = session.request( {}, {
+					timeoutSeconds: 10,
+					maxRetriesSeconds: 25,
+					clock,
+				} );
+				await clock.tickAsync( 35000 );
+				await expect( promise ).to.be.rejectedWith( RequestTimeoutError );
+			} );
+
+			it( 'times out while reading the response body', async () => {
+				let calls = 0;
+				class TestSession extends BaseTestSession {
+					async fetch( resource, fetchOptions ) {
+						expect( calls++, 'not called yet' ).to.equal( 0 );
+						const response = new Response();
+						const { signal } = fetchOptions;
+						response.text = () => new Promise( ( resolve, reject ) => {
+							signal.addEventListener( 'abort', () => reject( signal.reason ) );
+						} );
+						return response;
+					}
+				}
+				const session = new TestSession( 'en.wikipedia.org' );
+				const promise = session.request( {}, {
+					timeoutSeconds: 10,
+					maxRetriesSeconds: 0,
+					clock,
+				} );
+				await clock.tickAsync( 10000 );
+				await expect( promise ).to.be.rejectedWith( RequestTimeoutError );
+			} );
+
+			it( 'signal takes precedence over timeout', async () => {
+				// eslint-disable-next-line compat/compat
+				const controller = new AbortController();
+				const reason = new Error( 'aborted by unit test' );
+				const session = hangingSession( 1 );
+				const promise = session.request( {}, {
+					timeoutSeconds: 10,
+					signal: controller.signal,
+					clock,
+				} );
+				await clock.tickAsync( 5000 );
+				controller.abort( reason );
+				await expect( promise ).to.be.rejectedWith( reason );
+			} );
+
+		} );
+
+		describe( 'throttle', () => {
+
+			let clock;
+			beforeEach( () => {
+				clock = FakeTimers.createClock();
+			} );
+			afterEach( () => {
+				expect( clock.countTimers() ).to.equal( 0 );
+			} );
+
+			/**
+			 * Track when the given promise resolves.
+			 *
+			 * @param {Promise} promise
+			 * @return {Object} An object whose `done` member becomes true
+			 * once the promise resolves, and whose `promise` member is the original promise.
+			 */
+			function track( promise ) {
+				const tracked = { done: false };
+				tracked.promise = promise.then( ( value ) => {
+					tracked.done = true;
+					return value;
+				} );
+				return tracked;
+			}
+
+			it( 'throttles GET requests', async () => {
+				const session = sequentialRequestSession( [
+					{ expectedParams: { r: '1' } },
+					{ expectedParams: { r: '2' } },
+					{ expectedParams: { r: '3' } },
+				] );
+				const options = { throttleGetSeconds: 2, clock };
+				const request1 = track( session.request( { r: 1 }, options ) );
+				const request2 = track( session.request( { r: 2 }, options ) );
+				const request3 = track( session.request( { r: 3 }, options ) );
+				await clock.tickAsync( 0 );
+				expect( request1.done ).to.be.true;
+				expect( request2.done ).to.be.false;
+				await clock.tickAsync( 2000 );
+				expect( request2.done ).to.be.true;
+				expect( request3.done ).to.be.false;
+				await clock.tickAsync( 2000 );
+				expect( request3.done ).to.be.true;
+			} );
+
+			it( 'throttles POST requests independently of GET requests', async () => {
+				const session = sequentialRequestSession( [
+					{ expectedParams: { r: '1' }, method: 'POST' },
+					{ expectedParams: { r: '2' }, method: 'GET' },
+					{ expectedParams: { r: '3' }, method: 'POST' },
+				] );
+				const options = { throttleGetSeconds: 1, throttlePostSeconds: 10, clock };
+				const request1 = track( session.request( { r: 1 }, { ...options, method: 'POST' } ) );
+				const request2 = track( session.request( { r: 2 }, options ) );
+				const request3 = track( session.request( { r: 3 }, { ...options, method: 'POST' } ) );
+				await clock.tickAsync( 0 );
+				expect( request1.done ).to.be.true;
+				expect( request2.done ).to.be.true;
+				expect( request3.done ).to.be.false;
+				await clock.tickAsync( 10000 );
+				expect( request3.done ).to.be.true;
+			} );
+
+			it( 'does not throttle sufficiently spaced requests', async () => {
+				const session = sequentialRequestSession( [
+					{ expectedParams: { r: '1' } },
+					{ expectedParams: { r: '2' } },
+				] );
+				const options = { throttleGetSeconds: 1, clock };
+				await session.request( { r: 1 }, options );
+				await clock.tickAsync( 1000 );
+				const request2 = track( session.request( { r: 2 }, options ) );
+				await clock.tickAsync( 0 );
+				expect( request2.done ).to.be.true;
+			} );
+
+			it( 'throttles automatic retries', async () => {
+				const session = sequentialRequestSession( [
+					{ response: { error: { code: 'maxlag' } } },
+					{ response: { response: true } },
+				] );
+				const request = track( session.request( {}, {
+					throttleGetSeconds: 10,
+					retryAfterMaxlagSeconds: 1,
+					clock,
+				} ) );
+				await clock.tickAsync( 9000 );
+				expect( request.done ).to.be.false;
+				await clock.tickAsync( 1000 );
+				expect( await request.promise ).to.eql( { response: true } );
+			} );
+
+			it( 'does not retry if throttle exceeds maxRetriesSeconds', async () => {
+				const session = singleRequestSession( {}, { error: { code: 'maxlag' } } );
+				await expect( session.request( {}, {
+					throttleGetSeconds: 10,
+					retryAfterMaxlagSeconds: 1,
+					maxRetriesSeconds: 5,
+					clock,
+				} ) ).to.be.rejectedWith( ApiErrors );
+			} );
+
+			it( 'aborts throttled request', async () => {
+				// eslint-disable-next-line compat/compat
+				const controller = new AbortController();
+				const reason = new Error( 'aborted by unit test' );
+				const session = singleRequestSession( { r: '1' } );
+				const options = { throttleGetSeconds: 10, signal: controller.signal, clock };
+				await session.request( { r: 1 }, options );
+				const promise = session.request( { r: 2 }, options );
+				await clock.tickAsync( 1000 );
+				controller.abort( reason );
+				await expect( promise ).to.be.rejectedWith( reason );
+			} );
+
+			it( 'releases the slot of an aborted request', async () => {
+				// eslint-disable-next-line compat/compat
+				const controller = new AbortController();
+				const session = sequentialRequestSession( [
+					{ expectedParams: { r: '1' } },
+					{ expectedParams: { r: '3' } },
+				] );
+				const options = { throttleGetSeconds: 10, clock };
+				await session.request( { r: 1 }, options );
+				const promise = session.request( { r: 2 }, {
+					...options,
+					signal: controller.signal,
+				} );
+				await clock.tickAsync( 1000 );
+				controller.abort( new Error( 'aborted by unit test' ) );
+				await expect( promise ).to.be.rejected;
+				const request3 = track( session.request( { r: 3 }, options ) );
+				// request 3 only waits for the slot after request 1, not the one after request 2
+				await clock.tickAsync( 9000 );
+				expect( request3.done ).to.be.true;
+			} );
+
+		} );
+
+		describe( 'maxConcurrentRequests', () => {
+
+			/**
+			 * Create a session whose fetch() calls must be resolved manually.
+			 *
+			 * @param {Array} calls Array into which each fetch() call is pushed,
+			 * as an object with the request params
+			 * and a `resolve( body )` function to resolve the call.
+			 * @return {BaseTestSession}
+			 */
+			function manualSession( calls ) {
+				class TestSession extends BaseTestSession {
+					fetch( resource ) {
+						return new Promise( ( resolve, reject ) => {
+							calls.push( {
+								// eslint-disable-next-line compat/compat
+								params: Object.fromEntries( resource.searchParams ),
+								resolve: ( body ) => resolve( successfulResponse( body ) ),
+								reject,
+							} );
+						} );
+					}
+				}
+				return new TestSession( 'en.wikipedia.org', {}, {
+					maxConcurrentRequests: 1,
+				} );
+			}
+
+			it( 'queues requests in order', async () => {
+				const calls = [];
+				const session = manualSession( calls );
+				const promise1 = session.request( { r: 1 } );
+				const promise2 = session.request( { r: 2 } );
+				const promise3 = session.request( { r: 3 } );
+				await new Promise( setImmediate );
+				expect( calls ).to.have.lengthOf( 1 );
+				expect( session.queuedRequests ).to.equal( 2 );
+				calls[ 0 ].resolve( { response: 1 } );
+				expect( await promise1 ).to.eql( { response: 1 } );
+				await new Promise( setImmediate );
+				expect( calls ).to.have.lengthOf( 2 );
+				expect( calls[ 1 ].params.r ).to.equal( '2' );
+				expect( session.queuedRequests ).to.equal( 1 );
+				calls[ 1 ].resolve( { response: 2 } );
+				expect( await promise2 ).to.eql( { response: 2 } );
+				await new Promise( setImmediate );
+				expect( calls ).to.have.lengthOf( 3 );
+				expect( session.queuedRequests ).to.equal( 0 );
+				calls[ 2 ].resolve( { response: 3 } );
+				expect( await promise3 ).to.eql( { response: 3 } );
+			} );
+
+			it( 'releases slot after error', async () => {
+				const calls = [];
+				const session = manualSession( calls );
+				const error = new Error( 'error from unit test' );
+				const promise1 = session.request( { r: 1 } );
+				const promise2 = session.request( { r: 2 } );
+				await new Promise( setImmediate );
+				calls[ 0 ].reject( error );
+				await expect( promise1 ).to.be.rejectedWith( error );
+				await new Promise( setImmediate );
+				expect( calls ).to.have.lengthOf( 2 );
+				calls[ 1 ].resolve( { response: 2 } );
+				expect( await promise2 ).to.eql( { response: 2 } );
+			} );
+
+			it( 'token requests skip ahead', async () => {
+				const calls = [];
+				const session = manualSession( calls );
+				const promise1 = session.request( { r: 1 } );
+				const promise2 = session.request( { r: 2 } );
+				const promise3 = session.request( { r: 3 }, { tokenType: 'csrf' } );
+				await new Promise( setImmediate );
+				expect( session.queuedRequests ).to.equal( 2 );
+				calls[ 0 ].resolve( { response: 1 } );
+				await promise1;
+				await new Promise( setImmediate );
+				expect( calls[ 1 ].params ).to.have.property( 'meta', 'tokens' );
+				calls[ 1 ].resolve( { query: { tokens: { csrftoken: '+\\' } } } );
+				await new Promise( setImmediate );
+				expect( calls[ 2 ].params.r ).to.equal( '2' );
+				calls[ 2 ].resolve( { response: 2 } );
+				await promise2;
+				await new Promise( setImmediate );
+				expect( calls[ 3 ].params.r ).to.equal( '3' );
+				calls[ 3 ].resolve( { response: 3 } );
+				await promise3;
+			} );
+
+			it( 'aborts queued request', async () => {
+				const calls = [];
+				const session = manualSession( calls );
+				// eslint-disable-next-line compat/compat
+				const controller = new AbortController();
+				const reason = new Error( 'aborted by unit test' );
+				const promise1 = session.request( { r: 1 } );
+				const promise2 = session.request( { r: 2 }, { signal: controller.signal } );
+				await new Promise( setImmediate );
+				expect( session.queuedRequests ).to.equal( 1 );
+				controller.abort( reason );
+				await expect( promise2 ).to.be.rejectedWith( reason );
+				expect( session.queuedRequests ).to.equal( 0 );
+				calls[ 0 ].resolve( { response: 1 } );
+				await promise1;
+				expect( calls ).to.have.lengthOf( 1 );
+			} );
+
+			it( 'no limit by default', async () => {
+				const calls = [];
+				const session = manualSession( calls );
+				delete session.defaultOptions.maxConcurrentRequests;
+				const promise1 = session.request( { r: 1 } );
+				const promise2 = session.request( { r: 2 } );
+				await new Promise( setImmediate );
+				expect( calls ).to.have.lengthOf( 2 );
+				expect( session.queuedRequests ).to.equal( 0 );
+				calls[ 0 ].resolve( {} );
+				calls[ 1 ].resolve( {} );
+				await Promise.all( [ promise1, promise2 ] );
+			} );
+
+		} );
+
+		describe( 'maxlag', () => {
+
+			let clock;
+			beforeEach( () => {
+				clock = FakeTimers.createClock();
+			} );
+			afterEach( () => {
+				expect( clock.countTimers() ).to.equal( 0 );
+			} );
+
+			it( 'adds maxlag to POST requests', async () => {
+				const session = singleRequestSession( { maxlag: '5' }, {}, 'POST' );
+				await session.request( {}, { method: 'POST', maxlag: 5 } );
+			} );
+
+			it( 'does not add maxlag to GET requests by default', async () => {
+				const session = singleRequestSession( {} );
+				await session.request( {}, { maxlag: 5 } );
+			} );
+
+			it( 'adds maxlag to GET requests with maxlagAllRequests', async () => {
+				const session = singleRequestSession( { maxlag: '5' } );
+				await session.request( {}, { maxlag: 5, maxlagAllRequests: true } );
+			} );
+
+			it( 'prefers maxlag from params', async () => {
+				const session = singleRequestSession( { maxlag: '3' }, {}, 'POST' );
+				await session.request( { maxlag: 3 }, { method: 'POST', maxlag: 5 } );
+			} );
+
+			it( 'prefers maxlag from default params', async () => {
+				const session = singleRequestSession( { maxlag: '3' }, {}, 'POST' );
+				session.defaultParams.maxlag = 3;
+				await session.request( {}, { method: 'POST', maxlag: 5 } );
+			} );
+
+			/**
+			 * Test that the lag from the given error is used and reported.
+			 *
+			 * @param {Object} error
+			 */
+			async function testReportedLag( error ) {
+				const session = sequentialRequestSession( [
+					{ expectedParams: { maxlag: '5' }, response: { errors: [ error ] }, method: 'POST' },
+					{ expectedParams: { maxlag: '5' }, response: { response: true }, method: 'POST' },
+				] );
+				let warned = false;
+				const promise = session.request( {}, {
+					method: 'POST',
+					maxlag: 5,
+					warn( warning ) {
+						expect( warned, 'not warned yet' ).to.be.false;
+						warned = true;
+						expect( warning ).to.be.an.instanceof( MaxlagWarning );
+						expect( warning.lag ).to.equal( 12 );
+						expect( warning.retryAfterSeconds ).to.equal( 12 );
+					},
+					clock,
+				} );
+				await clock.tickAsync( 11000 );
+				expect( warned ).to.be.true;
+				await clock.tickAsync( 1000 );
+				expect( await promise ).to.eql( { response: true } );
+			}
+
+			it( 'waits for reported lag and warns, errorformat=bc', async () => {
+				await testReportedLag( {
+					code: 'maxlag',
+					info: 'Waiting for db1: 12 seconds lagged.',
+					lag: 12,
+				} );
+			} );
+
+			it( 'waits for reported lag and warns, errorformat=plaintext', async () => {
+				await testReportedLag( {
+					code: 'maxlag',
+					text: 'Waiting for db1: 12 seconds lagged.',
+					data: { lag: 12 },
+				} );
+			} );
+
+			it( 'warns about retry-after header', async () => {
+				const session = sequentialRequestSession( [
+					{ expectedParams: { maxlag: '5' }, response: Response.json(
+						{ error: { code: 'maxlag', lag: 2 } },
+						{ headers: { 'retry-after': '5' } },
+					), method: 'POST' },
+					{ expectedParams: { maxlag: '5' }, response: { response: true }, method: 'POST' },
+				] );
+				let warned = false;
+				const promise = session.request( {}, {
+					method: 'POST',
+					maxlag: 5,
+					warn( warning ) {
+						expect( warned, 'not warned yet' ).to.be.false;
+						warned = true;
+						expect( warning ).to.be.an.instanceof( MaxlagWarning );
+						expect( warning.lag ).to.equal( 2 );
+						expect( warning.retryAfterSeconds ).to.equal( 5 );
+					},
+					clock,
+				} );
+				await clock.tickAsync( 5000 );
+				expect( await promise ).to.eql( { response: true } );
+				expect( warned ).to.be.true;
+			} );
+
+			it( 'uses retryAfterMaxlagSeconds if greater than lag', async () => {
+				const session = sequentialRequestSession( [
+					{ response: { error: { code: 'maxlag', lag: 1 } } },
+					{ response: { response: true } },
+				] );
+				let done = false;
+				const promise = session.request( {}, { clock } ).then( ( response ) => {
+					done = true;
+					return response;
+				} );
+				await clock.tickAsync( 4000 );
+				expect( done ).to.be.false;
+				await clock.tickAsync( 1000 );
+				expect( await promise ).to.eql( { response: true } );
+			} );
+
+			it( 'does not warn if maxlag cannot be retried', async () => {
+				const session = singleRequestSession( {}, { error: { code: 'maxlag', lag: 100 } } );
+				await expect( session.request( {}, { maxlag: 5, clock } ) )
+					.to.be.rejectedWith( ApiErrors );
+			} );
+
+		} );
+
+		describe( 'hooks', () => {
+
+			it( 'beforeRequest can modify request', async () => {
+				let called = false;
+				class TestSession extends BaseTestSession {
+					async fetch( resource, fetchOptions ) {
+						expect( resource.searchParams.get( 'added' ) ).to.equal( 'yes' );
+						expect( fetchOptions.headers[ 'x-custom' ] ).to.equal( 'custom' );
+						return successfulResponse( { response: true } );
+					}
+				}
+				const session = new TestSession( 'en.wikipedia.org' );
+				await session.request( { action: 'query' }, { hooks: {
+					beforeRequest: [ ( event ) => {
+						expect( called, 'not called yet' ).to.be.false;
+						called = true;
+						expect( event.session ).to.equal( session );
+						expect( event.params ).to.eql( { action: 'query' } );
+						expect( event.options ).to.have.property( 'retryUntil' );
+						expect( event.url ).to.be.an.instanceof( URL );
+						expect( event.url.searchParams.get( 'action' ) ).to.equal( 'query' );
+						expect( event.fetchOptions ).to.have.property( 'method', 'GET' );
+						event.url.searchParams.set( 'added', 'yes' );
+						event.fetchOptions.headers[ 'x-custom' ] = 'custom';
+					} ],
+				} } );
+				expect( called ).to.be.true;
+			} );
+
+			it( 'afterResponse receives response and body', async () => {
+				const body = { warnings: [ { code: 'w' } ] };
+				const session = singleRequestSession( {}, body );
+				let beforeEvent = null;
+				let called = false;
+				await session.request( {}, {
+					hooks: {
+						beforeRequest: [ ( event ) => {
+							beforeEvent = event;
+						} ],
+						afterResponse: [ ( event ) => {
+							expect( called, 'not called yet' ).to.be.false;
+							called = true;
+							expect( event ).to.equal( beforeEvent );
+							expect( event.response ).to.be.an.instanceof( Response );
+							expect( event.responseBody ).to.eql( body );
+						} ],
+					},
+					warn() {},
+				} );
+				expect( called ).to.be.true;
+			} );
+
+			it( 'onError receives exception', async () => {
+				const error = networkError();
+				class TestSession extends BaseTestSession {
+					async fetch() {
+						throw error;
+					}
+				}
+				const session = new TestSession( 'en.wikipedia.org' );
+				let beforeEvent = null;
+				let called = false;
+				const promise = session.request( {}, {
+					maxRetriesSeconds: 0,
+					hooks: {
+						beforeRequest: [ ( event ) => {
+							beforeEvent = event;
+						} ],
+						afterResponse: [ () => {
+							throw new Error( 'afterResponse should not be called' );
+						} ],
+						onError: [ ( event ) => {
+							expect( called, 'not called yet' ).to.be.false;
+							called = true;
+							expect( event ).to.equal( beforeEvent );
+							expect( event.error ).to.equal( error );
+						} ],
+					},
+				} );
+				await expect( promise ).to.be.rejectedWith( error );
+				expect( called ).to.be.true;
+			} );
+
+			it( 'onRetry receives reason and delay', async () => {
+				const clock = FakeTimers.createClock();
+				const session = sequentialRequestSession( [
+					{ response: { error: { code: 'readonly' } } },
+					{ response: { response: true } },
+				] );
+				const events = [];
+				const promise = session.request( {}, {
+					clock,
+					hooks: {
+						beforeRequest: [ () => {
+							events.push( 'beforeRequest' );
+						} ],
+						onRetry: [ ( event ) => {
+							events.push( 'onRetry' );
+							expect( event.session ).to.equal( session );
+							expect( event.reason ).to.equal( 'readonly' );
+							expect( event.retryAfterSeconds ).to.equal( 30 );
+						} ],
+					},
+				} );
+				await clock.tickAsync( 30000 );
+				expect( await promise ).to.eql( { response: true } );
+				expect( events ).to.eql( [ 'beforeRequest', 'onRetry', 'beforeRequest' ] );
+			} );
+
+			it( 'calls hooks from all options in order', async () => {
+				const originalDefaultHooks = DEFAULT_OPTIONS.hooks;
+				try {
+					const calls = [];
+					DEFAULT_OPTIONS.hooks = {
+						...originalDefaultHooks,
+						beforeRequest: [ () => calls.push( 1 ) ],
+					};
+					const session = singleRequestSession();
+					session.defaultOptions.hooks = {
+						beforeRequest: [ () => calls.push( 2 ), () => calls.push( 3 ) ],
+					};
+					await session.request( {}, { hooks: {
+						beforeRequest: [ () => calls.push( 4 ) ],
+					} } );
+					expect( calls ).to.eql( [ 1, 2, 3, 4 ] );
+				} finally {
+					DEFAULT_OPTIONS.hooks = originalDefaultHooks;
+				}
+			} );
+
+			it( 'waits for asynchronous hooks', async () => {
+				let resolved = false;
+				class TestSession extends BaseTestSession {
+					async fetch() {
+						expect( resolved ).to.be.true;
+						return successfulResponse( {} );
+					}
+				}
+				const session = new TestSession( 'en.wikipedia.org' );
+				await session.request( {}, { hooks: {
+					beforeRequest: [ async () => {
+						await new Promise( setImmediate );
+						resolved = true;
+					} ],
+				} } );
+			} );
+
+			it( 'rejects if hook throws', async () => {
+				const error = new Error( 'error from hook' );
+				const session = new BaseTestSession( 'en.wikipedia.org' );
+				await expect( session.request( {}, { hooks: {
+					beforeRequest: [ () => {
+						throw error;
+					} ],
+				} } ) ).to.be.rejectedWith( error );
+			} );
+
+		} );
+
+		describe( 'logger', () => {
+
+			it( 'logs attempts with redacted secrets', async () => {
+				const clock = FakeTimers.createClock();
+				const session = sequentialRequestSession( [
+					{
+						expectedParams: { action: 'query', meta: 'tokens', type: 'csrf' },
+						response: { query: { tokens: { csrftoken: 'secret-csrf-token' } } },
+					},
+					{
+						expectedParams: {
+							action: 'edit',
+							title: 'Test',
+							password: 'secret-password',
+							token: 'secret-csrf-token',
+						},
+						response: { edit: { result: 'Success' } },
+						method: 'POST',
+					},
+				] );
+				const records = [];
+				await session.request( {
+					action: 'edit',
+					title: 'Test',
+					password: 'secret-password',
+				}, {
+					method: 'POST',
+					tokenType: 'csrf',
+					accessToken: 'secret-access-token',
+					clock,
+					logger: ( record ) => records.push( record ),
+				} );
+				expect( records ).to.have.lengthOf( 2 );
+				expect( records[ 0 ] ).to.include( {
+					type: 'attempt',
+					method: 'GET',
+					status: 200,
+					error: null,
+					durationSeconds: 0,
+					retryBudgetSeconds: 65,
+				} );
+				expect( records[ 1 ] ).to.include( {
+					type: 'attempt',
+					method: 'POST',
+					url: 'https://en.wikipedia.org/w/api.php?action=edit',
+					status: 200,
+					error: null,
+				} );
+				expect( records[ 1 ].params ).to.eql( {
+					action: 'edit',
+					title: 'Test',
+					password: '[redacted]',
+					token: '[redacted]',
+					format: 'json',
+				} );
+				expect( records[ 1 ].headers ).to.eql( {
+					'user-agent': records[ 1 ].headers[ 'user-agent' ],
+					authorization: '[redacted]',
+				} );
+				expect( records[ 1 ].errorCodes ).to.eql( [] );
+				expect( JSON.stringify( records ) ).not.to.contain( 'secret' );
+			} );
+
+			it( 'logs retries and errors', async () => {
+				const clock = FakeTimers.createClock();
+				const error = networkError();
+				let calls = 0;
+				class TestSession extends BaseTestSession {
+					async fetch() {
+						switch ( ++calls ) {
+							case 1: {
+								await new Promise( ( resolve ) => {
+									clock.setTimeout( resolve, 2000 );
+								} );
+								return successfulResponse( { error: { code: 'readonly' } } );
+							}
+							case 2:
+								throw error;
+							default:
+								throw new Error( `Unexpected call #${ calls }` );
+						}
+					}
+				}
+				const records = [];
+				const session = new TestSession( 'en.wikipedia.org', {}, {
+					clock,
+					logger: ( record ) => records.push( record ),
+				} );
+				const promise = session.request( { action: 'query' }, {
+					maxRetriesSeconds: 40,
+					retryBackoffInitialSeconds: 100,
+				} );
+				await clock.tickAsync( 35000 );
+				await expect( promise ).to.be.rejectedWith( error );
+				expect( records.map( ( record ) => record.type ) )
+					.to.eql( [ 'attempt', 'retry', 'attempt' ] );
+				expect( records[ 0 ] ).to.include( {
+					url: 'https://en.wikipedia.org/w/api.php?action=query&format=json',
+					status: 200,
+					error: null,
+					durationSeconds: 2,
+					retryBudgetSeconds: 38,
+				} );
+				expect( records[ 0 ].errorCodes ).to.eql( [ 'readonly' ] );
+				expect( records[ 1 ] ).to.eql( {
+					type: 'retry',
+					reason: 'readonly',
+					retryAfterSeconds: 30,
+					retryBudgetSeconds: 38,
+				} );
+				expect( records[ 2 ] ).to.include( {
+					status: null,
+					error,
+					retryBudgetSeconds: 8,
+				} );
+			} );
+
+			it( 'does not log without logger', async () => {
+				const session = singleRequestSession( {}, { response: true }, 'GET' );
+				expect( await session.request( {} ) ).to.eql( { response: true } );
+			} );
+
+		} );
+
+		describe( 'stats', () => {
+
+			it( 'counts requests, retries, bytes and warnings', async () => {
+				const clock = FakeTimers.createClock();
+				let calls = 0;
+				class TestSession extends BaseTestSession {
+					async fetch() {
+						switch ( ++calls ) {
+							case 1:
+								return new Response( null, {
+									status: 503,
+									headers: { 'retry-after': '5' },
+								} );
+							case 2:
+								return successfulResponse( { error: { code: 'maxlag' } } );
+							case 3:
+								// 'é' is two bytes in UTF-8
+								return new Response( '{"warnings":[{"code":"é"},{"code":"b"}]}', {
+									headers: { 'content-length': '123' },
+								} );
+							default:
+								throw new Error( `Unexpected call #${ calls }` );
+						}
+					}
+				}
+				const session = new TestSession( 'en.wikipedia.org', {}, {
+					clock,
+					warn() {},
+				} );
+				const promise = session.request( {} );
+				await clock.tickAsync( 15000 );
+				await promise;
+				expect( session.stats ).to.be.an.instanceof( SessionStats );
+				expect( session.stats ).to.include( {
+					requests: 3,
+					// counted from the bodies, not the Content-Length header
+					bytesReceived: 27 + 41,
+					warnings: 2,
+					combinedRequests: 0,
+				} );
+				expect( session.stats.retries ).to.include( {
+					'retry-after': 1,
+					maxlag: 1,
+					readonly: 0,
+				} );
+
+				session.stats.reset();
+				expect( session.stats ).to.include( {
+					requests: 0,
+					bytesReceived: 0,
+					warnings: 0,
+				} );
+				expect( session.stats.retries ).to.include( {
+					'retry-after': 0,
+					maxlag: 0,
+				} );
+			} );
+
+			it( 'does not count dropped truncated result warnings', async () => {
+				const session = singleRequestSession( {}, { warnings: [
+					{ code: 'truncatedresult' },
+					{ code: 'other' },
+				] } );
+				await session.request( {}, {
+					dropTruncatedResultWarning: true,
+					warn() {},
+				} );
+				expect( session.stats.warnings ).to.equal( 1 );
+			} );
+
+		} );
+
+		describe( 'tracer', () => {
+
+			/**
+			 * A minimal fake of an OpenTelemetry tracer,
+			 * recording the spans in a tree.
+			 */
+			class FakeTracer {
+
+				constructor() {
+					this.spans = [];
+					this.context = new AsyncLocalStorage();
+				}
+
+				startActiveSpan( name, { attributes }, fn ) {
+					const parent = this.context.getStore();
+					const span = {
+						name,
+						attributes: { ...attributes },
+						events: [],
+						children: [],
+						exceptions: [],
+						status: null,
+						ended: false,
+						setAttribute( key, value ) {
+							this.attributes[ key ] = value;
+						},
+						addEvent( eventName, eventAttributes ) {
+							this.events.push( { name: eventName, attributes: eventAttributes } );
+						},
+						recordException( exception ) {
+							this.exceptions.push( exception );
+						},
+						setStatus( status ) {
+							this.status = status;
+						},
+						end() {
+							this.ended = true;
+						},
+					};
+					( parent ? parent.children : this.spans ).push( span );
+					return this.context.run( span, () => fn( span ) );
+				}
+
+			}
+
+			it( 'creates spans for request, attempts and getToken', async () => {
+				const clock = FakeTimers.createClock();
+				const session = sequentialRequestSession( [
+					{
+						expectedParams: { action: 'query', meta: 'tokens', type: 'csrf' },
+						response: { query: { tokens: { csrftoken: 'secret-token' } } },
+					},
+					{
+						expectedParams: { action: 'edit', title: 'Test', token: 'secret-token' },
+						response: { error: { code: 'maxlag' } },
+						method: 'POST',
+					},
+					{
+						expectedParams: { action: 'edit', title: 'Test', token: 'secret-token' },
+						response: { edit: { result: 'Success' }, warnings: [ { code: 'w' } ] },
+						method: 'POST',
+					},
+				] );
+				const tracer = new FakeTracer();
+				const promise = session.request( { action: 'edit', title: 'Test' }, {
+					method: 'POST',
+					tokenType: 'csrf',
+					tracer,
+					clock,
+					warn() {},
+				} );
+				await clock.tickAsync( 5000 );
+				await promise;
+
+				expect( tracer.spans ).to.have.lengthOf( 1 );
+				const [ requestSpan ] = tracer.spans;
+				expect( requestSpan ).to.include( { name: 'm3api request', ended: true, status: null } );
+				expect( requestSpan.attributes ).to.eql( {
+					'mediawiki.api.action': 'edit',
+					'mediawiki.api.warning_codes': [ 'w' ],
+				} );
+				expect( requestSpan.events ).to.eql( [ {
+					name: 'm3api.retry',
+					attributes: {
+						'm3api.retry.reason': 'maxlag',
+						'm3api.retry.delay_seconds': 5,
+					},
+				} ] );
+				expect( requestSpan.children.map( ( span ) => span.name ) ).to.eql( [
+					'm3api getToken',
+					'm3api attempt',
+					'm3api attempt',
+				] );
+
+				const [ tokenSpan, attemptSpan1, attemptSpan2 ] = requestSpan.children;
+				expect( tokenSpan.attributes ).to.eql( { 'mediawiki.api.token_type': 'csrf' } );
+				expect( tokenSpan.children ).to.have.lengthOf( 1 );
+				const [ tokenRequestSpan ] = tokenSpan.children;
+				expect( tokenRequestSpan.attributes ).to.eql( {
+					'mediawiki.api.action': 'query',
+					'mediawiki.api.modules': [ 'meta=tokens' ],
+				} );
+				expect( tokenRequestSpan.children ).to.have.lengthOf( 1 );
+				expect( tokenRequestSpan.children[ 0 ].attributes ).to.include( {
+					'http.request.method': 'GET',
+					'http.response.status_code': 200,
+				} );
+
+				expect( attemptSpan1.attributes ).to.eql( {
+					'http.request.method': 'POST',
+					'url.full': 'https://en.wikipedia.org/w/api.php?action=edit',
+					'http.response.status_code': 200,
+					'mediawiki.api.error_codes': [ 'maxlag' ],
+				} );
+				expect( attemptSpan2.attributes ).to.eql( {
+					'http.request.method': 'POST',
+					'url.full': 'https://en.wikipedia.org/w/api.php?action=edit',
+					'http.response.status_code': 200,
+				} );
+				expect( [ tokenSpan, attemptSpan1, attemptSpan2 ].every( ( span ) => span.ended ) )
+					.to.be.true;
+			} );
+
+			it( 'records errors', async () => {
+				const session = singleRequestSession( {
+					action: 'query',
+					list: 'allpages|recentchanges',
+					prop: 'info',
+				}, { error: { code: 'badvalue' } } );
+				const tracer = new FakeTracer();
+				await expect( session.request( {
+					action: 'query',
+					list: set( 'allpages', 'recentchanges' ),
+					prop: set( 'info' ),
+				}, { tracer } ) ).to.be.rejectedWith( ApiErrors );
+
+				const [ requestSpan ] = tracer.spans;
+				expect( requestSpan.attributes ).to.eql( {
+					'mediawiki.api.action': 'query',
+					'mediawiki.api.modules': [
+						'list=allpages',
+						'list=recentchanges',
+						'prop=info',
+					],
+					'mediawiki.api.error_codes': [ 'badvalue' ],
+				} );
+				expect( requestSpan.exceptions ).to.have.lengthOf( 1 );
+				expect( requestSpan.exceptions[ 0 ] ).to.be.an.instanceof( ApiErrors );
+				expect( requestSpan.status ).to.eql( { code: 2, message: 'badvalue' } );
+				expect( requestSpan.ended ).to.be.true;
+			} );
+
+			it( 'redacts tokens in URLs', async () => {
+				const session = singleRequestSession( {
+					action: 'query',
+					lgtoken: 'secret',
+				} );
+				const tracer = new FakeTracer();
+				await session.request( { action: 'query', lgtoken: 'secret' }, { tracer } );
+				expect( tracer.spans[ 0 ].children[ 0 ].attributes[ 'url.full' ] ).to.equal(
+					'https://en.wikipedia.org/w/api.php?action=query&lgtoken=%5Bredacted%5D&format=json' );
+			} );
+
+		} );
+
+		describe( 'cache', () => {
+
+			it( 'caches GET responses for cacheTtlSeconds', async () => {
+				const clock = FakeTimers.createClock();
+				const session = sequentialRequestSession( [
+					{ expectedParams: { meta: 'siteinfo' }, response: { response: 1 } },
+					{ expectedParams: { meta: 'siteinfo' }, response: { response: 2 } },
+				] );
+				const options = { cacheTtlSeconds: 60, clock };
+				expect( await session.request( { meta: 'siteinfo' }, options ) )
+					.to.eql( { response: 1 } );
+				await clock.tickAsync( 59000 );
+				expect( await session.request( { meta: 'siteinfo' }, options ) )
+					.to.eql( { response: 1 } );
+				expect( session.stats.cacheHits ).to.equal( 1 );
+				await clock.tickAsync( 1000 );
+				expect( await session.request( { meta: 'siteinfo' }, options ) )
+					.to.eql( { response: 2 } );
+				expect( session.stats.requests ).to.equal( 2 );
+			} );
+
+			it( 'returns copies of cached responses', async () => {
+				const session = singleRequestSession( {}, { response: { value: 1 } } );
+				const response1 = await session.request( {}, { cacheTtlSeconds: 60 } );
+				response1.response.value = 2;
+				const response2 = await session.request( {}, { cacheTtlSeconds: 60 } );
+				expect( response2 ).to.eql( { response: { value: 1 } } );
+			} );
+
+			it( 'does not cache without cacheTtlSeconds', async () => {
+				const session = sequentialRequestSession( [
+					{ response: { response: 1 } },
+					{ response: { response: 2 } },
+				] );
+				await session.request( {} );
+				expect( await session.request( {}, { cacheTtlSeconds: 60 } ) )
+					.to.eql( { response: 2 } );
+			} );
+
+			it( 'does not cache POST requests', async () => {
+				const session = sequentialRequestSession( [
+					{ response: { response: 1 }, method: 'POST' },
+					{ response: { response: 2 }, method: 'POST' },
+				] );
+				const options = { method: 'POST', cacheTtlSeconds: 60 };
+				await session.request( {}, options );
+				expect( await session.request( {}, options ) ).to.eql( { response: 2 } );
+			} );
+
+			it( 'does not cache requests with tokens', async () => {
+				const session = sequentialRequestSession( [
+					{
+						expectedParams: { action: 'query', meta: 'tokens', type: 'csrf' },
+						response: { query: { tokens: { csrftoken: '+\\' } } },
+					},
+					{ expectedParams: { token: '+\\' }, response: { response: 1 } },
+					{ expectedParams: { token: '+\\' }, response: { response: 2 } },
+				] );
+				const options = { tokenType: 'csrf', cacheTtlSeconds: 60 };
+				await session.request( {}, options );
+				expect( await session.request( {}, options ) ).to.eql( { response: 2 } );
+			} );
+
+			it( 'does not cache error responses', async () => {
+				const session = sequentialRequestSession( [
+					{ response: { error: { code: 'bad' } } },
+					{ response: { response: 2 } },
+				] );
+				const options = { cacheTtlSeconds: 60 };
+				await expect( session.request( {}, options ) ).to.be.rejectedWith( ApiErrors );
+				expect( await session.request( {}, options ) ).to.eql( { response: 2 } );
+			} );
+
+			it( 'distinguishes default params', async () => {
+				const session = sequentialRequestSession( [
+					{ expectedParams: { uselang: 'en' }, response: { response: 1 } },
+					{ expectedParams: { uselang: 'de' }, response: { response: 2 } },
+				] );
+				const options = { cacheTtlSeconds: 60 };
+				session.defaultParams.uselang = 'en';
+				await session.request( {}, options );
+				session.defaultParams.uselang = 'de';
+				expect( await session.request( {}, options ) ).to.eql( { response: 2 } );
+			} );
+
+			it( 'bypassCache', async () => {
+				const session = sequentialRequestSession( [
+					{ response: { response: 1 } },
+					{ response: { response: 2 } },
+				] );
+				const options = { cacheTtlSeconds: 60 };
+				await session.request( {}, options );
+				expect( await session.request( {}, { ...options, bypassCache: true } ) )
+					.to.eql( { response: 2 } );
+				expect( await session.request( {}, options ) ).to.eql( { response: 2 } );
+			} );
+
+			it( 'invalidateCache', async () => {
+				const session = sequentialRequestSession( [
+					{ expectedParams: { list: 'a' }, response: { response: 1 } },
+					{ expectedParams: { list: 'b' }, response: { response: 2 } },
+					{ expectedParams: { list: 'a' }, response: { response: 3 } },
+				] );
+				const options = { cacheTtlSeconds: 60 };
+				await session.request( { list: 'a' }, options );
+				await session.request( { list: 'b' }, options );
+				await session.invalidateCache( { list: set( 'a' ) } );
+				expect( await session.request( { list: 'a' }, options ) )
+					.to.eql( { response: 3 } );
+				expect( await session.request( { list: 'b' }, options ) )
+					.to.eql( { response: 2 } );
+			} );
+
+			it( 'clearCache', async () => {
+				const session = sequentialRequestSession( [
+					{ response: { response: 1 } },
+					{ response: { response: 2 } },
+				] );
+				const options = { cacheTtlSeconds: 60 };
+				await session.request( {}, options );
+				await session.clearCache();
+				expect( await session.request( {}, options ) ).to.eql( { response: 2 } );
+			} );
+
+			it( 'uses custom cache', async () => {
+				const clock = FakeTimers.createClock( 1000 );
+				const entries = new Map();
+				const cache = {
+					async get( key ) {
+						return entries.get( key );
+					},
+					async set( key, entry ) {
+						entries.set( key, entry );
+					},
+					async delete( key ) {
+						entries.delete( key );
+					},
+					async clear() {
+						entries.clear();
+					},
+				};
+				const session = singleRequestSession( { b: '2', a: '1' }, { response: true } );
+				await session.request( { b: 2, a: 1 }, { cacheTtlSeconds: 60, cache, clock } );
+				expect( [ ...entries ] ).to.eql( [ [
+					'https://en.wikipedia.org/w/api.php?a=1&b=2&format=json',
+					{ expires: 61000, response: { response: true } },
+				] ] );
+				expect( await session.request( { a: 1, b: 2 }, {
+					cacheTtlSeconds: 60,
+					cache,
+					clock,
+				} ) ).to.eql( { response: true } );
+			} );
+
+			it( 'does not share cache entries between users', async () => {
+				const cache = new MemoryCache();
+				const options = { cacheTtlSeconds: 60, cache };
+				const params = { list: 'watchlist' };
+				const watchlist = ( user ) => ( { query: { watchlist: [ { user } ] } } );
+				const anonymous = singleRequestSession( params, watchlist( '127.0.0.1' ) );
+				const alice = singleRequestSession( params, watchlist( 'Alice' ) );
+				alice.defaultOptions.accessToken = 'alice-token';
+				const bob = singleRequestSession( params, watchlist( 'Bob' ) );
+				bob.defaultOptions.accessToken = 'bob-token';
+				const carol = singleRequestSession( params, watchlist( 'Carol' ) );
+				carol.setUserName( 'Carol' );
+
+				for ( const [ session, name ] of [
+					[ anonymous, '127.0.0.1' ],
+					[ alice, 'Alice' ],
+					[ bob, 'Bob' ],
+					[ carol, 'Carol' ],
+				] ) {
+					expect( await session.request( params, options ) ).to.eql( watchlist( name ) );
+				}
+				expect( await bob.request( params, options ) ).to.eql( watchlist( 'Bob' ) );
+				expect( bob.stats.cacheHits ).to.equal( 1 );
+				for ( const key of cache.entries.keys() ) {
+					expect( key ).not.to.include( 'token' );
+				}
+			} );
+
+			it( 'hashes with digest', async () => {
+				const session = new BaseTestSession( 'en.wikipedia.org' );
+				expect( await session.digest( 'abc' ) ).to.equal(
+					'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad' );
+			} );
+
+		} );
+
+		describe( 'conditionalRequests', () => {
+
+			/**
+			 * Create a session whose fetch() calls the given function
+			 * with the request headers and returns its result.
+			 *
+			 * @param {Function} handler
+			 * @return {BaseTestSession}
+			 */
+			function conditionalSession( handler ) {
+				class TestSession extends BaseTestSession {
+					async fetch( resource, fetchOptions ) {
+						return handler( fetchOptions.headers );
+					}
+				}
+				return new TestSession( 'en.wikipedia.org', {}, {
+					conditionalRequests: true,
+				} );
+			}
+
+			/**
+			 * @param {Object} body
+			 * @param {Object} headers
+			 * @return {Response}
+			 */
+			function responseWithHeaders( body, headers ) {
+				return new Response( JSON.stringify( body ), { headers } );
+			}
+
+			it( 'sends validators and uses remembered body on 304', async () => {
+				let calls = 0;
+				const session = conditionalSession( ( headers ) => {
+					switch ( ++calls ) {
+						case 1:
+							expect( headers ).not.to.have.property( 'if-none-match' );
+							expect( headers ).not.to.have.property( 'if-modified-since' );
+							return responseWithHeaders( { response: 1 }, {
+								etag: '"abc"',
+								'last-modified': 'Wed, 21 Oct 2015 07:28:00 GMT',
+							} );
+						case 2:
+							expect( headers ).to.have.property( 'if-none-match', '"abc"' );
+							expect( headers ).to.have.property(
+								'if-modified-since', 'Wed, 21 Oct 2015 07:28:00 GMT' );
+							return new Response( null, { status: 304 } );
+						default:
+							throw new Error( `Unexpected call #${ calls }` );
+					}
+				} );
+				expect( await session.request( {} ) ).to.eql( { response: 1 } );
+				expect( await session.request( {} ) ).to.eql( { response: 1 } );
+			} );
+
+			it( 'updates remembered body on 200', async () => {
+				let calls = 0;
+				const session = conditionalSession( ( headers ) => {
+					switch ( ++calls ) {
+						case 1:
+							return responseWithHeaders( { response: 1 }, { etag: '"1"' } );
+						case 2:
+							expect( headers ).to.have.property( 'if-none-match', '"1"' );
+							return responseWithHeaders( { response: 2 }, { etag: '"2"' } );
+						case 3:
+							expect( headers ).to.have.property( 'if-none-match', '"2"' );
+							return new Response( null, { status: 304 } );
+						default:
+							throw new Error( `Unexpected call #${ calls }` );
+					}
+				} );
+				await session.request( {} );
+				expect( await session.request( {} ) ).to.eql( { response: 2 } );
+				expect( await session.request( {} ) ).to.eql( { response: 2 } );
+			} );
+
+			it( 'does not remember error responses', async () => {
+				let calls = 0;
+				const session = conditionalSession( ( headers ) => {
+					++calls;
+					expect( headers ).not.to.have.property( 'if-none-match' );
+					return responseWithHeaders( { error: { code: 'bad' } }, { etag: '"e"' } );
+				} );
+				await expect( session.request( {} ) ).to.be.rejectedWith( ApiErrors );
+				await expect( session.request( {} ) ).to.be.rejectedWith( ApiErrors );
+				expect( calls ).to.equal( 2 );
+			} );
+
+			it( 'distinguishes URLs', async () => {
+				const session = conditionalSession( ( headers ) => {
+					expect( headers ).not.to.have.property( 'if-none-match' );
+					return responseWithHeaders( {}, { etag: '"e"' } );
+				} );
+				await session.request( { titles: 'A' } );
+				await session.request( { titles: 'B' } );
+			} );
+
+			it( 'does nothing by default', async () => {
+				const session = conditionalSession( ( headers ) => {
+					expect( headers ).not.to.have.property( 'if-none-match' );
+					return responseWithHeaders( {}, { etag: '"e"' } );
+				} );
+				session.defaultOptions.conditionalRequests = false;
+				await session.request( {} );
+				await session.request( {} );
+			} );
+
 		} );
 
 		describe( 'custom error handlers', () => {
@@ -1829,16 +3634,16 @@ describe( 'Session', () => {
 				switch ( ++reduceCall ) {
 					case 1:
 						expect( accumulator ).to.equal( firstInitial );
-						expect( response ).to.equal( firstResponse );
+						expect( response ).to.eql( firstResponse );
 						return firstAccumulator;
 					case 2:
 						expect( accumulator ).to.equal( firstAccumulator );
-						expect( response ).to.equal( secondResponse );
+						expect( response ).to.eql( secondResponse );
 						delete response.batchcomplete; // this should *not* affect continuation
 						return secondAccumulator;
 					case 3:
 						expect( accumulator ).to.equal( secondInitial );
-						expect( response ).to.equal( thirdResponse );
+						expect( response ).to.eql( thirdResponse );
 						return thirdAccumulator;
 					default:
 						throw new Error( `Unexpected reduce() call #${ reduceCall }` );
@@ -1914,6 +3719,757 @@ describe( 'Session', () => {
 
 	} );
 
+	describe( 'login', () => {
+
+		const loginTokenCall = {
+			expectedParams: { action: 'query', meta: 'tokens', type: 'login' },
+			response: { query: { tokens: { logintoken: 'login token' } } },
+		};
+
+		it( 'logs in, clears tokens and sets assert=user', async () => {
+			const session = sequentialRequestSession( [
+				loginTokenCall,
+				{
+					expectedParams: {
+						action: 'login',
+						lgname: 'User@Bot',
+						lgpassword: 'password',
+						lgtoken: 'login token',
+					},
+					response: { login: { result: 'Success', lgusername: 'User' } },
+					method: 'POST',
+				},
+			] );
+			session.tokens.set( 'csrf', '+\\' );
+			expect( await session.login( 'User@Bot', 'password' ) ).to.equal( 'User' );
+			expect( session.tokens.size ).to.equal( 0 );
+			expect( session.defaultParams.assert ).to.equal( 'user' );
+		} );
+
+		it( 'keeps an existing assert default parameter', async () => {
+			const session = sequentialRequestSession( [
+				loginTokenCall,
+				{
+					expectedParams: {
+						action: 'login',
+						lgname: 'User@Bot',
+						lgpassword: 'password',
+						lgtoken: 'login token',
+					},
+					response: { login: { result: 'Success', lgusername: 'User' } },
+					method: 'POST',
+				},
+			] );
+			session.defaultParams.assert = 'bot';
+			await session.login( 'User@Bot', 'password' );
+			expect( session.defaultParams.assert ).to.equal( 'bot' );
+		} );
+
+		it( 'retries with a new token after NeedToken', async () => {
+			const session = sequentialRequestSession( [
+				loginTokenCall,
+				{
+					expectedParams: {
+						action: 'login',
+						lgname: 'User@Bot',
+						lgpassword: 'password',
+						lgtoken: 'login token',
+					},
+					response: { login: { result: 'NeedToken' } },
+					method: 'POST',
+				},
+				{
+					expectedParams: { action: 'query', meta: 'tokens', type: 'login' },
+					response: { query: { tokens: { logintoken: 'new login token' } } },
+				},
+				{
+					expectedParams: {
+						action: 'login',
+						lgname: 'User@Bot',
+						lgpassword: 'password',
+						lgtoken: 'new login token',
+					},
+					response: { login: { result: 'Success', lgusername: 'User' } },
+					method: 'POST',
+				},
+			] );
+			expect( await session.login( 'User@Bot', 'password' ) ).to.equal( 'User' );
+		} );
+
+		it( 'throws LoginError on failure', async () => {
+			const session = sequentialRequestSession( [
+				loginTokenCall,
+				{
+					expectedParams: {
+						action: 'login',
+						lgname: 'User@Bot',
+						lgpassword: 'wrong password',
+						lgtoken: 'login token',
+					},
+					response: { login: { result: 'Failed', reason: 'Incorrect password.' } },
+					method: 'POST',
+				},
+			] );
+			const promise = session.login( 'User@Bot', 'wrong password' );
+			await expect( promise ).to.be.rejectedWith( LoginError,
+				'm3api: Login failed (Failed): Incorrect password.' );
+			const error = await promise.catch( ( e ) => e );
+			expect( error.result ).to.equal( 'Failed' );
+			expect( error.reason ).to.equal( 'Incorrect password.' );
+			expect( session.defaultParams ).not.to.have.property( 'assert' );
+		} );
+
+		it( 'falls back to clientlogin if login is aborted', async () => {
+			const session = sequentialRequestSession( [
+				loginTokenCall,
+				{
+					expectedParams: {
+						action: 'login',
+						lgname: 'User',
+						lgpassword: 'password',
+						lgtoken: 'login token',
+					},
+					response: { login: { result: 'Aborted', reason: 'Cannot log in' } },
+					method: 'POST',
+				},
+				loginTokenCall,
+				{
+					expectedParams: {
+						action: 'clientlogin',
+						username: 'User',
+						password: 'password',
+						logintoken: 'login token',
+						loginreturnurl: 'https://en.wikipedia.org/w/api.php',
+					},
+					response: { clientlogin: { status: 'PASS', username: 'User' } },
+					method: 'POST',
+				},
+			] );
+			expect( await session.login( 'User', 'password' ) ).to.equal( 'User' );
+			expect( session.defaultParams.assert ).to.equal( 'user' );
+		} );
+
+		it( 'throws LoginError if clientlogin fails', async () => {
+			const session = sequentialRequestSession( [
+				loginTokenCall,
+				{
+					expectedParams: {
+						action: 'login',
+						lgname: 'User',
+						lgpassword: 'password',
+						lgtoken: 'login token',
+					},
+					response: { login: { result: 'Aborted' } },
+					method: 'POST',
+				},
+				loginTokenCall,
+				{
+					expectedParams: {
+						action: 'clientlogin',
+						username: 'User',
+						password: 'password',
+						logintoken: 'login token',
+						loginreturnurl: 'https://en.wikipedia.org/w/api.php',
+					},
+					response: { clientlogin: {
+						status: 'UI',
+						message: 'Enter a verification code.',
+					} },
+					method: 'POST',
+				},
+			] );
+			await expect( session.login( 'User', 'password' ) ).to.be.rejectedWith( LoginError,
+				'm3api: Login failed (UI): Enter a verification code.' );
+		} );
+
+		it( 'does not send assert params with login requests', async () => {
+			const session = sequentialRequestSession( [
+				loginTokenCall,
+				{
+					expectedParams: {
+						action: 'login',
+						lgname: 'User@Bot',
+						lgpassword: 'password',
+						lgtoken: 'login token',
+					},
+					response: { login: { result: 'Success', lgusername: 'User' } },
+					method: 'POST',
+				},
+			] );
+			session.defaultParams.assert = 'user';
+			session.defaultParams.assertuser = 'User';
+			await session.login( 'User@Bot', 'password' );
+		} );
+
+	} );
+
+	describe( 'relogin', () => {
+
+		const loginCalls = () => [
+			{
+				expectedParams: { action: 'query', meta: 'tokens', type: 'login' },
+				response: { query: { tokens: { logintoken: 'login token' } } },
+			},
+			{
+				expectedParams: {
+					action: 'login',
+					lgname: 'User@Bot',
+					lgpassword: 'password',
+					lgtoken: 'login token',
+				},
+				response: { login: { result: 'Success', lgusername: 'User' } },
+				method: 'POST',
+			},
+		];
+
+		for ( const code of [ 'assertuserfailed', 'assertnameduserfailed' ] ) {
+			it( `logs in again after ${ code } and retries`, async () => {
+				const session = sequentialRequestSession( [
+					...loginCalls(),
+					{
+						expectedParams: { action: 'query', assert: 'user' },
+						response: { errors: [ { code } ] },
+					},
+					...loginCalls(),
+					{
+						expectedParams: { action: 'query', assert: 'user' },
+						response: { query: { success: true } },
+					},
+				] );
+				await session.login( 'User@Bot', 'password' );
+				expect( await session.request( { action: 'query' } ) )
+					.to.eql( { query: { success: true } } );
+				expect( session.stats.retries.relogin ).to.equal( 1 );
+			} );
+		}
+
+		it( 'only retries once', async () => {
+			const session = sequentialRequestSession( [
+				...loginCalls(),
+				{
+					expectedParams: { action: 'query', assert: 'user' },
+					response: { errors: [ { code: 'assertuserfailed' } ] },
+				},
+				...loginCalls(),
+				{
+					expectedParams: { action: 'query', assert: 'user' },
+					response: { errors: [ { code: 'assertuserfailed' } ] },
+				},
+			] );
+			await session.login( 'User@Bot', 'password' );
+			await expect( session.request( { action: 'query' } ) )
+				.to.be.rejectedWith( ApiErrors, 'assertuserfailed' );
+		} );
+
+		it( 'does not log in if the session was not logged in via login()', async () => {
+			const session = singleRequestSession(
+				{ action: 'query', assert: 'user' },
+				{ errors: [ { code: 'assertuserfailed' } ] },
+			);
+			await expect( session.request( { action: 'query', assert: 'user' } ) )
+				.to.be.rejectedWith( ApiErrors, 'assertuserfailed' );
+		} );
+
+		it( 'can be disabled', async () => {
+			const session = sequentialRequestSession( [
+				...loginCalls(),
+				{
+					expectedParams: { action: 'query', assert: 'user' },
+					response: { errors: [ { code: 'assertuserfailed' } ] },
+				},
+			] );
+			await session.login( 'User@Bot', 'password' );
+			await expect( session.request( { action: 'query' }, { relogin: false } ) )
+				.to.be.rejectedWith( ApiErrors, 'assertuserfailed' );
+		} );
+
+		it( 'calls a relogin callback', async () => {
+			const session = sequentialRequestSession( [
+				{
+					expectedParams: { action: 'query', assert: 'user' },
+					response: { errors: [ { code: 'assertuserfailed' } ] },
+				},
+				{
+					expectedParams: { action: 'query', assert: 'user' },
+					response: { query: { success: true } },
+				},
+			] );
+			session.tokens.set( 'csrf', 'old token' );
+			let calls = 0;
+			const relogin = async ( s, options ) => {
+				expect( s ).to.equal( session );
+				expect( options ).to.have.property( 'relogin', relogin );
+				calls++;
+			};
+			expect( await session.request(
+				{ action: 'query', assert: 'user' },
+				{ relogin },
+			) ).to.eql( { query: { success: true } } );
+			expect( calls ).to.equal( 1 );
+			expect( session.tokens.size ).to.equal( 0 );
+		} );
+
+		it( 'logs in only once for concurrent requests', async () => {
+			const attempts = new Map();
+			let calls = 0;
+			class TestSession extends BaseTestSession {
+				async fetch( resource ) {
+					const r = resource.searchParams.get( 'r' );
+					attempts.set( r, ( attempts.get( r ) || 0 ) + 1 );
+					if ( attempts.get( r ) === 1 ) {
+						return successfulResponse( { errors: [ { code: 'assertuserfailed' } ] } );
+					}
+					return successfulResponse( { r } );
+				}
+			}
+			const session = new TestSession( 'en.wikipedia.org', {}, {
+				async relogin() {
+					calls++;
+				},
+			} );
+			expect( await Promise.all( [
+				session.request( { r: 1 } ),
+				session.request( { r: 2 } ),
+			] ) ).to.eql( [ { r: '1' }, { r: '2' } ] );
+			expect( calls ).to.equal( 1 );
+		} );
+
+	} );
+
+	describe( 'edit', () => {
+
+		const queryParams = {
+			action: 'query',
+			titles: 'Test',
+			prop: 'revisions',
+			rvprop: 'ids|timestamp|content',
+			rvslots: 'main',
+			curtimestamp: '',
+			formatversion: '2',
+		};
+
+		/**
+		 * @param {number} revid
+		 * @param {string} content
+		 * @return {Object}
+		 */
+		function queryCall( revid, content ) {
+			return {
+				expectedParams: queryParams,
+				response: {
+					curtimestamp: `2026-01-01T00:00:0${ revid }Z`,
+					query: { pages: [ {
+						pageid: 1,
+						title: 'Test',
+						revisions: [ {
+							revid,
+							timestamp: `2026-01-01T00:00:0${ revid - 1 }Z`,
+							slots: { main: { content } },
+						} ],
+					} ] },
+				},
+			};
+		}
+
+		/**
+		 * @param {number} revid
+		 * @param {Object} params
+		 * @param {Object} response
+		 * @return {Object}
+		 */
+		function editCall( revid, params, response ) {
+			return {
+				expectedParams: {
+					action: 'edit',
+					title: 'Test',
+					baserevid: `${ revid }`,
+					basetimestamp: `2026-01-01T00:00:0${ revid - 1 }Z`,
+					starttimestamp: `2026-01-01T00:00:0${ revid }Z`,
+					nocreate: '',
+					formatversion: '2',
+					token: 'csrftoken+\\',
+					...params,
+				},
+				response,
+				method: 'POST',
+			};
+		}
+
+		it( 'edits an existing page', async () => {
+			const session = sequentialRequestSession( [
+				queryCall( 1, 'old text' ),
+				editCall( 1, { text: 'new text' }, { edit: { result: 'Success' } } ),
+			] );
+			session.tokens.set( 'csrf', 'csrftoken+\\' );
+			const calls = [];
+			expect( await session.edit( 'Test', ( content, revision ) => {
+				calls.push( [ content, revision ] );
+				return content.replace( 'old', 'new' );
+			} ) ).to.eql( { result: 'Success' } );
+			expect( calls ).to.eql( [
+				[ 'old text', { revid: 1, timestamp: '2026-01-01T00:00:00Z' } ],
+			] );
+		} );
+
+		it( 'accepts additional edit params', async () => {
+			const session = sequentialRequestSession( [
+				queryCall( 1, 'old text' ),
+				editCall( 1, { text: 'new text', summary: 'Test edit' }, { edit: {} } ),
+			] );
+			session.tokens.set( 'csrf', 'csrftoken+\\' );
+			await session.edit( 'Test', async () => ( { text: 'new text', summary: 'Test edit' } ) );
+		} );
+
+		it( 'creates a missing page', async () => {
+			const session = sequentialRequestSession( [
+				{
+					expectedParams: queryParams,
+					response: {
+						curtimestamp: '2026-01-01T00:00:00Z',
+						query: { pages: [ { title: 'Test', missing: true } ] },
+					},
+				},
+				{
+					expectedParams: {
+						action: 'edit',
+						title: 'Test',
+						text: 'new text',
+						starttimestamp: '2026-01-01T00:00:00Z',
+						createonly: '',
+						formatversion: '2',
+						token: 'csrftoken+\\',
+					},
+					response: { edit: { result: 'Success', new: true } },
+					method: 'POST',
+				},
+			] );
+			session.tokens.set( 'csrf', 'csrftoken+\\' );
+			expect( await session.edit( 'Test', ( content, revision ) => {
+				expect( content ).to.be.null;
+				expect( revision ).to.be.null;
+				return 'new text';
+			} ) ).to.eql( { result: 'Success', new: true } );
+		} );
+
+		it( 'transforms the page again after an edit conflict', async () => {
+			const session = sequentialRequestSession( [
+				queryCall( 1, 'text 1' ),
+				editCall( 1, { text: 'text 1!' }, { errors: [ { code: 'editconflict' } ] } ),
+				queryCall( 2, 'text 2' ),
+				editCall( 2, { text: 'text 2!' }, { edit: { result: 'Success' } } ),
+			] );
+			session.tokens.set( 'csrf', 'csrftoken+\\' );
+			expect( await session.edit( 'Test', ( content ) => `${ content }!` ) )
+				.to.eql( { result: 'Success' } );
+		} );
+
+		it( 'gives up after maxEditConflictRetries', async () => {
+			const session = sequentialRequestSession( [
+				queryCall( 1, 'text 1' ),
+				editCall( 1, { text: 'text 1!' }, { errors: [ { code: 'editconflict' } ] } ),
+				queryCall( 2, 'text 2' ),
+				editCall( 2, { text: 'text 2!' }, { errors: [ { code: 'editconflict' } ] } ),
+			] );
+			session.tokens.set( 'csrf', 'csrftoken+\\' );
+			await expect( session.edit( 'Test', ( content ) => `${ content }!`, {
+				maxEditConflictRetries: 1,
+			} ) ).to.be.rejectedWith( ApiErrors, 'editconflict' );
+		} );
+
+		it( 'does not retry other errors', async () => {
+			const session = sequentialRequestSession( [
+				queryCall( 1, 'text' ),
+				editCall( 1, { text: 'text!' }, { errors: [ { code: 'protectedpage' } ] } ),
+			] );
+			session.tokens.set( 'csrf', 'csrftoken+\\' );
+			await expect( session.edit( 'Test', ( content ) => `${ content }!` ) )
+				.to.be.rejectedWith( ApiErrors, 'protectedpage' );
+		} );
+
+		it( 'throws invalidtitle for invalid titles', async () => {
+			const session = singleRequestSession( { ...queryParams, titles: 'Test<>' }, {
+				curtimestamp: '2026-01-01T00:00:00Z',
+				query: { pages: [ {
+					title: 'Test<>',
+					invalidreason: 'The requested page title contains invalid characters: "<".',
+					invalid: true,
+				} ] },
+			} );
+			const transform = () => {
+				throw new Error( 'transform should not be called' );
+			};
+			const error = await expect( session.edit( 'Test<>', transform ) )
+				.to.be.rejectedWith( ApiErrors, 'invalidtitle' );
+			expect( error.errors ).to.eql( [ {
+				code: 'invalidtitle',
+				info: 'The requested page title contains invalid characters: "<".',
+				title: 'Test<>',
+			} ] );
+		} );
+
+		it( 'throws for pages without revisions', async () => {
+			const session = singleRequestSession( { ...queryParams, titles: 'Special:Version' }, {
+				curtimestamp: '2026-01-01T00:00:00Z',
+				query: { pages: [ { ns: -1, title: 'Special:Version', special: true } ] },
+			} );
+			const transform = () => {
+				throw new Error( 'transform should not be called' );
+			};
+			await expect( session.edit( 'Special:Version', transform ) )
+				.to.be.rejectedWith( Error, 'Cannot edit page without revisions' );
+		} );
+
+	} );
+
+	describe( 'upload', () => {
+
+		/**
+		 * Create a session that records the URL and body params of all requests
+		 * (with Blob values replaced by their text) and returns the given responses in order.
+		 *
+		 * @param {Object[]} responses
+		 * @param {Object} [defaultOptions]
+		 * @return {Object} An object with `session` and `requests` members.
+		 */
+		function recordingSession( responses, defaultOptions = {} ) {
+			const requests = [];
+			class TestSession extends BaseTestSession {
+				async fetch( resource, fetchOptions ) {
+					const params = {};
+					for ( const [ key, value ] of resource.searchParams ) {
+						params[ key ] = value;
+					}
+					for ( const [ key, value ] of fetchOptions.body ) {
+						params[ key ] = typeof value === 'string' ? value : await value.text();
+					}
+					delete params.format;
+					delete params.token;
+					requests.push( params );
+					expect( responses ).not.to.be.empty;
+					return successfulResponse( responses.shift() );
+				}
+			}
+			const session = new TestSession( 'en.wikipedia.org', {}, defaultOptions );
+			session.tokens.set( 'csrf', 'csrftoken+\\' );
+			return { session, requests };
+		}
+
+		it( 'uploads a file in chunks and publishes it', async () => {
+			const progress = [];
+			const { session, requests } = recordingSession( [
+				{ upload: { result: 'Continue', offset: 4, filekey: 'key' } },
+				{ upload: { result: 'Continue', offset: 8, filekey: 'key' } },
+				{ upload: { result: 'Success', filekey: 'key' } },
+				{ upload: { result: 'Success', filename: 'Test.txt' } },
+			], {
+				uploadChunkSizeBytes: 4,
+				onUploadProgress: ( event ) => progress.push( event ),
+			} );
+			const result = await session.upload(
+				new Blob( [ 'abcdefghij' ] ),
+				'Test.txt',
+				{ comment: 'Test upload', text: 'description' },
+			);
+			expect( result ).to.eql( { result: 'Success', filename: 'Test.txt' } );
+			const chunkParams = {
+				action: 'upload',
+				stash: '',
+				filename: 'Test.txt',
+				filesize: '10',
+				ignorewarnings: '',
+			};
+			expect( requests ).to.eql( [
+				{ ...chunkParams, offset: '0', chunk: 'abcd' },
+				{ ...chunkParams, offset: '4', chunk: 'efgh', filekey: 'key' },
+				{ ...chunkParams, offset: '8', chunk: 'ij', filekey: 'key' },
+				{
+					comment: 'Test upload',
+					text: 'description',
+					action: 'upload',
+					filename: 'Test.txt',
+					filekey: 'key',
+					async: '',
+				},
+			] );
+			expect( progress.map( ( { uploadedBytes } ) => uploadedBytes ) )
+				.to.eql( [ 4, 8, 10 ] );
+			expect( progress[ 0 ] ).to.include( { filename: 'Test.txt', totalBytes: 10 } );
+		} );
+
+		it( 'polls the status of asynchronous uploads', async () => {
+			const clock = FakeTimers.createClock();
+			const { session, requests } = recordingSession( [
+				{ upload: { result: 'Success', filekey: 'key' } },
+				{ upload: { result: 'Poll', stage: 'queued' } },
+				{ upload: { result: 'Poll', stage: 'publish' } },
+				{ upload: { result: 'Success', filename: 'Test.txt' } },
+			], { clock, uploadPollSeconds: 2 } );
+			const promise = session.upload( new Blob( [ 'abc' ] ), 'Test.txt' );
+			await clock.tickAsync( 10000 );
+			expect( await promise ).to.eql( {
+				result: 'Success',
+				filename: 'Test.txt',
+				filekey: 'key',
+			} );
+			expect( requests.slice( 2 ) ).to.eql( [
+				{ action: 'upload', checkstatus: '', filekey: 'key' },
+				{ action: 'upload', checkstatus: '', filekey: 'key' },
+			] );
+		} );
+
+		it( 'throws UploadError on warnings', async () => {
+			const { session } = recordingSession( [
+				{ upload: { result: 'Success', filekey: 'key' } },
+				{ upload: {
+					result: 'Warning',
+					warnings: { duplicate: [ 'Other.txt' ], exists: 'Test.txt' },
+					filekey: 'key',
+				} },
+			] );
+			const error = await session.upload( new Blob( [ 'abc' ] ), 'Test.txt' )
+				.catch( ( e ) => e );
+			expect( error ).to.be.an.instanceof( UploadError );
+			expect( error.message ).to.equal( 'm3api: Upload failed (Warning): duplicate, exists' );
+			expect( error.result.filekey ).to.equal( 'key' );
+		} );
+
+		it( 'ignores warnings for chunks and publishes with ignorewarnings', async () => {
+			const { session, requests } = recordingSession( [
+				{ upload: {
+					result: 'Warning',
+					warnings: { exists: 'Test.txt' },
+					filekey: 'key',
+				} },
+				{ upload: { result: 'Success', filekey: 'key' } },
+				{ upload: { result: 'Success', filename: 'Test.txt' } },
+			], { uploadChunkSizeBytes: 2 } );
+			const result = await session.upload(
+				new Blob( [ 'abc' ] ),
+				'Test.txt',
+				{ ignorewarnings: true },
+			);
+			expect( result ).to.eql( { result: 'Success', filename: 'Test.txt' } );
+			expect( requests.map( ( { chunk, ignorewarnings } ) => [ chunk, ignorewarnings ] ) )
+				.to.eql( [ [ 'ab', '' ], [ 'c', '' ], [ undefined, '' ] ] );
+		} );
+
+		it( 'throws UploadError on failure', async () => {
+			const clock = FakeTimers.createClock();
+			const { session } = recordingSession( [
+				{ upload: { result: 'Success', filekey: 'key' } },
+				{ upload: { result: 'Poll', stage: 'queued' } },
+				{ upload: { result: 'Failure', stage: 'publish' } },
+			], { clock } );
+			const promise = session.upload( new Blob( [ 'abc' ] ), 'Test.txt' );
+			const assertion = expect( promise )
+				.to.be.rejectedWith( UploadError, 'm3api: Upload failed (Failure)' );
+			await clock.tickAsync( 10000 );
+			await assertion;
+		} );
+
+	} );
+
+	describe( 'logout', () => {
+
+		/**
+		 * Create a session that expects to log in and then to log out.
+		 *
+		 * @return {BaseTestSession}
+		 */
+		function loginLogoutSession() {
+			return sequentialRequestSession( [
+				{
+					expectedParams: { action: 'query', meta: 'tokens', type: 'login' },
+					response: { query: { tokens: { logintoken: 'login token' } } },
+				},
+				{
+					expectedParams: {
+						action: 'login',
+						lgname: 'User@Bot',
+						lgpassword: 'password',
+						lgtoken: 'login token',
+					},
+					response: { login: { result: 'Success', lgusername: 'User' } },
+					method: 'POST',
+				},
+				{
+					expectedParams: { action: 'logout', token: 'csrf token' },
+					response: {},
+					method: 'POST',
+				},
+			] );
+		}
+
+		it( 'logs out, clears tokens and cookies and removes assert param added by login', async () => {
+			const session = loginLogoutSession();
+			let cookiesCleared = false;
+			session.clearCookies = async () => {
+				cookiesCleared = true;
+			};
+			await session.login( 'User@Bot', 'password' );
+			expect( session.defaultParams ).to.eql( { assert: 'user' } );
+			session.tokens.set( 'csrf', 'csrf token' );
+			await session.logout();
+			expect( session.tokens.size ).to.equal( 0 );
+			expect( cookiesCleared ).to.be.true;
+			expect( session.defaultParams ).to.eql( {} );
+		} );
+
+		it( 'keeps assert params not added by login', async () => {
+			const session = loginLogoutSession();
+			session.defaultParams.assert = 'bot';
+			session.defaultParams.assertuser = 'User';
+			await session.login( 'User@Bot', 'password' );
+			session.tokens.set( 'csrf', 'csrf token' );
+			await session.logout();
+			expect( session.defaultParams ).to.eql( { assert: 'bot', assertuser: 'User' } );
+		} );
+
+		it( 'fetches a csrf token', async () => {
+			const session = sequentialRequestSession( [
+				{
+					expectedParams: { action: 'query', meta: 'tokens', type: 'csrf' },
+					response: { query: { tokens: { csrftoken: 'csrf token' } } },
+				},
+				{
+					expectedParams: { action: 'logout', token: 'csrf token' },
+					response: {},
+					method: 'POST',
+				},
+			] );
+			await session.logout();
+		} );
+
+	} );
+
+} );
+
+describe( 'MemoryCache', () => {
+
+	it( 'stores entries', () => {
+		const cache = new MemoryCache();
+		expect( cache.get( 'a' ) ).to.be.undefined;
+		cache.set( 'a', { value: 1 } );
+		expect( cache.get( 'a' ) ).to.eql( { value: 1 } );
+		cache.delete( 'a' );
+		expect( cache.get( 'a' ) ).to.be.undefined;
+		cache.set( 'b', { value: 2 } );
+		cache.clear();
+		expect( cache.size ).to.equal( 0 );
+	} );
+
+	it( 'drops least recently used entries', () => {
+		const cache = new MemoryCache( 2 );
+		cache.set( 'a', { value: 1 } );
+		cache.set( 'b', { value: 2 } );
+		cache.get( 'a' );
+		cache.set( 'c', { value: 3 } );
+		expect( cache.size ).to.equal( 2 );
+		expect( cache.get( 'a' ) ).to.eql( { value: 1 } );
+		expect( cache.get( 'b' ) ).to.be.undefined;
+		expect( cache.get( 'c' ) ).to.eql( { value: 3 } );
+	} );
+
 } );
 
 describe( 'responseBoolean', () => {
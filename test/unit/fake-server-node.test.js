@@ -0,0 +1,254 @@
+/* eslint-env mocha */
+
+import { FakeApiServer } from '../../fake-server-node.js';
+import Session, { ApiErrors, LoginError, set } from '../../node.js';
+import { CookieJar } from 'tough-cookie';
+import { expect, use } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+use( chaiAsPromised );
+
+describe( 'FakeApiServer', () => {
+
+	let server, apiUrl;
+
+	beforeEach( async () => {
+		server = new FakeApiServer( {
+			users: { 'Test user': 'test password' },
+			pages: { 'Main Page': 'Welcome!' },
+		} );
+		apiUrl = await server.start();
+	} );
+
+	afterEach( async () => {
+		await server.close();
+	} );
+
+	/**
+	 * @param {Object} [defaultParams]
+	 * @param {Object} [defaultOptions]
+	 * @return {Session}
+	 */
+	function makeSession( defaultParams = {}, defaultOptions = {} ) {
+		return new Session( apiUrl, {
+			formatversion: 2,
+			...defaultParams,
+		}, {
+			userAgent: 'm3api-unit-test',
+			warn() {
+				throw new Error( 'warn() should not be called in this test' );
+			},
+			...defaultOptions,
+		} );
+	}
+
+	it( 'returns siteinfo and userinfo', async () => {
+		const response = await makeSession().request( {
+			action: 'query',
+			meta: set( 'siteinfo', 'userinfo' ),
+		} );
+		expect( response.query.general.sitename ).to.equal( 'Fake Wiki' );
+		expect( response.query.userinfo ).to.eql( { id: 0, name: '127.0.0.1', anon: true } );
+	} );
+
+	it( 'logs in and edits using the session cookie', async () => {
+		const session = makeSession();
+		const loginToken = await session.getToken( 'login', {} );
+		const loginResponse = await session.request( {
+			action: 'login',
+			lgname: 'Test user',
+			lgpassword: 'test password',
+			lgtoken: loginToken,
+		}, { method: 'POST' } );
+		expect( loginResponse.login.result ).to.equal( 'Success' );
+		session.tokens.clear();
+
+		const editResponse = await session.request( {
+			action: 'edit',
+			title: 'Test page',
+			text: 'Test content',
+		}, { method: 'POST', tokenType: 'csrf' } );
+		expect( editResponse.edit ).to.include( { result: 'Success', new: true } );
+		const revisions = server.pages.get( 'Test page' ).revisions;
+		expect( revisions ).to.have.lengthOf( 1 );
+		expect( revisions[ 0 ] ).to.include( { user: 'Test user', content: 'Test content' } );
+
+		const [ page ] = ( await session.request( {
+			action: 'query',
+			titles: 'Test page',
+			prop: 'revisions',
+			rvprop: set( 'content' ),
+			rvslots: 'main',
+		} ) ).query.pages;
+		expect( page.revisions[ 0 ].slots.main.content ).to.equal( 'Test content' );
+	} );
+
+	it( 'rejects wrong password', async () => {
+		const session = makeSession();
+		const response = await session.request( {
+			action: 'login',
+			lgname: 'Test user',
+			lgpassword: 'wrong password',
+			lgtoken: await session.getToken( 'login', {} ),
+		}, { method: 'POST' } );
+		expect( response.login.result ).to.equal( 'Failed' );
+	} );
+
+	it( 'logs in using session.login()', async () => {
+		const session = makeSession();
+		expect( await session.login( 'Test user', 'test password' ) ).to.equal( 'Test user' );
+		const response = await session.request( { action: 'query', meta: set( 'userinfo' ) } );
+		expect( response.query.userinfo ).to.eql( { id: 1, name: 'Test user' } );
+		expect( server.requests[ server.requests.length - 1 ].params )
+			.to.have.property( 'assert', 'user' );
+	} );
+
+	it( 'logs out using session.logout()', async () => {
+		const session = makeSession();
+		await session.login( 'Test user', 'test password' );
+		await session.logout();
+		expect( session.tokens.size ).to.equal( 0 );
+		expect( await session.cookieJar.getCookies( apiUrl ) ).to.be.empty;
+		const response = await session.request( { action: 'query', meta: set( 'userinfo' ) } );
+		expect( response.query.userinfo ).to.include( { id: 0, anon: true } );
+	} );
+
+	it( 'logs in again after losing the session cookies', async () => {
+		const session = makeSession();
+		await session.login( 'Test user', 'test password' );
+		await session.clearCookies();
+		const response = await session.request( { action: 'query', meta: set( 'userinfo' ) } );
+		expect( response.query.userinfo ).to.eql( { id: 1, name: 'Test user' } );
+		expect( session.stats.retries.relogin ).to.equal( 1 );
+	} );
+
+	it( 'shares a cookie jar between sessions', async () => {
+		const cookieJar = new CookieJar();
+		const session1 = new Session( apiUrl, {}, { userAgent: 'm3api-unit-test' }, cookieJar );
+		const session2 = new Session( apiUrl, {}, { userAgent: 'm3api-unit-test' }, cookieJar );
+		expect( session1.cookieJar ).to.equal( cookieJar );
+		await session1.login( 'Test user', 'test password' );
+		const response = await session2.request( { action: 'query', meta: set( 'userinfo' ) } );
+		expect( response.query.userinfo ).to.eql( { id: 1, name: 'Test user' } );
+	} );
+
+	it( 'only clears its own cookies from a shared cookie jar', async () => {
+		const cookieJar = new CookieJar();
+		const otherUrl = 'https://other.example/w/api.php';
+		await cookieJar.setCookie( 'otherSession=abc; Path=/; HttpOnly', otherUrl );
+		const session = new Session( apiUrl, {}, { userAgent: 'm3api-unit-test' }, cookieJar );
+		await session.login( 'Test user', 'test password' );
+		expect( await cookieJar.getCookies( apiUrl ) ).not.to.be.empty;
+		await session.logout();
+		expect( await cookieJar.getCookies( apiUrl ) ).to.be.empty;
+		const otherCookies = await cookieJar.getCookies( otherUrl );
+		expect( otherCookies.map( ( cookie ) => cookie.key ) ).to.eql( [ 'otherSession' ] );
+	} );
+
+	it( 'exports and imports cookies', async () => {
+		const session1 = makeSession();
+		await session1.login( 'Test user', 'test password' );
+		const serialized = JSON.stringify( await session1.exportCookies() );
+
+		const session2 = makeSession();
+		await session2.importCookies( serialized );
+		const response = await session2.request( { action: 'query', meta: set( 'userinfo' ) } );
+		expect( response.query.userinfo ).to.eql( { id: 1, name: 'Test user' } );
+	} );
+
+	it( 'throws LoginError for wrong password', async () => {
+		await expect( makeSession().login( 'Test user', 'wrong password' ) )
+			.to.be.rejectedWith( LoginError, 'Failed' );
+	} );
+
+	it( 'edits pages using session.edit()', async () => {
+		const session = makeSession();
+		await session.login( 'Test user', 'test password' );
+		let calls = 0;
+		const result = await session.edit( 'Main Page', ( content ) => {
+			if ( calls++ === 0 ) {
+				server.savePage( 'Main Page', 'Welcome, everyone!', null );
+			}
+			return `${ content } Enjoy your stay.`;
+		} );
+		expect( result ).to.include( { result: 'Success' } );
+		expect( calls ).to.equal( 2 );
+		const revisions = server.pages.get( 'Main Page' ).revisions;
+		expect( revisions[ revisions.length - 1 ] ).to.include( {
+			user: 'Test user',
+			content: 'Welcome, everyone! Enjoy your stay.',
+		} );
+
+		await session.edit( 'New page', ( content ) => {
+			expect( content ).to.be.null;
+			return 'New content';
+		} );
+		expect( server.pages.get( 'New page' ).revisions ).to.have.lengthOf( 1 );
+	} );
+
+	it( 'follows continuation', async () => {
+		for ( const title of [ 'A', 'B', 'C', 'D' ] ) {
+			server.savePage( title, '', null );
+		}
+		const titles = [];
+		for await ( const response of makeSession().requestAndContinue( {
+			action: 'query',
+			list: set( 'allpages' ),
+			aplimit: 2,
+		} ) ) {
+			titles.push( response.query.allpages.map( ( page ) => page.title ) );
+		}
+		expect( titles ).to.eql( [ [ 'A', 'B' ], [ 'C', 'D' ], [ 'Main Page' ] ] );
+	} );
+
+	it( 'returns maxlag error', async () => {
+		server.lag = 10;
+		server.maxlagRetryAfterSeconds = 0;
+		const session = makeSession( { maxlag: 5 }, {
+			hooks: { onRetry: [ () => {
+				server.lag = 0;
+			} ] },
+		} );
+		await session.request( { action: 'query' } );
+		expect( server.requests ).to.have.lengthOf( 2 );
+	} );
+
+	it( 'returns readonly error', async () => {
+		server.readOnlyReason = 'Maintenance';
+		const session = makeSession();
+		await expect( session.request( {
+			action: 'edit',
+			title: 'Test page',
+			text: '',
+		}, { method: 'POST', tokenType: 'csrf', maxRetriesSeconds: 0 } ) )
+			.to.be.rejectedWith( ApiErrors, 'readonly' );
+	} );
+
+	it( 'returns badtoken error', async () => {
+		const session = makeSession();
+		session.tokens.set( 'csrf', 'bad token' );
+		await session.request( {
+			action: 'edit',
+			title: 'Test page',
+			text: '',
+		}, { method: 'POST', tokenType: 'csrf' } );
+		expect( server.requests.map( ( { params } ) => params.action ) )
+			.to.eql( [ 'edit', 'query', 'edit' ] );
+	} );
+
+	it( 'returns assertuserfailed error', async () => {
+		await expect( makeSession( { assert: 'user' } ).request( { action: 'query' } ) )
+			.to.be.rejectedWith( ApiErrors, 'assertuserfailed' );
+	} );
+
+	it( 'fails requests with Retry-After', async () => {
+		server.failNextRequest( 503, 0 );
+		await makeSession().request( { action: 'query' } );
+		expect( server.requests ).to.have.lengthOf( 2 );
+	} );
+
+	it( 'responds 404 to other paths', async () => {
+		const response = await fetch( apiUrl.replace( 'api.php', 'index.php' ) );
+		expect( response.status ).to.equal( 404 );
+	} );
+
+} );
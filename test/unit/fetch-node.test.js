@@ -0,0 +1,166 @@
+/* eslint-env mocha */
+
+import { FakeApiServer } from '../../fake-server-node.js';
+import { StreamFile, fileFromPath, fileFromStream } from '../../fetch-node.js';
+import Session from '../../node.js';
+import { expect, use } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import { createReadStream } from 'fs';
+import { mkdtemp, open, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Readable } from 'stream';
+use( chaiAsPromised );
+
+describe( 'FetchNodeSession file params', () => {
+
+	let directory, path, server, apiUrl;
+
+	beforeEach( async () => {
+		directory = await mkdtemp( join( tmpdir(), 'm3api-test-' ) );
+		path = join( directory, 'test.txt' );
+		// eslint-disable-next-line security/detect-non-literal-fs-filename
+		await writeFile( path, 'file contents' );
+		server = new FakeApiServer();
+		apiUrl = await server.start();
+	} );
+
+	afterEach( async () => {
+		await server.close();
+		await rm( directory, { recursive: true, force: true } );
+	} );
+
+	/**
+	 * @return {Session}
+	 */
+	function makeSession() {
+		return new Session( apiUrl, { formatversion: 2 }, {
+			userAgent: 'm3api-unit-test',
+		} );
+	}
+
+	/**
+	 * Get the file param and content length of the last request to the server.
+	 *
+	 * @return {Promise<Object>}
+	 */
+	async function lastRequestFile() {
+		const { params, headers } = server.requests[ server.requests.length - 1 ];
+		return {
+			name: params.file.name,
+			text: await params.file.text(),
+			contentLength: headers[ 'content-length' ],
+		};
+	}
+
+	it( 'sends files from a path', async () => {
+		await makeSession().request( {
+			action: 'query',
+			file: await fileFromPath( path ),
+		}, { method: 'POST' } );
+		const file = await lastRequestFile();
+		expect( file ).to.include( { name: 'test.txt', text: 'file contents' } );
+		expect( file.contentLength ).to.match( /^[0-9]+$/ );
+	} );
+
+	it( 'sends file handles and fs read streams, also when retrying', async () => {
+		server.failNextRequest( 503, 0 );
+		// eslint-disable-next-line security/detect-non-literal-fs-filename
+		const handle = await open( path );
+		try {
+			await makeSession().request( {
+				action: 'query',
+				file: handle,
+			}, { method: 'POST' } );
+		} finally {
+			await handle.close();
+		}
+		expect( server.requests ).to.have.lengthOf( 2 );
+		expect( await lastRequestFile() ).to.include( { name: 'blob', text: 'file contents' } );
+
+		server.failNextRequest( 503, 0 );
+		await makeSession().request( {
+			action: 'query',
+			// eslint-disable-next-line security/detect-non-literal-fs-filename
+			file: createReadStream( path, { start: 5, end: 7 } ),
+		}, { method: 'POST' } );
+		expect( server.requests ).to.have.lengthOf( 4 );
+		const file = await lastRequestFile();
+		expect( file ).to.include( { name: 'test.txt', text: 'con' } );
+		expect( file.contentLength ).to.match( /^[0-9]+$/ );
+	} );
+
+	it( 'sends fs read streams', async () => {
+		await makeSession().request( {
+			action: 'query',
+			// eslint-disable-next-line security/detect-non-literal-fs-filename
+			file: createReadStream( path, { start: 5 } ),
+		}, { method: 'POST' } );
+		expect( await lastRequestFile() ).to.include( { name: 'test.txt', text: 'contents' } );
+	} );
+
+	it( 'sends other streams wrapped with fileFromStream', async () => {
+		await makeSession().request( {
+			action: 'query',
+			file: fileFromStream( Readable.from( [ Buffer.from( 'abc' ), Buffer.from( 'def' ) ] ), {
+				size: 6,
+				name: 'x.txt',
+			} ),
+		}, { method: 'POST' } );
+		expect( await lastRequestFile() ).to.include( { name: 'x.txt', text: 'abcdef' } );
+	} );
+
+	it( 'rejects streams of unknown size', async () => {
+		await expect( makeSession().request( {
+			action: 'query',
+			file: Readable.from( [ Buffer.from( 'abc' ) ] ),
+		}, { method: 'POST' } ) ).to.be.rejectedWith( TypeError, 'fileFromStream' );
+	} );
+
+} );
+
+describe( 'StreamFile', () => {
+
+	/**
+	 * @param {StreamFile} file
+	 * @return {Promise<string>}
+	 */
+	async function read( file ) {
+		return new Response( file.stream() ).text();
+	}
+
+	const file = new StreamFile(
+		( start, end ) => Readable.from( [ Buffer.from( 'abcdefghij'.slice( start, end ) ) ] ),
+		10,
+		'test.txt',
+		'text/plain',
+	);
+
+	it( 'reads the whole file', async () => {
+		expect( await read( file ) ).to.equal( 'abcdefghij' );
+	} );
+
+	it( 'can be sliced', async () => {
+		const slice = file.slice( 2, 8 );
+		expect( slice ).to.include( { size: 6, name: 'test.txt', type: 'text/plain' } );
+		expect( await read( slice ) ).to.equal( 'cdefgh' );
+		expect( await read( slice.slice( 1, 3 ) ) ).to.equal( 'de' );
+		expect( await read( file.slice( 8, 20 ) ) ).to.equal( 'ij' );
+		expect( file.slice( 20 ).size ).to.equal( 0 );
+	} );
+
+	it( 'is File-like', () => {
+		expect( Object.prototype.toString.call( file ) ).to.equal( '[object File]' );
+	} );
+
+} );
+
+describe( 'FetchNodeSession', () => {
+
+	it( 'digest', async () => {
+		const session = new Session( 'en.wikipedia.org', {}, { userAgent: 'm3api-unit-test' } );
+		expect( await session.digest( 'abc' ) ).to.equal(
+			'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad' );
+	} );
+
+} );
@@ -0,0 +1,177 @@
+/* eslint-env mocha */
+
+import { UnmatchedRequestError, useFixture } from '../../fixture-node.js';
+import { BaseTestSession } from './sessions.js';
+import { File } from 'buffer'; // only available globally since Node 20
+import { expect, use } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+use( chaiAsPromised );
+
+describe( 'useFixture', () => {
+
+	let directory, fileName;
+
+	beforeEach( async () => {
+		directory = await mkdtemp( join( tmpdir(), 'm3api-test-' ) );
+		fileName = join( directory, 'fixture.json' );
+	} );
+
+	afterEach( async () => {
+		await rm( directory, { recursive: true, force: true } );
+	} );
+
+	/**
+	 * Read the interactions from the fixture file.
+	 *
+	 * @return {Promise<Object[]>}
+	 */
+	async function readInteractions() {
+		// eslint-disable-next-line security/detect-non-literal-fs-filename
+		const { interactions } = JSON.parse( await readFile( fileName, 'utf8' ) );
+		return interactions;
+	}
+
+	/**
+	 * Create a session that responds to each request with its own parameters.
+	 *
+	 * @return {BaseTestSession}
+	 */
+	function echoSession() {
+		class TestSession extends BaseTestSession {
+			async fetch( resource, fetchOptions ) {
+				// eslint-disable-next-line compat/compat
+				const params = Object.fromEntries( new URL( resource ).searchParams );
+				if ( fetchOptions.body ) {
+					for ( const [ name, value ] of fetchOptions.body.entries() ) {
+						params[ name ] = typeof value === 'string' ? value : value.name;
+					}
+				}
+				return Response.json( { params }, {
+					headers: { 'x-test': 'yes', 'set-cookie': 'session=secret' },
+				} );
+			}
+		}
+		return new TestSession( 'en.wikipedia.org' );
+	}
+
+	/**
+	 * Create a session that must not make any network requests.
+	 *
+	 * @return {BaseTestSession}
+	 */
+	function offlineSession() {
+		return new BaseTestSession( 'en.wikipedia.org' );
+	}
+
+	it( 'records and replays requests', async () => {
+		const recordSession = echoSession();
+		const recordFixture = await useFixture( recordSession, fileName, 'record' );
+		const response1 = await recordSession.request( { action: 'query', meta: 'siteinfo' } );
+		const response2 = await recordSession.request(
+			{ action: 'edit', title: 'Test' },
+			{ method: 'POST' },
+		);
+		await recordFixture.finish();
+
+		const interactions = await readInteractions();
+		expect( interactions ).to.have.lengthOf( 2 );
+		expect( interactions[ 1 ].request ).to.eql( {
+			method: 'POST',
+			url: 'https://en.wikipedia.org/w/api.php',
+			params: { action: 'edit', format: 'json', title: 'Test' },
+		} );
+		expect( interactions[ 1 ].response ).to.have.property( 'status', 200 );
+		expect( interactions[ 1 ].response.headers ).to.have.property( 'x-test', 'yes' );
+		expect( interactions[ 1 ].response.headers ).not.to.have.property( 'set-cookie' );
+
+		const replaySession = offlineSession();
+		const replayFixture = await useFixture( replaySession, fileName );
+		// replayed in a different order
+		expect( await replaySession.request(
+			{ title: 'Test', action: 'edit' },
+			{ method: 'POST' },
+		) ).to.eql( response2 );
+		expect( await replaySession.request( { action: 'query', meta: 'siteinfo' } ) )
+			.to.eql( response1 );
+		await replayFixture.finish();
+	} );
+
+	it( 'records file parameters as placeholders', async () => {
+		const session = echoSession();
+		const fixture = await useFixture( session, fileName, 'record' );
+		await session.request(
+			{ action: 'upload', file: new File( [ 'abc' ], 'test.txt' ) },
+			{ method: 'POST' },
+		);
+		await fixture.finish();
+		const interactions = await readInteractions();
+		expect( interactions[ 0 ].request.params.file ).to.equal( '[file test.txt, 3 bytes]' );
+	} );
+
+	it( 'redacts tokens and passwords', async () => {
+		const recordSession = echoSession();
+		const recordFixture = await useFixture( recordSession, fileName, 'record' );
+		await recordSession.request( {
+			action: 'login',
+			lgname: 'User',
+			lgpassword: 'secret password',
+			lgtoken: 'secret token',
+		}, { method: 'POST' } );
+		await recordFixture.finish();
+
+		const [ { request } ] = await readInteractions();
+		expect( request.params ).to.eql( {
+			action: 'login',
+			format: 'json',
+			lgname: 'User',
+			lgpassword: '[redacted]',
+			lgtoken: '[redacted]',
+		} );
+
+		const replaySession = offlineSession();
+		const replayFixture = await useFixture( replaySession, fileName );
+		await replaySession.request( {
+			action: 'login',
+			lgname: 'User',
+			lgpassword: 'other password',
+			lgtoken: 'other token',
+		}, { method: 'POST' } );
+		await replayFixture.finish();
+	} );
+
+	it( 'fails on unmatched requests', async () => {
+		const recordSession = echoSession();
+		const recordFixture = await useFixture( recordSession, fileName, 'record' );
+		await recordSession.request( { action: 'query' } );
+		await recordFixture.finish();
+
+		const replaySession = offlineSession();
+		await useFixture( replaySession, fileName );
+		await expect( replaySession.request( { action: 'parse' } ) )
+			.to.be.rejectedWith( UnmatchedRequestError, '{"action":"parse","format":"json"}' );
+		await replaySession.request( { action: 'query' } );
+		// each interaction is only replayed once
+		await expect( replaySession.request( { action: 'query' } ) )
+			.to.be.rejectedWith( UnmatchedRequestError );
+	} );
+
+	it( 'fails on interactions that were not replayed', async () => {
+		const recordSession = echoSession();
+		const recordFixture = await useFixture( recordSession, fileName, 'record' );
+		await recordSession.request( { action: 'query' } );
+		await recordFixture.finish();
+
+		const replayFixture = await useFixture( offlineSession(), fileName );
+		await expect( replayFixture.finish() )
+			.to.be.rejectedWith( 'has 1 interaction(s) that were not replayed' );
+	} );
+
+	it( 'rejects unknown mode', async () => {
+		await expect( useFixture( offlineSession(), fileName, 'other' ) )
+			.to.be.rejectedWith( 'Unknown fixture mode: other' );
+	} );
+
+} );
@@ -34,8 +34,9 @@ export class BaseTestSession extends Session {
  */
 export function successfulResponse( body ) {
 	const response = new Response();
-	// return the same body object (rather than constructing Response.json( body ))
-	// so that various test can use .equal() instead of .eql() when asserting it
+	// don't actually use the (empty) body stream,
+	// so that error handlers in tests can still read the response after the session did
+	response.text = async () => JSON.stringify( body );
 	response.json = async () => body;
 	return response;
 }
@@ -56,6 +57,20 @@ export function makeResponse( bodyOrResponse ) {
 	}
 }
 
+/**
+ * Make an error like the one Node.js fetch() rejects with on network errors,
+ * to be thrown from {@link Session#fetch}.
+ *
+ * @param {string} [code] The code of the underlying error.
+ * @return {TypeError}
+ */
+export function networkError( code = 'ECONNRESET' ) {
+	const error = new TypeError( 'fetch failed' );
+	error.cause = new Error( `m3api test ${ code }` );
+	error.cause.code = code;
+	return error;
+}
+
 /**
  * Extract the params from the given fetch() parameters,
  * check them, and return them for further assertions.
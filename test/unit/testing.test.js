@@ -0,0 +1,159 @@
+/* eslint-env mocha */
+
+import { ApiErrors, ApiWarnings, set } from '../../core.js';
+import { MockSession } from '../../testing.js';
+import { File } from 'buffer'; // only available globally since Node 20
+import { expect, use } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+use( chaiAsPromised );
+
+describe( 'MockSession', () => {
+
+	it( 'returns canned responses', async () => {
+		const session = new MockSession()
+			.expectRequest( { action: 'query', meta: 'siteinfo' }, {
+				response: { query: { general: { sitename: 'Wikipedia' } } },
+			} )
+			.expectRequest( { action: 'edit', title: 'Test', token: '+\\' }, {
+				method: 'POST',
+				response: { edit: { result: 'Success' } },
+			} );
+		session.tokens.set( 'csrf', '+\\' );
+		expect( await session.request( { action: 'query', meta: set( 'siteinfo' ) } ) )
+			.to.eql( { query: { general: { sitename: 'Wikipedia' } } } );
+		expect( await session.request(
+			{ action: 'edit', title: 'Test' },
+			{ method: 'POST', tokenType: 'csrf' },
+		) ).to.eql( { edit: { result: 'Success' } } );
+		session.assertAllConsumed();
+	} );
+
+	it( 'matches requests in any order', async () => {
+		const session = new MockSession()
+			.expectRequest( { titles: 'A' }, { response: { a: true } } )
+			.expectRequest( { titles: 'B' }, { response: { b: true } } );
+		expect( await session.request( { titles: 'B' } ) ).to.eql( { b: true } );
+		expect( await session.request( { titles: 'A' } ) ).to.eql( { a: true } );
+		session.assertAllConsumed();
+	} );
+
+	it( 'compares transformed params', async () => {
+		const session = new MockSession( 'en.wikipedia.org', { formatversion: 2 } )
+			.expectRequest( {
+				formatversion: '2',
+				pageids: 123,
+				list: set( 'b', 'a' ),
+				file: new File( [ 'abc' ], 'test.txt' ),
+			}, { method: 'POST' } );
+		await session.request( {
+			pageids: '123',
+			list: set( 'a', 'b' ),
+			file: new File( [ 'xyz' ], 'test.txt' ),
+		}, { method: 'POST' } );
+		session.assertAllConsumed();
+	} );
+
+	it( 'fails on unexpected requests', async () => {
+		const session = new MockSession()
+			.expectRequest( { action: 'query' } );
+		await expect( session.request( { action: 'query' }, { method: 'POST' } ) )
+			.to.be.rejectedWith( 'MockSession: unexpected request: POST {"action":"query","format":"json"}' );
+		await expect( session.request( { action: 'parse' } ) )
+			.to.be.rejectedWith( 'MockSession: unexpected request: GET' );
+	} );
+
+	it( 'uses each expectation once', async () => {
+		const session = new MockSession()
+			.expectRequest( { action: 'query' } );
+		await session.request( { action: 'query' } );
+		await expect( session.request( { action: 'query' } ) )
+			.to.be.rejectedWith( 'unexpected request' );
+	} );
+
+	it( 'asserts that all expectations were consumed', async () => {
+		const session = new MockSession()
+			.expectRequest( { action: 'query' } )
+			.expectRequest( { action: 'parse' } );
+		await session.request( { action: 'query' } );
+		expect( () => session.assertAllConsumed() ).to.throw(
+			'MockSession: 1 expected request(s) not made, first: GET {"action":"parse","format":"json"}' );
+	} );
+
+	it( 'returns errors', async () => {
+		const session = new MockSession()
+			.expectRequest( {}, { errors: [ { code: 'nosuchpage' } ] } );
+		await expect( session.request( {} ) )
+			.to.be.rejectedWith( ApiErrors, 'nosuchpage' );
+	} );
+
+	it( 'returns warnings', async () => {
+		let warnings = null;
+		const session = new MockSession( 'en.wikipedia.org', {}, {
+			warn( warning ) {
+				warnings = warning;
+			},
+		} ).expectRequest( {}, {
+			response: { batchcomplete: true },
+			warnings: [ { code: 'deprecation' } ],
+		} );
+		await session.request( {} );
+		expect( warnings ).to.be.an.instanceof( ApiWarnings );
+		expect( warnings.warnings ).to.eql( [ { code: 'deprecation' } ] );
+	} );
+
+	it( 'returns HTTP errors', async () => {
+		const session = new MockSession()
+			.expectRequest( {}, { status: 404 } );
+		await expect( session.request( {} ) )
+			.to.be.rejectedWith( 'API request returned non-200 HTTP status code: 404' );
+	} );
+
+	it( 'throws fetch errors', async () => {
+		const error = new TypeError( 'fetch failed' );
+		error.cause = new Error( 'read ECONNRESET' );
+		const session = new MockSession()
+			.expectRequest( {}, { fetchError: error } );
+		await expect( session.request( {} ) )
+			.to.be.rejectedWith( error );
+	} );
+
+	it( 'does not retry server errors by default', async () => {
+		const session = new MockSession()
+			.expectRequest( {}, { status: 503 } );
+		await expect( session.request( {} ) )
+			.to.be.rejectedWith( 'API request returned non-200 HTTP status code: 503' );
+	} );
+
+	it( 'supports retries', async () => {
+		const session = new MockSession()
+			.expectRequest( {}, {
+				errors: [ { code: 'maxlag' } ],
+				headers: { 'retry-after': '0' },
+			} )
+			.expectRequest( {}, { response: { success: true } } );
+		expect( await session.request( {}, { maxRetriesSeconds: 5 } ) )
+			.to.eql( { success: true } );
+		session.assertAllConsumed();
+	} );
+
+	it( 'matches expected options', async () => {
+		const session = new MockSession()
+			.expectRequest( { action: 'edit', token: '+\\' }, {
+				method: 'POST',
+				options: { tokenType: 'csrf' },
+				response: { edit: { result: 'Success' } },
+			} );
+		session.tokens.set( 'csrf', '+\\' );
+		// token specified manually, not via the tokenType option
+		await expect( session.request(
+			{ action: 'edit', token: '+\\' },
+			{ method: 'POST' },
+		) ).to.be.rejectedWith( 'MockSession: unexpected request' );
+		expect( await session.request(
+			{ action: 'edit' },
+			{ method: 'POST', tokenType: 'csrf' },
+		) ).to.eql( { edit: { result: 'Success' } } );
+		session.assertAllConsumed();
+	} );
+
+} );
@@ -0,0 +1,262 @@
+/* eslint jsdoc/no-undefined-types: [ "error", {
+	"definedTypes": [ "Params", "Options", "RequestInit" ]
+} ] */
+import { DEFAULT_OPTIONS, Session } from './core.js';
+
+/**
+ * Split a transformed list parameter value into its elements.
+ *
+ * @private
+ * @param {string} value
+ * @return {string[]}
+ */
+function splitListValue( value ) {
+	if ( value.startsWith( '\x1f' ) ) {
+		return value.slice( 1 ).split( '\x1f' );
+	}
+	return value.split( '|' );
+}
+
+/**
+ * A session for unit tests of code using m3api (e.g. extension packages),
+ * which does not make any network requests.
+ *
+ * Instead, tests declare the expected requests in advance with {@link MockSession#expectRequest},
+ * along with canned responses, API errors or warnings, HTTP errors, or network errors.
+ * Each request made by the session must match one of the remaining expectations
+ * (in any order; each expectation is used once);
+ * otherwise, the request fails with an error.
+ * At the end of the test, call {@link MockSession#assertAllConsumed}
+ * to check that all the expected requests were made.
+ *
+ * The rest of the session works like any other session:
+ * for example, errors in the canned responses are thrown as ApiErrors,
+ * warnings are passed to the warn handler, and tokens are requested as usual
+ * (so tests should either expect requests for tokens,
+ * or add tokens to the session in advance, e.g. `session.tokens.set( 'csrf', '+\\' )`).
+ * Unless the userAgent option is specified, a default user agent for tests is used.
+ * Unless the maxRetriesSeconds option is specified, it defaults to 0,
+ * so that canned HTTP errors and network errors are thrown immediately
+ * rather than retried in real time;
+ * to test automatic retries (including after badtoken errors),
+ * specify the maxRetriesSeconds option (and possibly a fake clock option).
+ */
+class MockSession extends Session {
+
+	/**
+	 * @param {string} [apiUrl] As for {@link Session}; defaults to 'en.wikipedia.org'.
+	 * @param {Object} [defaultParams] As for {@link Session}.
+	 * @param {Object} [defaultOptions] As for {@link Session}.
+	 */
+	constructor( apiUrl = 'en.wikipedia.org', defaultParams = {}, defaultOptions = {} ) {
+		super( apiUrl, defaultParams, {
+			userAgent: 'm3api-mock-session',
+			maxRetriesSeconds: 0,
+			...defaultOptions,
+		} );
+
+		/**
+		 * The expected requests that have not been made yet.
+		 *
+		 * @private
+		 * @member {Object[]}
+		 */
+		this.expectations = [];
+	}
+
+	/**
+	 * Expect a request, and specify the response to it.
+	 *
+	 * @param {Params} params The expected parameters of the request,
+	 * including default parameters and tokens (format=json is added automatically).
+	 * Values are compared after transforming them like request parameters,
+	 * so e.g. numbers and strings are equivalent;
+	 * if the expected value is a Set, the order of the values does not matter
+	 * (which is useful if requests may be combined).
+	 * File or Blob values only need to have the same size
+	 * (and name, if the expected value is a File).
+	 * @param {Object} [result] The result of the request.
+	 * @param {string} [result.method] The expected request method, 'GET' (default) or 'POST'.
+	 * @param {Options} [result.options] Expected request options, e.g. `{ tokenType: 'csrf' }`.
+	 * Only the options specified here are compared
+	 * (with the default options of the session taken into account),
+	 * using strict equality.
+	 * @param {Object} [result.response] The response body; defaults to an empty object.
+	 * @param {Object[]} [result.errors] API errors to add to the response body,
+	 * e.g. `[ { code: 'badtoken' } ]`.
+	 * @param {Object[]} [result.warnings] API warnings to add to the response body,
+	 * e.g. `[ { code: 'deprecation' } ]`.
+	 * @param {number} [result.status] The HTTP status code; defaults to 200.
+	 * If it is not 200, the response has no body
+	 * (unless there are errors, which are then sent with a MediaWiki-API-Error header).
+	 * @param {Object} [result.headers] Response headers, e.g. `{ 'retry-after': '5' }`.
+	 * @param {Error} [result.fetchError] If set, the request fails with this error,
+	 * e.g. `new TypeError( 'fetch failed', { cause } )` for a network error.
+	 * @return {this}
+	 */
+	expectRequest( params, {
+		method = 'GET',
+		options = {},
+		response = {},
+		errors = [],
+		warnings = [],
+		status = 200,
+		headers = {},
+		fetchError = null,
+	} = {} ) {
+		this.expectations.push( {
+			method,
+			params: { ...params, format: 'json' },
+			options,
+			response,
+			errors,
+			warnings,
+			status,
+			headers,
+			fetchError,
+		} );
+		return this;
+	}
+
+	/**
+	 * Throw an error if any expected request has not been made yet.
+	 */
+	assertAllConsumed() {
+		if ( this.expectations.length > 0 ) {
+			const { method, params } = this.expectations[ 0 ];
+			throw new Error( `MockSession: ${ this.expectations.length } expected request(s) ` +
+				`not made, first: ${ method } ${ JSON.stringify( this.transformParams( params ) ) }` );
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {Object} expectedParams
+	 * @param {Object} actualParams
+	 * @return {boolean}
+	 */
+	paramsMatch( expectedParams, actualParams ) {
+		const expected = this.transformParams( expectedParams );
+		if ( Object.keys( expected ).sort().join( '|' ) !== Object.keys( actualParams ).sort().join( '|' ) ) {
+			return false;
+		}
+		for ( const [ key, expectedValue ] of Object.entries( expected ) ) {
+			const actualValue = actualParams[ key ];
+			if ( typeof expectedValue === 'string' ) {
+				if ( expectedParams[ key ] instanceof Set ) {
+					const expectedElements = splitListValue( expectedValue ).sort().join( '\x1f' );
+					if ( typeof actualValue !== 'string' ||
+						splitListValue( actualValue ).sort().join( '\x1f' ) !== expectedElements
+					) {
+						return false;
+					}
+				} else if ( actualValue !== expectedValue ) {
+					return false;
+				}
+			} else if ( expectedValue instanceof Blob ) {
+				if ( !( actualValue instanceof Blob ) ||
+					actualValue.size !== expectedValue.size ||
+					( expectedValue instanceof File && actualValue.name !== expectedValue.name )
+				) {
+					return false;
+				}
+			} else if ( actualValue !== expectedValue ) {
+				return false;
+			}
+		}
+		return true;
+	}
+
+	/**
+	 * @private
+	 * @param {Options} expectedOptions
+	 * @param {Options} actualOptions Not merged with the default options yet.
+	 * @return {boolean}
+	 */
+	optionsMatch( expectedOptions, actualOptions ) {
+		const mergedOptions = {
+			...DEFAULT_OPTIONS,
+			...this.defaultOptions,
+			...actualOptions,
+		};
+		return Object.entries( expectedOptions ).every(
+			( [ key, expectedValue ] ) => mergedOptions[ key ] === expectedValue );
+	}
+
+	/**
+	 * @private
+	 * @param {Object} expectation
+	 * @return {Response}
+	 */
+	makeResponse( expectation ) {
+		const { response, errors, warnings, status } = expectation;
+		let { headers } = expectation;
+		const body = { ...response };
+		if ( errors.length > 0 ) {
+			body.errors = errors;
+			headers = { 'mediawiki-api-error': errors[ 0 ].code, ...headers };
+		}
+		if ( warnings.length > 0 ) {
+			body.warnings = warnings;
+		}
+		if ( status !== 200 && errors.length === 0 ) {
+			return new Response( null, { status, headers } );
+		}
+		return new Response( JSON.stringify( body ), {
+			status,
+			headers: { 'content-type': 'application/json', ...headers },
+		} );
+	}
+
+	/**
+	 * @param {URL} resource
+	 * @param {RequestInit} fetchOptions
+	 * @return {Promise<Response>}
+	 */
+	fetch( resource, fetchOptions ) {
+		return this.fetchWithOptions( resource, fetchOptions, {} );
+	}
+
+	/**
+	 * Answer the request with the first remaining expectation that matches it,
+	 * including the request options.
+	 *
+	 * @protected
+	 * @param {URL} resource
+	 * @param {RequestInit} fetchOptions
+	 * @param {Options} options
+	 * @return {Promise<Response>}
+	 */
+	async fetchWithOptions( resource, fetchOptions, options ) {
+		const actualParams = {};
+		for ( const [ key, value ] of resource.searchParams ) {
+			actualParams[ key ] = value;
+		}
+		for ( const [ key, value ] of fetchOptions.body || [] ) {
+			actualParams[ key ] = value;
+		}
+		const index = this.expectations.findIndex(
+			( expectation ) => expectation.method === fetchOptions.method &&
+				this.paramsMatch( expectation.params, actualParams ) &&
+				this.optionsMatch( expectation.options, options ),
+		);
+		if ( index === -1 ) {
+			const printableParams = {};
+			for ( const [ key, value ] of Object.entries( actualParams ) ) {
+				printableParams[ key ] = typeof value === 'string' ? value : '[file]';
+			}
+			throw new Error( 'MockSession: unexpected request: ' +
+				`${ fetchOptions.method } ${ JSON.stringify( printableParams ) }` );
+		}
+		const [ expectation ] = this.expectations.splice( index, 1 );
+		if ( expectation.fetchError !== null ) {
+			throw expectation.fetchError;
+		}
+		return this.makeResponse( expectation );
+	}
+
+}
+
+export {
+	MockSession,
+};
@@ -1,5 +1,5 @@
 export default class BrowserSession extends FetchBrowserSession {
 }
 import { FetchBrowserSession } from './fetch-browser.js';
-export { ApiErrors, ApiWarnings, set } from "./core.js";
+export { ApiErrors, ApiWarnings, LoginError, MemoryCache, RequestTimeoutError, UploadError, set } from "./core.js";
 //# sourceMappingURL=browser.d.ts.map
\ No newline at end of file
@@ -0,0 +1,58 @@
+/**
+ * A {@link ResponseCache} that stores entries as JSON files in a directory,
+ * so that they survive restarts of the process
+ * (e.g. for CLI tools that are run repeatedly within a short time).
+ *
+ * Each entry is stored in a separate file, named after a hash of the key;
+ * the directory is created when the first entry is stored.
+ * Several sessions (and processes) can share the same directory.
+ * The cache keys include the session’s user name and a hash of its access token
+ * (see the cache option), but the directory must not mix responses of different users
+ * whose sessions are authenticated in other ways (e.g. with cookies imported from elsewhere),
+ * and it should only be readable by the users whose responses it stores.
+ * Expired entries are not removed automatically
+ * (but they are overwritten when the same request is made and cached again);
+ * use {@link DirectoryCache#clear} to remove all entries.
+ */
+export class DirectoryCache {
+    /**
+     * @param {string} directory The directory in which to store the cache files.
+     * It should not be used for any other files.
+     */
+    constructor(directory: string);
+    /**
+     * The directory in which the cache files are stored.
+     *
+     * @member {string}
+     */
+    directory: string;
+    /**
+     * @private
+     * @param {string} key
+     * @return {string}
+     */
+    private getFileName;
+    /**
+     * @param {string} key
+     * @return {Promise<Object|undefined>}
+     */
+    get(key: string): Promise<any | undefined>;
+    /**
+     * @param {string} key
+     * @param {Object} entry
+     * @return {Promise}
+     */
+    set(key: string, entry: any): Promise<any>;
+    /**
+     * @param {string} key
+     * @return {Promise}
+     */
+    delete(key: string): Promise<any>;
+    /**
+     * Remove all cache files from the directory.
+     *
+     * @return {Promise}
+     */
+    clear(): Promise<any>;
+}
+//# sourceMappingURL=cache-node.d.ts.map
\ No newline at end of file
@@ -74,10 +74,86 @@ export type Options = {
      * (Can also be a fractional number for sub-second precision.)
      */
     maxRetriesSeconds?: number;
+    /**
+     * The maximum duration of a single HTTP attempt.
+     * If no complete response has been received after this time (in seconds),
+     * the attempt is aborted, and the request is automatically retried
+     * if the maxRetriesSeconds option still allows it;
+     * otherwise, the request fails with a {@link RequestTimeoutError}.
+     * Defaults to null, i.e. no timeout.
+     * (Can also be a fractional number for sub-second precision.)
+     */
+    timeoutSeconds?: number | null;
+    /**
+     * The initial delay for automatic retries
+     * after network errors (including timeouts, see the timeoutSeconds option)
+     * and HTTP 5xx server errors without a Retry-After response header.
+     * Such retries use exponential backoff with jitter:
+     * the first retry happens after between half and all of this delay,
+     * and the delay doubles for each subsequent retry
+     * (up to the retryBackoffMaxSeconds option),
+     * for as long as the maxRetriesSeconds option allows.
+     * Defaults to one second.
+     */
+    retryBackoffInitialSeconds?: number;
+    /**
+     * The maximum delay for automatic retries
+     * with exponential backoff, see the retryBackoffInitialSeconds option.
+     * Defaults to 30 seconds.
+     */
+    retryBackoffMaxSeconds?: number;
+    /**
+     * The minimum interval between GET requests.
+     * If set, the session will not send out GET requests more often than once per this many seconds,
+     * queueing them inside {@link Session#request} if necessary;
+     * this also applies to automatic retries and to requests made to get tokens.
+     * Defaults to 0, i.e. no throttling.
+     * (Can also be a fractional number for sub-second precision.)
+     */
+    throttleGetSeconds?: number;
+    /**
+     * The minimum interval between POST requests,
+     * e.g. to limit the edit rate of a bot.
+     * Works like the throttleGetSeconds option, but for POST requests;
+     * GET and POST requests are throttled independently of each other.
+     * Defaults to 0, i.e. no throttling.
+     */
+    throttlePostSeconds?: number;
+    /**
+     * The maximum number of requests
+     * that the session will send out at the same time.
+     * Further requests are queued in order until an earlier request has finished;
+     * requests to get tokens (see the tokenType option) skip ahead of other queued requests.
+     * The number of queued requests is available as {@link Session#queuedRequests}.
+     * This limit should be set as a default option in the constructor,
+     * since it is checked against all the requests of the session.
+     * Defaults to Infinity, i.e. no limit;
+     * Wikimedia recommends that clients avoid parallel requests,
+     * which corresponds to a value of 1.
+     */
+    maxConcurrentRequests?: number;
+    /**
+     * Automatically add the maxlag parameter with this value
+     * to write (POST) requests, or to all requests if the maxlagAllRequests option is set.
+     * (If the request parameters or default parameters include maxlag, that value is used instead.)
+     * If this option is set, m3api also reports any waiting due to maxlag errors
+     * to the warn handler, using a {@link MaxlagWarning}.
+     * Defaults to null, i.e. maxlag is only sent if it is included in the parameters.
+     * See the {@link https://www.mediawiki.org/wiki/Special:MyLanguage/Manual:Maxlag_parameter maxlag documentation}.
+     */
+    maxlag?: number | null;
+    /**
+     * Whether to add the maxlag parameter to all requests,
+     * rather than just write (POST) requests. Only used if the maxlag option is set.
+     * Defaults to false.
+     */
+    maxlagAllRequests?: boolean;
     /**
      * Default Retry-After header value
      * in case of a maxlag error. Only used when the response is missing the header.
      * Since MediaWiki usually sends this header for maxlag errors, this option is rarely used.
+     * (If the error includes the current lag, and it is greater than this value,
+     * then the lag is used instead.)
      * Defaults to five seconds, which is the recommended maxlag value for bots.
      */
     retryAfterMaxlagSeconds?: number;
@@ -91,6 +167,31 @@ export type Options = {
      * (remember to also increase the maxRetriesSeconds option accordingly).
      */
     retryAfterReadonlySeconds?: number;
+    /**
+     * How often {@link Session#edit}fetches the page and calls the transform function again after an edit conflict.
+     * Defaults to three times.
+     */
+    maxEditConflictRetries?: number;
+    /**
+     * The size of the chunks
+     * in which {@link Session#upload} uploads files.
+     * Must not be larger than the maximum upload size of the wiki.
+     * Defaults to 5 MiB.
+     */
+    uploadChunkSizeBytes?: number;
+    /**
+     * How long {@link Session#upload} waits
+     * between requests to check the status of an upload that is processed asynchronously.
+     * Defaults to one second.
+     */
+    uploadPollSeconds?: number;
+    /**
+     * A function that is called
+     * after each chunk uploaded by {@link Session#upload},
+     * with an object with the members `filename`, `uploadedBytes` and `totalBytes`.
+     * Defaults to null.
+     */
+    onUploadProgress?: Function | null;
     /**
      * A handler for warnings from this API request.
      * Called with a single instance of a subclass of Error, such as {@link ApiWarnings}.
@@ -117,6 +218,15 @@ export type Options = {
      * (In the latter case, you do not have to set this option: m3api-oauth2 will do it.)
      */
     accessToken?: string;
+    /**
+     * An AbortSignal that can be used to abort the request.
+     * If the signal is aborted, any pending network request or automatic retry is canceled,
+     * and the returned promise is rejected with the signal’s reason
+     * (by default, a DOMException named 'AbortError', see `AbortController.abort()`).
+     * For {@link Session#requestAndContinue} and related methods,
+     * no further requests are made after the signal has been aborted.
+     */
+    signal?: AbortSignal | null;
     /**
      * Value for the Authorization request header.
      * This option is deprecated in favor of accessToken above,
@@ -127,35 +237,148 @@ export type Options = {
      */
     authorization?: string;
     /**
-     * Internal option.
-     * Define handlers for API errors, which can retry the request if appropriate.
-     * This option is only part of the internal interface, not of the stable, public interface.
+     * Hooks to observe or modify requests,
+     * keyed by hook name: beforeRequest, afterResponse, onError, or onRetry.
+     * See {@link Hook} for details.
+     * Unlike most other options, the hooks from {@link DEFAULT_OPTIONS},
+     * from the session’s default options and from the request options are all used,
+     * in that order, rather than overriding each other.
      */
-    errorHandlers?: {
-        [x: string]: ErrorHandler;
+    hooks?: {
+        [x: string]: Hook[];
     };
     /**
-     * Internal option.
-     * Define handlers for HTTP errors, which can retry the request if appropriate.
-     * Handlers are called sequentially until one handles the error or the list is exhausted.
-     * This option is only part of the internal interface, not of the stable, public interface.
+     * A function that is called with structured log records
+     * about the network traffic of the session, e.g. `console.debug`; useful for debugging.
+     * The function is called with a single object,
+     * whose `type` member is either 'attempt' (after each HTTP attempt, including automatic retries)
+     * or 'retry' (when a request is going to be retried automatically).
+     * Attempt records have the members `method`, `url` (a string), `params` (an object of strings,
+     * including both URL and body parameters), `headers` (an object of strings),
+     * `status` (the HTTP status, or null if there was no response), `errorCodes`
+     * (the codes of any API errors in the response),
+     * `error` (the exception if there was no response, else null),
+     * `durationSeconds` (how long the attempt took), and `retryBudgetSeconds`
+     * (how much time is left for automatic retries, see the maxRetriesSeconds option).
+     * Retry records have the members `reason` and `retryAfterSeconds` (see the onRetry {@link Hook}),
+     * as well as `retryBudgetSeconds` like attempt records.
+     * Tokens, passwords, and the Authorization and Cookie headers are replaced with '[redacted]'.
+     * The logger should not throw errors, nor rely on the exact format of the log records,
+     * which may change in minor versions.
+     * Defaults to null, i.e. no logging.
+     */
+    logger?: Function | null;
+    /**
+     * How long to cache the response of this request.
+     * If greater than zero, and the request is a GET request without a tokenType,
+     * the response is stored in the cache (see the cache option) for this many seconds,
+     * and subsequent requests with the same parameters (including default parameters)
+     * return the cached response instead of making another request.
+     * (Cached responses do not trigger any warnings again.)
+     * Tokens fetched by the session itself are never cached, regardless of this option.
+     * Useful for data that rarely changes, such as siteinfo;
+     * to remove responses from the cache, see {@link Session#invalidateCache}.
+     * Defaults to 0, i.e. no caching.
+     */
+    cacheTtlSeconds?: number;
+    /**
+     * The cache used for the cacheTtlSeconds option.
+     * Defaults to null, i.e. an in-memory cache specific to the session
+     * (a {@link MemoryCache} with the default size).
+     * A cache can be shared between sessions; entries are only shared between sessions
+     * with the same API URL, user name and Authorization header (see the accessToken option).
+     * Sessions that are authenticated in other ways (e.g. with cookies imported from elsewhere)
+     * without the session knowing the user name should not share a cache with other users’ sessions.
+     */
+    cache?: ResponseCache | null;
+    /**
+     * Whether to skip reading the response from the cache.
+     * If the cacheTtlSeconds option is set, the fresh response is still stored in the cache.
+     * Defaults to false.
+     */
+    bypassCache?: boolean;
+    /**
+     * Whether to make conditional GET requests.
+     * If true, the session remembers the ETag and Last-Modified response headers
+     * (if the API sends them) along with the response for each GET request URL,
+     * and sends If-None-Match and If-Modified-Since request headers
+     * when the same URL is requested again;
+     * if the server responds with HTTP 304 Not Modified, the remembered response is used.
+     * (Up to 1000 responses are remembered per session, dropping the least recently used ones.)
+     * Defaults to false.
+     */
+    conditionalRequests?: boolean;
+    /**
+     * An OpenTelemetry Tracer,
+     * e.g. `trace.getTracer( 'my-tool' )` using the
+     */
+    tracer?: any | null;
+};
+/**
+ * A cache for API responses, which can be used in the cache option.
+ *
+ * The cache stores entries (plain objects which can be serialized as JSON) by string keys.
+ * Its methods may be synchronous or asynchronous (return promises).
+ * The cache does not need to handle expiry itself (m3api checks entries for expiry),
+ * though it may drop entries at any time (e.g. to limit its size).
+ */
+export type ResponseCache = {
+    /**
+     * Get the entry for the given key, or undefined if there is none.
+     */
+    get: (arg0: string) => (any | undefined | Promise<any | undefined>);
+    /**
+     * Store an entry for the given key.
      */
-    httpErrorHandlers?: HttpErrorHandler[];
+    set: (arg0: string, arg1: any) => (void | Promise<void>);
     /**
-     * Internal option.
-     * Retry until the given timestamp (in terms of the performance.now() clock).
-     * Takes precedence over the maxRetriesSeconds option.
-     * This option is only part of the internal interface, not of the stable, public interface.
+     * Remove the entry for the given key, if there is one.
      */
-    retryUntil?: number;
+    delete: (arg0: string) => (void | Promise<void>);
     /**
-     * Internal option.
-     * Clock used for automatic retry, with a `setTimeout` function and a `performance` object.
-     * Defaults to the corresponding globals; configurable as an option only for testing purposes.
-     * This option is only part of the internal interface, not of the stable, public interface.
+     * Remove all entries.
      */
-    clock?: any;
+    clear: () => (void | Promise<void>);
 };
+/**
+ * A hook callback, which can be registered in the hooks option.
+ *
+ * Hooks are called with a single event object,
+ * which always has the members `session`, `params` and `options`
+ * (the params and options of the request, with the retryUntil option always set).
+ * The other members depend on the hook name:
+ *
+ * - beforeRequest: Called before each HTTP attempt (including automatic retries).
+ *   The event has the members `url` (a URL) and `fetchOptions`
+ *   (the options for {@link Session#fetch}, with the method, headers and body).
+ *   The hook may modify these members (e.g. add headers or URL parameters),
+ *   or replace them with other values.
+ * - afterResponse: Called after each HTTP attempt that resulted in a response.
+ *   The event is the same object as in the beforeRequest hooks for the same attempt
+ *   (so hooks may store their own information in it, using a suitably prefixed member name),
+ *   with the additional members `response` (the {@link Response})
+ *   and `responseBody` (the parsed response body, or null if the response is not an API response,
+ *   e.g. for an HTTP error).
+ *   The response body may still contain errors and warnings,
+ *   which are handled after the hooks have been called.
+ * - onError: Called after each HTTP attempt that did not result in a response,
+ *   e.g. due to a network error, a timeout, or an abort via the signal option.
+ *   The event is the same object as in the beforeRequest hooks for the same attempt,
+ *   with the additional member `error` (the exception).
+ *   (Every beforeRequest hook call is therefore followed by either
+ *   an afterResponse or an onError hook call with the same event.)
+ * - onRetry: Called when a request is going to be retried automatically.
+ *   The event has the members `reason` (a string such as 'retry-after', 'maxlag', 'readonly',
+ *   'badtoken', 'relogin', 'server-error', 'network-error', or 'timeout')
+ *   and `retryAfterSeconds` (how long m3api will wait before retrying).
+ * - onTokenRefresh: Called after tokens were fetched and saved in {@link Session#tokens}.
+ *   The `params` and `options` members are those of the request for the tokens;
+ *   the event additionally has the member `types` (an array of the token types that were fetched).
+ *
+ * Hooks may be asynchronous (return a promise), in which case m3api waits for them.
+ * If a hook throws an error, the request fails with that error.
+ */
+export type Hook = (event: any) => void | Promise<void>;
 /**
  * An error handler callback, which can be registered in the errorHandlers option.
  *
@@ -243,9 +466,61 @@ export type HttpErrorHandler = (session: Session, params: Params, options: Optio
  * according to the Retry-After response header if it is present.
  * Defaults to 65 seconds; set to 0 to disable automatic retries.
  * (Can also be a fractional number for sub-second precision.)
+ * @property {number|null} [timeoutSeconds] The maximum duration of a single HTTP attempt.
+ * If no complete response has been received after this time (in seconds),
+ * the attempt is aborted, and the request is automatically retried
+ * if the maxRetriesSeconds option still allows it;
+ * otherwise, the request fails with a {@link RequestTimeoutError}.
+ * Defaults to null, i.e. no timeout.
+ * (Can also be a fractional number for sub-second precision.)
+ * @property {number} [retryBackoffInitialSeconds] The initial delay for automatic retries
+ * after network errors (including timeouts, see the timeoutSeconds option)
+ * and HTTP 5xx server errors without a Retry-After response header.
+ * Such retries use exponential backoff with jitter:
+ * the first retry happens after between half and all of this delay,
+ * and the delay doubles for each subsequent retry
+ * (up to the retryBackoffMaxSeconds option),
+ * for as long as the maxRetriesSeconds option allows.
+ * Defaults to one second.
+ * @property {number} [retryBackoffMaxSeconds] The maximum delay for automatic retries
+ * with exponential backoff, see the retryBackoffInitialSeconds option.
+ * Defaults to 30 seconds.
+ * @property {number} [throttleGetSeconds] The minimum interval between GET requests.
+ * If set, the session will not send out GET requests more often than once per this many seconds,
+ * queueing them inside {@link Session#request} if necessary;
+ * this also applies to automatic retries and to requests made to get tokens.
+ * Defaults to 0, i.e. no throttling.
+ * (Can also be a fractional number for sub-second precision.)
+ * @property {number} [throttlePostSeconds] The minimum interval between POST requests,
+ * e.g. to limit the edit rate of a bot.
+ * Works like the throttleGetSeconds option, but for POST requests;
+ * GET and POST requests are throttled independently of each other.
+ * Defaults to 0, i.e. no throttling.
+ * @property {number} [maxConcurrentRequests] The maximum number of requests
+ * that the session will send out at the same time.
+ * Further requests are queued in order until an earlier request has finished;
+ * requests to get tokens (see the tokenType option) skip ahead of other queued requests.
+ * The number of queued requests is available as {@link Session#queuedRequests}.
+ * This limit should be set as a default option in the constructor,
+ * since it is checked against all the requests of the session.
+ * Defaults to Infinity, i.e. no limit;
+ * Wikimedia recommends that clients avoid parallel requests,
+ * which corresponds to a value of 1.
+ * @property {number|null} [maxlag] Automatically add the maxlag parameter with this value
+ * to write (POST) requests, or to all requests if the maxlagAllRequests option is set.
+ * (If the request parameters or default parameters include maxlag, that value is used instead.)
+ * If this option is set, m3api also reports any waiting due to maxlag errors
+ * to the warn handler, using a {@link MaxlagWarning}.
+ * Defaults to null, i.e. maxlag is only sent if it is included in the parameters.
+ * See the {@link https://www.mediawiki.org/wiki/Special:MyLanguage/Manual:Maxlag_parameter maxlag documentation}.
+ * @property {boolean} [maxlagAllRequests] Whether to add the maxlag parameter to all requests,
+ * rather than just write (POST) requests. Only used if the maxlag option is set.
+ * Defaults to false.
  * @property {number} [retryAfterMaxlagSeconds] Default Retry-After header value
  * in case of a maxlag error. Only used when the response is missing the header.
  * Since MediaWiki usually sends this header for maxlag errors, this option is rarely used.
+ * (If the error includes the current lag, and it is greater than this value,
+ * then the lag is used instead.)
  * Defaults to five seconds, which is the recommended maxlag value for bots.
  * @property {number} [retryAfterReadonlySeconds] Default Retry-After header value
  * in case of a readonly error. Only used when the response is missing the header.
@@ -254,6 +529,20 @@ export type HttpErrorHandler = (session: Session, params: Params, options: Optio
  * The default of 30 seconds is thought to be appropriate for Wikimedia wikis;
  * for third-party wikis, higher values may be useful
  * (remember to also increase the maxRetriesSeconds option accordingly).
+ * @property {number} [maxEditConflictRetries] How often {@link Session#edit}
+ * fetches the page and calls the transform function again after an edit conflict.
+ * Defaults to three times.
+ * @property {number} [uploadChunkSizeBytes] The size of the chunks
+ * in which {@link Session#upload} uploads files.
+ * Must not be larger than the maximum upload size of the wiki.
+ * Defaults to 5 MiB.
+ * @property {number} [uploadPollSeconds] How long {@link Session#upload} waits
+ * between requests to check the status of an upload that is processed asynchronously.
+ * Defaults to one second.
+ * @property {Function|null} [onUploadProgress] A function that is called
+ * after each chunk uploaded by {@link Session#upload},
+ * with an object with the members `filename`, `uploadedBytes` and `totalBytes`.
+ * Defaults to null.
  * @property {Function} [warn] A handler for warnings from this API request.
  * Called with a single instance of a subclass of Error, such as {@link ApiWarnings}.
  * The default is console.warn (interactive CLI applications may wish to change this).
@@ -272,12 +561,90 @@ export type HttpErrorHandler = (session: Session, params: Params, options: Optio
  * You can get a token directly from an owner-only OAuth 2.0 client,
  * or you can use the m3api-oauth2 extension package to authorize a user via OAuth.
  * (In the latter case, you do not have to set this option: m3api-oauth2 will do it.)
+ * @property {AbortSignal|null} [signal] An AbortSignal that can be used to abort the request.
+ * If the signal is aborted, any pending network request or automatic retry is canceled,
+ * and the returned promise is rejected with the signal’s reason
+ * (by default, a DOMException named 'AbortError', see `AbortController.abort()`).
+ * For {@link Session#requestAndContinue} and related methods,
+ * no further requests are made after the signal has been aborted.
  * @property {string} [authorization] Value for the Authorization request header.
  * This option is deprecated in favor of accessToken above,
  * and only kept for backwards compatibility.
  * It is part of the internal interface, rather than the public interface,
  * and will be removed in a future minor version of m3api
  * (unless someone presents a use case for it that is not covered by the accessToken option).
+ * @property {Object.<string, Hook[]>} [hooks] Hooks to observe or modify requests,
+ * keyed by hook name: beforeRequest, afterResponse, onError, or onRetry.
+ * See {@link Hook} for details.
+ * Unlike most other options, the hooks from {@link DEFAULT_OPTIONS},
+ * from the session’s default options and from the request options are all used,
+ * in that order, rather than overriding each other.
+ * @property {Function|null} [logger] A function that is called with structured log records
+ * about the network traffic of the session, e.g. `console.debug`; useful for debugging.
+ * The function is called with a single object,
+ * whose `type` member is either 'attempt' (after each HTTP attempt, including automatic retries)
+ * or 'retry' (when a request is going to be retried automatically).
+ * Attempt records have the members `method`, `url` (a string), `params` (an object of strings,
+ * including both URL and body parameters), `headers` (an object of strings),
+ * `status` (the HTTP status, or null if there was no response), `errorCodes`
+ * (the codes of any API errors in the response),
+ * `error` (the exception if there was no response, else null),
+ * `durationSeconds` (how long the attempt took), and `retryBudgetSeconds`
+ * (how much time is left for automatic retries, see the maxRetriesSeconds option).
+ * Retry records have the members `reason` and `retryAfterSeconds` (see the onRetry {@link Hook}),
+ * as well as `retryBudgetSeconds` like attempt records.
+ * Tokens, passwords, and the Authorization and Cookie headers are replaced with '[redacted]'.
+ * The logger should not throw errors, nor rely on the exact format of the log records,
+ * which may change in minor versions.
+ * Defaults to null, i.e. no logging.
+ * @property {number} [cacheTtlSeconds] How long to cache the response of this request.
+ * If greater than zero, and the request is a GET request without a tokenType,
+ * the response is stored in the cache (see the cache option) for this many seconds,
+ * and subsequent requests with the same parameters (including default parameters)
+ * return the cached response instead of making another request.
+ * (Cached responses do not trigger any warnings again.)
+ * Tokens fetched by the session itself are never cached, regardless of this option.
+ * Useful for data that rarely changes, such as siteinfo;
+ * to remove responses from the cache, see {@link Session#invalidateCache}.
+ * Defaults to 0, i.e. no caching.
+ * @property {ResponseCache|null} [cache] The cache used for the cacheTtlSeconds option.
+ * Defaults to null, i.e. an in-memory cache specific to the session
+ * (a {@link MemoryCache} with the default size).
+ * A cache can be shared between sessions; entries are only shared between sessions
+ * with the same API URL, user name and Authorization header (see the accessToken option).
+ * Sessions that are authenticated in other ways (e.g. with cookies imported from elsewhere)
+ * without the session knowing the user name should not share a cache with other users’ sessions.
+ * @property {boolean} [bypassCache] Whether to skip reading the response from the cache.
+ * If the cacheTtlSeconds option is set, the fresh response is still stored in the cache.
+ * Defaults to false.
+ * @property {boolean} [conditionalRequests] Whether to make conditional GET requests.
+ * If true, the session remembers the ETag and Last-Modified response headers
+ * (if the API sends them) along with the response for each GET request URL,
+ * and sends If-None-Match and If-Modified-Since request headers
+ * when the same URL is requested again;
+ * if the server responds with HTTP 304 Not Modified, the remembered response is used.
+ * (Up to 1000 responses are remembered per session, dropping the least recently used ones.)
+ * Defaults to false.
+ * @property {Object|null} [tracer] An OpenTelemetry Tracer,
+ * e.g. `trace.getTracer( 'my-tool' )` using the @opentelemetry/api package.
+ * (m3api does not depend on that package itself, it only calls `startActiveSpan()` on the tracer.)
+ * If set, each request creates a span, with child spans for each HTTP attempt
+ * (including automatic retries, which are also recorded as span events)
+ * and for getting tokens.
+ * The spans are tagged with the API action and query modules,
+ * the HTTP method, URL and status (with tokens and passwords redacted),
+ * and the codes of any API errors and warnings.
+ * (For the spans to be nested properly, an OpenTelemetry context manager must be registered.)
+ * Defaults to null, i.e. no tracing.
+ * @property {boolean|Function} [relogin] Whether to log in again
+ * if a request fails with an assertuserfailed or assertnameduserfailed error
+ * (e.g. because the session cookies expired), and then retry the request.
+ * If true (the default), the credentials of the last {@link Session#login} are used
+ * (if the session was not logged in with that method, the error is thrown as usual).
+ * Can also be a function, which is called with the session and the request options
+ * and should log in again (e.g. using {@link Session#login}), returning a promise.
+ * Either way, the request is only retried once, and only within the maxRetriesSeconds.
+ * Set to false to disable this behavior.
  * @property {Object.<string, ErrorHandler>} [errorHandlers] Internal option.
  * Define handlers for API errors, which can retry the request if appropriate.
  * This option is only part of the internal interface, not of the stable, public interface.
@@ -285,15 +652,92 @@ export type HttpErrorHandler = (session: Session, params: Params, options: Optio
  * Define handlers for HTTP errors, which can retry the request if appropriate.
  * Handlers are called sequentially until one handles the error or the list is exhausted.
  * This option is only part of the internal interface, not of the stable, public interface.
+ * @property {number} [backoffAttempts] Internal option.
+ * The number of previous retries of this request with exponential backoff.
+ * This option is only part of the internal interface, not of the stable, public interface.
+ * @property {boolean} [reloginAttempted] Internal option.
+ * Whether this request is a retry after logging in again due to the relogin option.
+ * This option is only part of the internal interface, not of the stable, public interface.
+ * @property {boolean} [priority] Internal option.
+ * Whether this request should skip ahead of other requests queued
+ * because of the maxConcurrentRequests option.
+ * Set for requests made by {@link Session#getToken}.
+ * This option is only part of the internal interface, not of the stable, public interface.
+ * @property {Object|null} [span] Internal option.
+ * The OpenTelemetry span of the request, if the tracer option is set.
+ * Set by {@link Session#request} and carried along to automatic retries.
+ * This option is only part of the internal interface, not of the stable, public interface.
  * @property {number} [retryUntil] Internal option.
  * Retry until the given timestamp (in terms of the performance.now() clock).
  * Takes precedence over the maxRetriesSeconds option.
  * This option is only part of the internal interface, not of the stable, public interface.
  * @property {Object} [clock] Internal option.
- * Clock used for automatic retry, with a `setTimeout` function and a `performance` object.
+ * Clock used for automatic retry and caching, with `setTimeout` and `clearTimeout` functions,
+ * a `performance` object and a `Date` class.
  * Defaults to the corresponding globals; configurable as an option only for testing purposes.
  * This option is only part of the internal interface, not of the stable, public interface.
  */
+/**
+ * A cache for API responses, which can be used in the cache option.
+ *
+ * The cache stores entries (plain objects which can be serialized as JSON) by string keys.
+ * Its methods may be synchronous or asynchronous (return promises).
+ * The cache does not need to handle expiry itself (m3api checks entries for expiry),
+ * though it may drop entries at any time (e.g. to limit its size).
+ *
+ * @typedef ResponseCache
+ * @type {Object}
+ * @property {function(string): (Object|undefined|Promise<Object|undefined>)} get
+ * Get the entry for the given key, or undefined if there is none.
+ * @property {function(string, Object): (void|Promise<void>)} set
+ * Store an entry for the given key.
+ * @property {function(string): (void|Promise<void>)} delete
+ * Remove the entry for the given key, if there is one.
+ * @property {function(): (void|Promise<void>)} clear
+ * Remove all entries.
+ */
+/**
+ * A hook callback, which can be registered in the hooks option.
+ *
+ * Hooks are called with a single event object,
+ * which always has the members `session`, `params` and `options`
+ * (the params and options of the request, with the retryUntil option always set).
+ * The other members depend on the hook name:
+ *
+ * - beforeRequest: Called before each HTTP attempt (including automatic retries).
+ *   The event has the members `url` (a URL) and `fetchOptions`
+ *   (the options for {@link Session#fetch}, with the method, headers and body).
+ *   The hook may modify these members (e.g. add headers or URL parameters),
+ *   or replace them with other values.
+ * - afterResponse: Called after each HTTP attempt that resulted in a response.
+ *   The event is the same object as in the beforeRequest hooks for the same attempt
+ *   (so hooks may store their own information in it, using a suitably prefixed member name),
+ *   with the additional members `response` (the {@link Response})
+ *   and `responseBody` (the parsed response body, or null if the response is not an API response,
+ *   e.g. for an HTTP error).
+ *   The response body may still contain errors and warnings,
+ *   which are handled after the hooks have been called.
+ * - onError: Called after each HTTP attempt that did not result in a response,
+ *   e.g. due to a network error, a timeout, or an abort via the signal option.
+ *   The event is the same object as in the beforeRequest hooks for the same attempt,
+ *   with the additional member `error` (the exception).
+ *   (Every beforeRequest hook call is therefore followed by either
+ *   an afterResponse or an onError hook call with the same event.)
+ * - onRetry: Called when a request is going to be retried automatically.
+ *   The event has the members `reason` (a string such as 'retry-after', 'maxlag', 'readonly',
+ *   'badtoken', 'relogin', 'server-error', 'network-error', or 'timeout')
+ *   and `retryAfterSeconds` (how long m3api will wait before retrying).
+ * - onTokenRefresh: Called after tokens were fetched and saved in {@link Session#tokens}.
+ *   The `params` and `options` members are those of the request for the tokens;
+ *   the event additionally has the member `types` (an array of the token types that were fetched).
+ *
+ * Hooks may be asynchronous (return a promise), in which case m3api waits for them.
+ * If a hook throws an error, the request fails with that error.
+ *
+ * @callback Hook
+ * @param {Object} event
+ * @return {void|Promise<void>}
+ */
 /**
  * An error handler callback, which can be registered in the errorHandlers option.
  *
@@ -411,6 +855,131 @@ export class DefaultUserAgentWarning extends Error {
      */
     constructor(...params: any[]);
 }
+/**
+ * An Error thrown by {@link Session#login} if logging in failed.
+ */
+export class LoginError extends Error {
+    /**
+     * @param {string} result The result or status of the login,
+     * e.g. 'Failed' (action=login) or 'FAIL' (action=clientlogin).
+     * @param {string|Object|null} reason The reason given by the API, if any.
+     * @param {Object} response The login or clientlogin part of the API response.
+     * @param {...*} params Any additional params for the Error constructor,
+     * not including the message (which is generated from the other arguments).
+     */
+    constructor(result: string, reason: string | any | null, response: any, ...params: any[]);
+    /**
+     * The result or status of the login, e.g. 'Failed' or 'FAIL'.
+     *
+     * @member {string}
+     */
+    result: string;
+    /**
+     * The reason given by the API, if any.
+     *
+     * @member {string|Object|null}
+     */
+    reason: any;
+    /**
+     * The login or clientlogin part of the API response.
+     *
+     * @member {Object}
+     */
+    response: any;
+}
+/**
+ * An Error used as a warning when a request is retried after a maxlag error.
+ *
+ * This warning is only reported if the maxlag request option is set.
+ */
+export class MaxlagWarning extends Error {
+    /**
+     * @param {number|null} lag The lag reported by the API (in seconds), if known.
+     * @param {number} retryAfterSeconds How long m3api will wait before retrying the request.
+     * @param {...*} params Any additional params for the Error constructor,
+     * not including the message (which is generated from the other arguments).
+     */
+    constructor(lag: number | null, retryAfterSeconds: number, ...params: any[]);
+    /**
+     * The lag reported by the API, in seconds, or null if unknown.
+     *
+     * @member {number|null}
+     */
+    lag: number;
+    /**
+     * How long m3api will wait before retrying the request, in seconds.
+     *
+     * @member {number}
+     */
+    retryAfterSeconds: number;
+}
+/**
+ * A simple in-memory {@link ResponseCache},
+ * which drops the least recently used entries when it grows too large.
+ *
+ * Entries are stored as JSON strings,
+ * so that callers cannot modify the cached entries by accident.
+ */
+export class MemoryCache {
+    /**
+     * @param {number} [maxEntries] The maximum number of entries to keep.
+     */
+    constructor(maxEntries?: number);
+    /**
+     * @private
+     * @member {number}
+     */
+    private maxEntries;
+    /**
+     * The entries, in order from least to most recently used.
+     *
+     * @private
+     * @member {Map<string, string>}
+     */
+    private entries;
+    /**
+     * @param {string} key
+     * @return {Object|undefined}
+     */
+    get(key: string): any | undefined;
+    /**
+     * @param {string} key
+     * @param {Object} entry
+     */
+    set(key: string, entry: any): void;
+    /**
+     * @param {string} key
+     */
+    delete(key: string): void;
+    clear(): void;
+    /**
+     * The number of entries currently in the cache.
+     *
+     * @type {number}
+     */
+    get size(): number;
+}
+/**
+ * An Error used when a single HTTP attempt of an API request takes too long.
+ *
+ * This error is thrown if the timeoutSeconds option is set,
+ * an attempt takes longer than that,
+ * and there is no time left to retry the request.
+ */
+export class RequestTimeoutError extends Error {
+    /**
+     * @param {number} timeoutSeconds The timeout that was exceeded.
+     * @param {...*} params Any other params for the Error constructor.
+     * (Not including the message: it is generated from the timeout.)
+     */
+    constructor(timeoutSeconds: number, ...params: any[]);
+    /**
+     * The timeout that was exceeded, in seconds.
+     *
+     * @member {number}
+     */
+    timeoutSeconds: number;
+}
 /**
  * A session to make API requests.
  */
@@ -453,8 +1022,11 @@ export class Session {
     defaultOptions: Options;
     /**
      * Saved/cached tokens.
+     * They are cleared automatically when the session notices that the user changed
+     * (after {@link Session#login}, {@link Session#logout},
+     * or a meta=userinfo response with a different user name).
      * Can be modified after construction,
-     * particularly to call `clear()` after logging in or out;
+     * particularly to call `clear()` after logging in or out by other means;
      * apart from that, however,
      * using the tokenType/tokenName options or {@link Session#getToken}
      * is generally more convenient.
@@ -462,6 +1034,87 @@ export class Session {
      * @member {Map}
      */
     tokens: any;
+    /**
+     * The name of the user as which this session was last seen to make requests,
+     * according to the login helpers or any meta=userinfo response;
+     * null if unknown.
+     * If it changes, the tokens are invalidated.
+     *
+     * @private
+     * @member {string|null}
+     */
+    private userName;
+    /**
+     * The earliest time (in terms of the clock option)
+     * at which the next request may be sent, by method,
+     * according to the throttleGetSeconds and throttlePostSeconds options.
+     *
+     * @private
+     * @member {Map<string, number>}
+     */
+    private nextRequestTimes;
+    /**
+     * The number of requests currently in flight,
+     * for the maxConcurrentRequests option.
+     *
+     * @private
+     * @member {number}
+     */
+    private activeRequests;
+    /**
+     * Requests waiting for another request to finish,
+     * because of the maxConcurrentRequests option.
+     *
+     * @private
+     * @member {Object[]}
+     */
+    private requestQueue;
+    /**
+     * Counters about the requests made by this session.
+     *
+     * @member {SessionStats}
+     */
+    stats: SessionStats;
+    /**
+     * The default cache for the cacheTtlSeconds option,
+     * used if the cache option is not set.
+     *
+     * @private
+     * @member {MemoryCache}
+     */
+    private memoryCache;
+    /**
+     * Validators (ETag and Last-Modified) and bodies of earlier responses, by URL,
+     * for the conditionalRequests option.
+     *
+     * @private
+     * @member {MemoryCache}
+     */
+    private conditionalResponses;
+    /**
+     * The username, password and options of the last successful {@link Session#login},
+     * for the relogin option; null if the session is not logged in with that method.
+     *
+     * @private
+     * @member {Object|null}
+     */
+    private loginCredentials;
+    /**
+     * Whether {@link Session#login} added assert=user to the default parameters
+     * (so that {@link Session#logout} can remove it again).
+     *
+     * @private
+     * @member {boolean}
+     */
+    private addedAssert;
+    /**
+     * The promise of the current login due to the relogin option, if any,
+     * so that concurrent failed requests only cause one login.
+     *
+     * @private
+     * @member {Promise|null}
+     */
+    private pendingRelogin;
     /**
      * Make an API request.
      *
@@ -475,6 +1128,164 @@ export class Session {
      * @throws {ApiErrors}
      */
     request(params: Params, options?: Options): any;
+    /**
+     * Remember the validators of a response for the conditionalRequests option,
+     * or use the remembered response body if the server responded with 304 Not Modified.
+     *
+     * @private
+     * @param {string} conditionalKey The request URL.
+     * @param {Object|undefined} conditionalResponse The remembered response, if any.
+     * @param {Response} response
+     * @param {Object|null} responseBody
+     * @return {Object|null} The response body to use.
+     */
+    private handleConditionalResponse;
+    /**
+     * Get the full parameters of a request, as they are sent to the API.
+     *
+     * @private
+     * @param {Params} params
+     * @param {Options} options
+     * @param {Object|null} tokenParams
+     * @return {Object}
+     */
+    private getAllParams;
+    /**
+     * Get the cache key for the given (full) request parameters.
+     * Sessions with the same API URL and the same user can share cache entries;
+     * the user is identified by the user name (if known to the session)
+     * and a hash of the Authorization header (if any).
+     *
+     * @private
+     * @param {Object} allParams
+     * @param {Options} options
+     * @return {Promise<string>}
+     */
+    private getCacheKey;
+    /**
+     * @private
+     * @param {Options} options
+     * @return {ResponseCache}
+     */
+    private getResponseCache;
+    /**
+     * Remove the cached response for a request from the cache.
+     *
+     * @param {Params} params The request parameters, as for {@link Session#request}.
+     * @param {Options} [options] The request options, as for {@link Session#request}
+     * (only used to determine the cache and any parameters added by m3api,
+     * e.g. the maxlag option with maxlagAllRequests).
+     * @return {Promise}
+     */
+    invalidateCache(params: Params, options?: Options): Promise<any>;
+    /**
+     * Remove all cached responses from the cache.
+     *
+     * Note that, if the cache option is set to a cache shared with other sessions,
+     * this also removes those sessions’ cached responses.
+     *
+     * @param {Options} [options] The options specifying the cache.
+     * @return {Promise}
+     */
+    clearCache(options?: Options): Promise<any>;
+    /**
+     * Make a request inside a new span for the tracer option.
+     *
+     * @private
+     * @param {Params} params
+     * @param {Options} options
+     * @param {Object} tracer
+     * @return {Promise<Object>}
+     */
+    private traceRequest;
+    /**
+     * Make a single HTTP attempt for a request.
+     *
+     * This takes care of the timeoutSeconds and maxConcurrentRequests options.
+     * The response body is read as JSON if the response is an API response
+     * (i.e. it has status 200 or a MediaWiki-API-Error header);
+     * otherwise, it is left unread (for any HTTP error handlers).
+     *
+     * @private
+     * @param {URL} url
+     * @param {RequestInit} fetchOptions Without the signal.
+     * @param {Options} options
+     * @return {Promise<Object>} An object with `response` and `responseBody` members
+     * (the latter null if the body was not read).
+     * @throws {RequestTimeoutError} If the attempt timed out.
+     */
+    private fetchAttempt;
+    /**
+     * The number of requests currently queued because of the maxConcurrentRequests option,
+     * i.e. waiting for another request of this session to finish.
+     * Useful for monitoring.
+     *
+     * @type {number}
+     */
+    get queuedRequests(): number;
+    /**
+     * Wait until a request with these options may be sent,
+     * according to the maxConcurrentRequests option.
+     * Each call must be followed by a call to {@link Session#releaseRequestSlot}
+     * once the request is done (unless the returned promise was rejected).
+     *
+     * @private
+     * @param {Options} options
+     * @return {Promise}
+     */
+    private acquireRequestSlot;
+    /**
+     * Release a request slot acquired with {@link Session#acquireRequestSlot},
+     * handing it over to the next queued request if there is one.
+     *
+     * @private
+     */
+    private releaseRequestSlot;
+    /**
+     * Get the delay until a request with these options may be sent,
+     * according to the throttleGetSeconds and throttlePostSeconds options.
+     *
+     * @protected
+     * @param {Options} options
+     * @return {number} The delay in milliseconds (0 if the request may be sent immediately).
+     */
+    protected getThrottleDelay(options: Options): number;
+    /**
+     * Wait until a request with these options may be sent,
+     * and reserve that time for it so that later requests are queued after it.
+     *
+     * @private
+     * @param {Options} options
+     * @return {Promise}
+     */
+    private throttle;
+    /**
+     * Handle an exception thrown while fetching a response.
+     *
+     * If the exception was caused by a network error or by the attempt timing out,
+     * retry the request with exponential backoff if possible,
+     * or else rethrow the exception (or throw a {@link RequestTimeoutError});
+     * other exceptions (including aborts via the signal option) are rethrown immediately.
+     *
+     * @private
+     * @param {*} e The exception.
+     * @param {Params} params
+     * @param {Options} retryOptions
+     * @return {Promise<Object>}
+     */
+    private handleFetchError;
+    /**
+     * Handle the errors and warnings in a response body.
+     *
+     * @private
+     * @param {Object} responseBody
+     * @param {Response} response
+     * @param {Params} params
+     * @param {Options} options
+     * @param {Options} retryOptions
+     * @return {Promise<Object>}
+     */
+    private handleResponseBody;
     /**
      * Make a series of API requests, following API continuation.
      *
@@ -529,6 +1340,198 @@ export class Session {
      * @return {string}
      */
     getToken(type: string, options: Options): string;
+    /**
+     * Get tokens of the specified types.
+     *
+     * Any types that are not yet saved in {@link Session#tokens}
+     * are fetched in a single request (rather than one request per type, as with getToken),
+     * so this can be used to prefetch all the tokens that a tool will need.
+     *
+     * @param {string[]} types The token types, e.g. `[ 'csrf', 'watch', 'rollback' ]`.
+     * @param {Options} [options] Options for the request to get the tokens.
+     * @return {Promise<Object.<string, string>>} The tokens, by type.
+     */
+    getTokens(types: string[], options?: Options): Promise<{
+        [x: string]: string;
+    }>;
+    /**
+     * Fetch tokens of the specified types in a single request,
+     * and save them in {@link Session#tokens}.
+     *
+     * @private
+     * @param {string[]} types
+     * @param {Options} options Options for the request to get the tokens.
+     * @return {Promise}
+     */
+    private fetchTokens;
+    /**
+     * Invalidate all saved tokens, e.g. because they were rejected or the user changed.
+     * The tokens will be fetched again when they are next needed.
+     *
+     * @private
+     */
+    private invalidateTokens;
+    /**
+     * Remember the name of the user as which this session makes requests,
+     * invalidating the tokens if it changed.
+     *
+     * @private
+     * @param {string|null} userName
+     */
+    private setUserName;
+    /**
+     * Log in with the given username and password.
+     *
+     * This uses action=login, which is intended for bot passwords
+     * (the username then has the form `User@BotPasswordName`);
+     * if the wiki rejects this for the given account (with the result 'Aborted'),
+     * action=clientlogin is used instead
+     * (though this only works if no further authentication steps, like two-factor authentication,
+     * are required).
+     * Note that this requires a session that can keep cookies
+     * (i.e. a Node.js session or a browser session on the same site).
+     *
+     * On success, {@link Session#tokens} are invalidated (since they depend on the user),
+     * and assert=user is added to {@link Session#defaultParams}
+     * (unless they already contain an assert parameter, e.g. assert=bot),
+     * so that later requests fail instead of silently being made logged out
+     * if the session is lost.
+     *
+     * @param {string} username
+     * @param {string} password
+     * @param {Options} [options] Options for the login requests.
+     * (The method and tokenType options are set automatically.)
+     * @return {Promise<string>} The name of the user now logged in.
+     * @throws {LoginError} If logging in failed.
+     */
+    login(username: string, password: string, options?: Options): Promise<string>;
+    /**
+     * Log in using action=clientlogin, see {@link Session#login}.
+     *
+     * @private
+     * @param {string} username
+     * @param {string} password
+     * @param {Options} options
+     * @return {Promise<string>}
+     * @throws {LoginError}
+     */
+    private clientLogin;
+    /**
+     * Get a fresh login token.
+     * Unlike other tokens, login tokens are not saved in {@link Session#tokens}.
+     *
+     * @private
+     * @param {Options} options
+     * @return {Promise<string>}
+     */
+    private getLoginToken;
+    /**
+     * Update the session state after logging in.
+     *
+     * @private
+     * @param {string} userName The name of the user now logged in.
+     * @param {string} username The username used to log in.
+     * @param {string} password
+     * @param {Options} options
+     */
+    private loggedIn;
+    /**
+     * Log in again, according to the relogin option.
+     * If a login for this purpose is already in progress, wait for it instead.
+     *
+     * @private
+     * @param {Options} options The options of the request that failed.
+     * @return {Promise}
+     */
+    private relogin;
+    /**
+     * Log out, ending the session.
+     *
+     * This sends an action=logout request (with a csrf token),
+     * and then invalidates {@link Session#tokens}, removes any cookies of the session,
+     * and removes the assert=user parameter from {@link Session#defaultParams}
+     * if {@link Session#login} added it (so that further requests can be made logged out).
+     * Any assert or assertuser default parameters set by the caller are left alone.
+     *
+     * @param {Options} [options] Options for the logout request.
+     * (The method and tokenType options are set automatically.)
+     * @return {Promise}
+     */
+    logout(options?: Options): Promise<any>;
+    /**
+     * Edit a page by transforming its current wikitext.
+     *
+     * This fetches the latest revision of the page,
+     * calls the transform function with its wikitext,
+     * and saves the result with the right baserevid, basetimestamp and starttimestamp,
+     * so that edit conflicts are detected by MediaWiki;
+     * if the page exists, nocreate is also set
+     * (so the edit fails if the page is deleted meanwhile),
+     * otherwise createonly is set (so the edit fails if the page is created meanwhile).
+     * If the edit fails because of such a conflict, the whole process is repeated
+     * (fetching the page again and calling the transform function with the new wikitext),
+     * up to the number of times specified by the maxEditConflictRetries option.
+     *
+     * @param {string} title The title of the page.
+     * @param {Function} transform Called with the current wikitext of the page
+     * (or null if the page does not exist yet) and the current revision
+     * (an object with `revid` and `timestamp` members, or null).
+     * Returns (or resolves to) the new wikitext,
+     * or an object with additional edit params (e.g. `{ text, summary }`, `text` is required).
+     * @param {Options} [options] Options for the requests.
+     * (The method and tokenType options are set automatically.)
+     * @return {Promise<Object>} The edit result (the `edit` member of the response).
+     * @throws {ApiErrors} If the edit failed,
+     * including due to conflicts after the maximum number of retries,
+     * or if the title is invalid (with the error code invalidtitle,
+     * as MediaWiki would return it for the edit).
+     * @throws {Error} If the page cannot be edited because it has no revisions
+     * (e.g. a special page or an interwiki title).
+     */
+    edit(title: string, transform: Function, options?: Options): Promise<any>;
+    /**
+     * Upload a file in chunks.
+     *
+     * The file is split into chunks of the size given by the uploadChunkSizeBytes option,
+     * which are uploaded to the upload stash one after the other;
+     * afterwards, the stashed file is published asynchronously.
+     * The chunks are uploaded with ignorewarnings, so that upload warnings
+     * (e.g. about duplicates) are only reported when publishing the file,
+     * according to the ignorewarnings param (if any) in the params.
+     * While the wiki processes the upload, its status is checked regularly
+     * (see the uploadPollSeconds option).
+     * This also works for files larger than the maximum upload size of the wiki,
+     * as long as the chunk size is below that limit.
+     *
+     * @param {Blob} file The file contents, e.g. a File or Blob
+     * (or any other value supported by the session as a file param,
+     * e.g. a file created with fileFromPath() in Node.js).
+     * @param {string} filename The target file name (without the File: namespace prefix).
+     * @param {Params} [params] Additional params for publishing the file,
+     * e.g. `{ comment, text }`; specify `ignorewarnings: true` to upload the file
+     * even if it is a duplicate or the file name already exists.
+     * @param {Options} [options] Options for the requests.
+     * (The method and tokenType options are set automatically.)
+     * The uploadChunkSizeBytes, uploadPollSeconds and onUploadProgress options
+     * are specific to this method.
+     * @return {Promise<Object>} The upload result (the `upload` member of the final response).
+     * @throws {UploadError} If the upload resulted in warnings or failed.
+     */
+    upload(file: Blob, filename: string, params?: Params, options?: Options): Promise<any>;
+    /**
+     * Wait until an upload has been processed, if necessary,
+     * by checking its status until it is no longer 'Poll'.
+     *
+     * @private
+     * @param {Object} result The upload part of the API response.
+     * @param {string} filekey The file key of the upload.
+     * @param {Options} options
+     * @param {boolean} [ignoreWarnings] Whether to accept a 'Warning' result
+     * (for chunks uploaded to the stash) instead of throwing an UploadError.
+     * @return {Promise<Object>} The final upload result.
+     * @throws {UploadError} If the upload resulted in warnings or failed.
+     */
+    private waitForUpload;
     /**
      * Get the effective request headers for these options.
      *
@@ -593,6 +1596,7 @@ export class Session {
      *    - `method` (must be set)
      *    - `headers` (must be set and contain a User-Agent header)
      *    - `body` (only string, FormData and URLSearchParams values are supported)
+     *    - `signal` (optional)
      *
      * Implementations may support additional `fetch()` features
      * as long as they are part of the standard,
@@ -611,6 +1615,150 @@ export class Session {
      * @return {Promise<Response>}
      */
     protected fetch(resource: URL, fetchOptions: RequestInit): Promise<Response>;
+    /**
+     * Make an HTTP request for the given request options.
+     *
+     * This is called for every HTTP attempt of a request.
+     * The default implementation ignores the request options and calls {@link Session#fetch};
+     * subclasses may override it if they need to know the request options
+     * (e.g. to compare them with expected options in tests),
+     * rather than passing them to `fetch()` in a nonstandard way.
+     *
+     * @protected
+     * @param {URL} resource As for {@link Session#fetch}.
+     * @param {RequestInit} fetchOptions As for {@link Session#fetch}.
+     * @param {Options} options The request options.
+     * @return {Promise<Response>}
+     */
+    protected fetchWithOptions(resource: URL, fetchOptions: RequestInit, options: Options): Promise<Response>;
+    /**
+     * Prepare a non-string POST param value (i.e. a file) for the multipart/form-data body.
+     *
+     * The default implementation returns the value unmodified,
+     * so it should be a Blob or File;
+     * subclasses may override it to support other kinds of values
+     * (e.g. Node.js streams), converting them to Blob-like objects.
+     * This is called for every attempt of the request (including automatic retries).
+     *
+     * @protected
+     * @param {*} value
+     * @return {Promise<Blob>}
+     */
+    protected prepareFileParam(value: any): Promise<Blob>;
+    /**
+     * Remove all cookies of this session, e.g. after logging out.
+     *
+     * The default implementation does nothing,
+     * for sessions that do not manage their own cookies
+     * (e.g. in the browser, where cookies are managed by the browser itself);
+     * subclasses with a cookie jar should override it.
+     *
+     * @protected
+     * @return {Promise}
+     */
+    protected clearCookies(): Promise<any>;
+    /**
+     * Get a hash of the given string, as a hexadecimal SHA-256 digest.
+     *
+     * This is used to identify the user in cache keys
+     * without storing their credentials in the cache.
+     * The default implementation uses the Web Crypto API;
+     * subclasses for environments without it should override it.
+     *
+     * @protected
+     * @param {string} string
+     * @return {Promise<string>}
+     */
+    protected digest(string: string): Promise<string>;
+}
+/**
+ * Counters about the requests made by a {@link Session},
+ * available as {@link Session#stats}, e.g. for monitoring.
+ *
+ * The counters only ever increase, until {@link SessionStats#reset} is called.
+ * (For more detailed information, see the hooks and logger options.)
+ */
+export class SessionStats {
+    /**
+     * Reset all counters to zero.
+     */
+    reset(): void;
+    /**
+     * The number of HTTP requests sent, including automatic retries.
+     *
+     * @member {number}
+     */
+    requests: number;
+    /**
+     * The number of automatic retries, by reason
+     * (see the onRetry {@link Hook} for the possible reasons).
+     *
+     * @member {Object.<string, number>}
+     */
+    retries: {
+        'retry-after': number;
+        maxlag: number;
+        readonly: number;
+        badtoken: number;
+        relogin: number;
+        'server-error': number;
+        'network-error': number;
+        timeout: number;
+    };
+    /**
+     * The number of bytes received in API response bodies,
+     * after decompression (if the response was compressed);
+     * bodies of other responses (e.g. HTTP errors) are not counted.
+     *
+     * @member {number}
+     */
+    bytesReceived: number;
+    /**
+     * The number of requests answered from the cache
+     * (see the cacheTtlSeconds option), without an HTTP request.
+     *
+     * @member {number}
+     */
+    cacheHits: number;
+    /**
+     * The number of API warnings passed to the warn handler.
+     * (Warnings about truncated results that were dropped
+     * because of the dropTruncatedResultWarning option are not counted.)
+     *
+     * @member {number}
+     */
+    warnings: number;
+    /**
+     * The number of requests that were combined into another request,
+     * i.e. the number of HTTP requests saved by combining requests.
+     * Only used by sessions that combine requests (i.e. not by the base Session class).
+     *
+     * @member {number}
+     */
+    combinedRequests: number;
+}
+/**
+ * An Error thrown by {@link Session#upload} if the upload did not succeed,
+ * either due to upload warnings (e.g. the file is a duplicate or already exists)
+ * or because the asynchronous processing of the upload failed.
+ */
+export class UploadError extends Error {
+    /**
+     * @param {Object} result The upload part of the API response.
+     * @param {...*} params Any additional params for the Error constructor,
+     * not including the message (which is generated from the result).
+     */
+    constructor(result: any, ...params: any[]);
+    /**
+     * The upload part of the API response.
+     * If the upload failed due to warnings,
+     * its `warnings` member contains them (e.g. `duplicate` or `exists`),
+     * and its `filekey` member can be used to publish the stashed file anyway
+     * (with `ignorewarnings: true`).
+     *
+     * @member {Object}
+     */
+    result: any;
 }
 /**
  * Decorate the given warn handler so that warnings about truncated results are dropped.
@@ -625,6 +1773,16 @@ export class Session {
  * when there are no other warnings, the original function is not called.
  */
 export function makeWarnDroppingTruncatedResultWarning(warn: Function): Function;
+/**
+ * Whether the given parameter should be redacted in log records (or fixtures).
+ *
+ * This function is only part of the internal interface, not of the stable, public interface.
+ *
+ * @param {string} name
+ * @param {string} tokenName The tokenName option.
+ * @return {boolean}
+ */
+export function isSecretParam(name: string, tokenName: string): boolean;
 /**
  * Convenience function to get a boolean from an API response value.
  *
@@ -655,4 +1813,16 @@ export function responseBoolean(value: boolean | "" | undefined): boolean;
  * @return {Set}
  */
 export function set(...elements: any[]): Set;
+/**
+ * Wait for the given amount of time,
+ * or until the given signal is aborted (in which case the promise is rejected).
+ *
+ * This function is only part of the internal interface, not of the stable, public interface.
+ *
+ * @param {number} millis
+ * @param {Object} clock The clock option.
+ * @param {AbortSignal|null} signal
+ * @return {Promise}
+ */
+export function sleep(millis: number, clock: any, signal: AbortSignal | null): Promise<any>;
 //# sourceMappingURL=core.d.ts.map
\ No newline at end of file
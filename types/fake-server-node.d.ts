@@ -0,0 +1,236 @@
+/**
+ * A small in-process HTTP server that fakes enough of the MediaWiki Action API
+ * to run sessions (including the real network code of NodeSession) against it in tests,
+ * without network access.
+ *
+ * Supported are: meta=tokens, meta=userinfo, meta=siteinfo (only the sitename),
+ * list=allpages (with continuation), prop=revisions for titles,
+ * action=edit, action=login, action=clientlogin and action=logout;
+ * sessions are tracked using a cookie.
+ * The maxlag, assert and assertuser parameters are supported,
+ * and maxlag, readonly, badtoken, assertuserfailed and other errors are returned
+ * much like MediaWiki would return them.
+ * Responses always use formatversion=2 structure, with errors in the bc error format.
+ *
+ * The state of the fake wiki (pages, lag, read-only mode, etc.)
+ * can be inspected and modified through the members of the server object.
+ */
+export class FakeApiServer {
+    /**
+     * @param {Object} [options]
+     * @param {Object.<string, string>} [options.users] The users of the wiki,
+     * mapping user names to passwords.
+     * @param {Object.<string, string>} [options.pages] Initial pages of the wiki,
+     * mapping titles to page contents.
+     * @param {string} [options.sitename] The name of the wiki.
+     */
+    constructor({ users, pages, sitename }?: {
+        users?: {
+            [x: string]: string;
+        };
+        pages?: {
+            [x: string]: string;
+        };
+        sitename?: string;
+    });
+    /**
+     * The users of the wiki, mapping user names to passwords.
+     *
+     * @member {Object.<string, string>}
+     */
+    users: {
+        [x: string]: string;
+    };
+    /**
+     * The name of the wiki.
+     *
+     * @member {string}
+     */
+    sitename: string;
+    /**
+     * The pages of the wiki, by title.
+     * Each page has `pageid`, `title` and `revisions` (oldest first) members;
+     * each revision has `revid`, `timestamp`, `user` and `content` members.
+     *
+     * @member {Map<string, Object>}
+     */
+    pages: any;
+    /**
+     * The current replication lag, in seconds.
+     * Requests with a lower maxlag parameter fail with a maxlag error.
+     *
+     * @member {number}
+     */
+    lag: number;
+    /**
+     * The Retry-After header value sent with maxlag errors.
+     *
+     * @member {number}
+     */
+    maxlagRetryAfterSeconds: number;
+    /**
+     * If not null, the wiki is in read-only mode, with this reason,
+     * and edits fail with a readonly error.
+     *
+     * @member {string|null}
+     */
+    readOnlyReason: any;
+    /**
+     * All the requests received so far, each with `method`, `params` and `headers` members,
+     * e.g. for assertions in tests.
+     *
+     * @member {Object[]}
+     */
+    requests: any[];
+    /**
+     * Responses to send instead of handling the next requests,
+     * see {@link FakeApiServer#failNextRequest}.
+     *
+     * @private
+     * @member {Object[]}
+     */
+    private failures;
+    /**
+     * The sessions, by session ID (from the session cookie).
+     *
+     * @private
+     * @member {Map<string, Object>}
+     */
+    private sessions;
+    /**
+     * The ID of the last revision.
+     *
+     * @private
+     * @member {number}
+     */
+    private lastRevid;
+    /**
+     * The underlying HTTP server, while it is running.
+     *
+     * @private
+     * @member {Object|null}
+     */
+    private server;
+    /**
+     * Start the server, listening on a random port.
+     *
+     * @param {string} [host] The host name or address to listen on.
+     * @return {Promise<string>} The API URL of the fake wiki,
+     * to be used as the apiUrl of a session.
+     */
+    start(host?: string): Promise<string>;
+    /**
+     * Stop the server.
+     *
+     * @return {Promise}
+     */
+    close(): Promise<any>;
+    /**
+     * Make the next request fail with an HTTP error,
+     * instead of being handled normally.
+     * Can be called several times to make several requests fail.
+     *
+     * @param {number} [status] The HTTP status code.
+     * @param {number|null} [retryAfterSeconds] If not null, send a Retry-After header.
+     */
+    failNextRequest(status?: number, retryAfterSeconds?: number | null): void;
+    /**
+     * Save a new revision of a page, creating the page if necessary.
+     *
+     * @param {string} title
+     * @param {string} content
+     * @param {string|null} user
+     * @return {Object} The new revision.
+     */
+    savePage(title: string, content: string, user: string | null): any;
+    /**
+     * @private
+     * @param {Object} request The Node.js request.
+     * @param {Object} response The Node.js response.
+     * @return {Promise}
+     */
+    private handleRequest;
+    /**
+     * Get the session for this request, creating a new one if necessary.
+     *
+     * @private
+     * @param {Object} request
+     * @param {Object} headers The response headers, to which Set-Cookie may be added.
+     * @return {Object}
+     */
+    private getSession;
+    /**
+     * @private
+     * @param {string} method
+     * @param {Object} params
+     * @param {Object} session
+     * @return {Object}
+     */
+    private handleAction;
+    /**
+     * @private
+     * @param {Object} params
+     * @param {Object} session
+     */
+    private checkAssert;
+    /**
+     * @private
+     * @param {string} method
+     */
+    private checkPosted;
+    /**
+     * @private
+     * @param {Object} params
+     * @param {Object} session
+     */
+    private checkToken;
+    /**
+     * @private
+     * @param {string} method
+     * @param {Object} params
+     * @param {Object} session
+     */
+    private checkWrite;
+    /**
+     * @private
+     * @param {Object} params
+     * @param {Object} session
+     * @return {Object}
+     */
+    private handleQuery;
+    /**
+     * @private
+     * @param {Object} params
+     * @param {Object} session
+     * @return {Object}
+     */
+    private handleEdit;
+    /**
+     * @private
+     * @param {Object} params
+     * @param {Object} session
+     * @return {Object}
+     */
+    private handleLogin;
+    /**
+     * @private
+     * @param {Object} params
+     * @param {Object} session
+     * @return {Object}
+     */
+    private handleClientLogin;
+    /**
+     * @private
+     * @param {string|undefined} username
+     * @param {string|undefined} password
+     * @return {boolean}
+     */
+    private checkPassword;
+    /**
+     * @private
+     * @param {Object} session
+     * @param {string} username
+     */
+    private logIn;
+}
+//# sourceMappingURL=fake-server-node.d.ts.map
\ No newline at end of file
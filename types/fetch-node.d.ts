@@ -1,8 +1,153 @@
 export class FetchNodeSession extends FetchSession {
-    constructor(apiUrl: any, defaultParams?: {}, defaultOptions?: {});
+    /**
+     * @param {string} apiUrl As for {@link FetchSession}.
+     * @param {Object} [defaultParams] As for {@link FetchSession}.
+     * @param {Object} [defaultOptions] As for {@link FetchSession}.
+     * @param {CookieJar} [cookieJar] The tough-cookie jar to use for this session.
+     * By default, each session gets its own new, empty jar;
+     * pass in a jar to share cookies between several sessions
+     * (e.g. for CentralAuth across the wikis of a wiki family),
+     * or to use a cookie jar with a persistent store.
+     */
+    constructor(apiUrl: string, defaultParams?: any, defaultOptions?: any, cookieJar?: CookieJar);
+    /**
+     * The cookie jar of this session.
+     * It may be shared with other sessions.
+     *
+     * @member {CookieJar}
+     */
+    cookieJar: CookieJar;
     agent: CookieAgent;
     getFetchOptions(fetchOptions: any): any;
+    /**
+     * Prepare a file param value, adding support for Node.js-specific values:
+     * fs FileHandles (streamed from the start of the file for every attempt)
+     * and fs ReadStreams (as returned by `fs.createReadStream()`;
+     * the stream itself is destroyed, and its file is opened again for every attempt,
+     * with the same start and end).
+     * Other Readable streams must be wrapped with {@link fileFromStream},
+     * since their size must be known in advance.
+     *
+     * @protected
+     * @param {*} value
+     * @return {Promise<Blob|StreamFile>}
+     */
+    protected prepareFileParam(value: any): Promise<Blob | StreamFile>;
+    /**
+     * Export the cookies of this session,
+     * e.g. to save them to a file between runs of a tool.
+     *
+     * @return {Promise<Object>} The serialized cookie jar,
+     * which can be stored as JSON and later passed into {@link FetchNodeSession#importCookies}.
+     */
+    exportCookies(): Promise<any>;
+    /**
+     * Import cookies previously exported with {@link FetchNodeSession#exportCookies}.
+     * The cookies are added to the cookie jar of this session,
+     * replacing any existing cookies with the same domain, path and name.
+     *
+     * @param {Object|string} serialized The serialized cookie jar (or its JSON string).
+     * @return {Promise}
+     */
+    importCookies(serialized: any | string): Promise<any>;
 }
+/**
+ * A File-like object whose contents are read from a Node.js stream,
+ * so that it can be sent as a file param without reading it into memory.
+ * Create it with {@link fileFromPath} or {@link fileFromStream}.
+ *
+ * This is not a real File, but it has the members that `FormData` and `fetch()` need
+ * (`size`, `type`, `name`, `lastModified` and `stream()`),
+ * as well as `slice()` (used e.g. by the `upload()` method of sessions).
+ */
+export class StreamFile {
+    [x: number]: string;
+    /**
+     * @param {Function} getStream Called with a start and end offset,
+     * returns a new Node.js Readable stream with the contents in that range
+     * (including the start but excluding the end, like `slice()`).
+     * @param {number} size The size of the contents in bytes.
+     * @param {string} name The file name.
+     * @param {string} type The MIME type.
+     */
+    constructor(getStream: Function, size: number, name: string, type: string);
+    /**
+     * @private
+     * @member {Function}
+     */
+    private getStream;
+    /**
+     * The size of the contents in bytes.
+     *
+     * @member {number}
+     */
+    size: number;
+    /**
+     * The file name.
+     *
+     * @member {string}
+     */
+    name: string;
+    /**
+     * The MIME type, possibly empty.
+     *
+     * @member {string}
+     */
+    type: string;
+    /**
+     * Always 0 (unknown).
+     *
+     * @member {number}
+     */
+    lastModified: number;
+    /**
+     * @return {ReadableStream}
+     */
+    stream(): ReadableStream;
+    /**
+     * Get a part of the file, like `Blob.slice()` (but negative offsets are not supported).
+     *
+     * @param {number} [start]
+     * @param {number} [end]
+     * @return {StreamFile}
+     */
+    slice(start?: number, end?: number): StreamFile;
+}
+/**
+ * Create a File-like param value for the file at the given path.
+ * The file is streamed from disk whenever the request is sent
+ * (so it can also be sent again in automatic retries).
+ *
+ * @param {string} path
+ * @param {Object} [options]
+ * @param {string} [options.name] The file name; defaults to the last component of the path.
+ * @param {string} [options.type] The MIME type; defaults to the empty string (unknown).
+ * @return {Promise<StreamFile>}
+ */
+export function fileFromPath(path: string, { name, type }?: {
+    name?: string;
+    type?: string;
+}): Promise<StreamFile>;
+/**
+ * Create a File-like param value from a Node.js Readable stream.
+ * Since a stream can only be read once,
+ * the request cannot be retried automatically once the stream has been read,
+ * and the file cannot be sliced (e.g. for chunked uploads);
+ * prefer {@link fileFromPath} or an fs FileHandle where possible.
+ *
+ * @param {Readable} stream
+ * @param {Object} options
+ * @param {number} options.size The size of the stream contents in bytes (required).
+ * @param {string} [options.name] The file name; defaults to 'blob'.
+ * @param {string} [options.type] The MIME type; defaults to the empty string (unknown).
+ * @return {StreamFile}
+ */
+export function fileFromStream(stream: Readable, { size, name, type }: {
+    size: number;
+    name?: string;
+    type?: string;
+}): StreamFile;
 import { FetchSession } from './fetch.js';
+import { CookieJar } from 'tough-cookie';
 import { CookieAgent } from 'http-cookie-agent/undici';
 //# sourceMappingURL=fetch-node.d.ts.map
\ No newline at end of file
@@ -0,0 +1,130 @@
+/**
+ * A fixture of recorded requests and responses,
+ * used to record or replay the network traffic of a session.
+ * Create it with {@link useFixture}.
+ */
+export class Fixture {
+    /**
+     * @param {string} fileName
+     * @param {string} mode 'record' or 'replay'.
+     * @param {Object[]} interactions
+     * @param {string} tokenName The tokenName option of the session.
+     */
+    constructor(fileName: string, mode: string, interactions: any[], tokenName: string);
+    /**
+     * The name of the fixture file.
+     *
+     * @member {string}
+     */
+    fileName: string;
+    /**
+     * The mode of the fixture, 'record' or 'replay'.
+     *
+     * @member {string}
+     */
+    mode: string;
+    /**
+     * The recorded interactions, each with `request` and `response` members.
+     *
+     * @private
+     * @member {Object[]}
+     */
+    private interactions;
+    /**
+     * For replay mode, which interactions have already been replayed.
+     *
+     * @private
+     * @member {boolean[]}
+     */
+    private replayed;
+    /**
+     * The name of the token parameter, which is redacted like other tokens.
+     *
+     * @private
+     * @member {string}
+     */
+    private tokenName;
+    /**
+     * Record a request and the response to it.
+     *
+     * @private
+     * @param {Function} fetch The original fetch method of the session.
+     * @param {URL|string} resource
+     * @param {RequestInit} fetchOptions
+     * @return {Promise<Response>}
+     */
+    private record;
+    /**
+     * Replay the response to a request.
+     * Each recorded interaction is only replayed once,
+     * in the order in which they were recorded.
+     *
+     * @private
+     * @param {URL|string} resource
+     * @param {RequestInit} fetchOptions
+     * @return {Response}
+     * @throws {UnmatchedRequestError}
+     */
+    private replay;
+    /**
+     * Finish using the fixture.
+     *
+     * In record mode, this writes the recorded interactions to the fixture file.
+     * In replay mode, this checks that all recorded interactions were replayed,
+     * and throws an error otherwise.
+     *
+     * @return {Promise}
+     */
+    finish(): Promise<any>;
+}
+/**
+ * An Error thrown when replaying a fixture
+ * and the session makes a request that is not in the fixture
+ * (or that was already replayed).
+ */
+export class UnmatchedRequestError extends Error {
+    /**
+     * @param {Object} request The normalized request that could not be matched,
+     * with `method` and `params` members.
+     * @param {string} fileName The fixture file name.
+     * @param {...*} params Any other params for the Error constructor.
+     * (Use `{ cause }` to wrap another error.)
+     */
+    constructor(request: any, fileName: string, ...params: any[]);
+    /**
+     * The normalized request that could not be matched,
+     * with `method` and `params` members.
+     *
+     * @member {Object}
+     */
+    request: any;
+}
+/**
+ * Record or replay the network traffic of a session using a JSON fixture file.
+ *
+ * This replaces the {@link Session#fetch} method of the given session object:
+ * in record mode, requests are still sent to the network,
+ * and each request and the response to it are recorded;
+ * in replay mode, no requests are sent to the network,
+ * and the recorded responses are returned instead,
+ * throwing an {@link UnmatchedRequestError} for requests that are not in the fixture.
+ * Requests are matched on their method, URL and parameters
+ * (but not on request headers, which are not recorded,
+ * so that authorization headers are not saved in the fixture file).
+ *
+ * Tokens and passwords in the request parameters are redacted
+ * (both when recording and when replaying, so that requests still match),
+ * and Set-Cookie response headers are not recorded;
+ * however, the response bodies are recorded unchanged.
+ *
+ * Call {@link Fixture#finish} at the end of the test
+ * to write the fixture file (in record mode) or check that all recorded requests were made.
+ *
+ * @param {Session} session The session to record or replay.
+ * @param {string} fileName The fixture file name.
+ * @param {string} [mode] 'record' or 'replay' (the default).
+ * @return {Promise<Fixture>}
+ */
+export function useFixture(session: Session, fileName: string, mode?: string): Promise<Fixture>;
+import { Session } from './core.js';
+//# sourceMappingURL=fixture-node.d.ts.map
\ No newline at end of file
@@ -1,5 +1,7 @@
 export default class NodeSession extends FetchNodeSession {
 }
+export { DirectoryCache } from "./cache-node.js";
 import { FetchNodeSession } from './fetch-node.js';
-export { ApiErrors, ApiWarnings, set } from "./core.js";
+export { ApiErrors, ApiWarnings, LoginError, MemoryCache, RequestTimeoutError, UploadError, set } from "./core.js";
+export { fileFromPath, fileFromStream } from "./fetch-node.js";
 //# sourceMappingURL=node.d.ts.map
\ No newline at end of file
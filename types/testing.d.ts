@@ -0,0 +1,116 @@
+/**
+ * A session for unit tests of code using m3api (e.g. extension packages),
+ * which does not make any network requests.
+ *
+ * Instead, tests declare the expected requests in advance with {@link MockSession#expectRequest},
+ * along with canned responses, API errors or warnings, HTTP errors, or network errors.
+ * Each request made by the session must match one of the remaining expectations
+ * (in any order; each expectation is used once);
+ * otherwise, the request fails with an error.
+ * At the end of the test, call {@link MockSession#assertAllConsumed}
+ * to check that all the expected requests were made.
+ *
+ * The rest of the session works like any other session:
+ * for example, errors in the canned responses are thrown as ApiErrors,
+ * warnings are passed to the warn handler, and tokens are requested as usual
+ * (so tests should either expect requests for tokens,
+ * or add tokens to the session in advance, e.g. `session.tokens.set( 'csrf', '+\\' )`).
+ * Unless the userAgent option is specified, a default user agent for tests is used.
+ * Unless the maxRetriesSeconds option is specified, it defaults to 0,
+ * so that canned HTTP errors and network errors are thrown immediately
+ * rather than retried in real time;
+ * to test automatic retries (including after badtoken errors),
+ * specify the maxRetriesSeconds option (and possibly a fake clock option).
+ */
+export class MockSession extends Session {
+    /**
+     * @param {string} [apiUrl] As for {@link Session}; defaults to 'en.wikipedia.org'.
+     * @param {Object} [defaultParams] As for {@link Session}.
+     * @param {Object} [defaultOptions] As for {@link Session}.
+     */
+    constructor(apiUrl?: string, defaultParams?: any, defaultOptions?: any);
+    /**
+     * The expected requests that have not been made yet.
+     *
+     * @private
+     * @member {Object[]}
+     */
+    private expectations;
+    /**
+     * Expect a request, and specify the response to it.
+     *
+     * @param {Params} params The expected parameters of the request,
+     * including default parameters and tokens (format=json is added automatically).
+     * Values are compared after transforming them like request parameters,
+     * so e.g. numbers and strings are equivalent;
+     * if the expected value is a Set, the order of the values does not matter
+     * (which is useful if requests may be combined).
+     * File or Blob values only need to have the same size
+     * (and name, if the expected value is a File).
+     * @param {Object} [result] The result of the request.
+     * @param {string} [result.method] The expected request method, 'GET' (default) or 'POST'.
+     * @param {Options} [result.options] Expected request options, e.g. `{ tokenType: 'csrf' }`.
+     * Only the options specified here are compared
+     * (with the default options of the session taken into account),
+     * using strict equality.
+     * @param {Object} [result.response] The response body; defaults to an empty object.
+     * @param {Object[]} [result.errors] API errors to add to the response body,
+     * e.g. `[ { code: 'badtoken' } ]`.
+     * @param {Object[]} [result.warnings] API warnings to add to the response body,
+     * e.g. `[ { code: 'deprecation' } ]`.
+     * @param {number} [result.status] The HTTP status code; defaults to 200.
+     * If it is not 200, the response has no body
+     * (unless there are errors, which are then sent with a MediaWiki-API-Error header).
+     * @param {Object} [result.headers] Response headers, e.g. `{ 'retry-after': '5' }`.
+     * @param {Error} [result.fetchError] If set, the request fails with this error,
+     * e.g. `new TypeError( 'fetch failed', { cause } )` for a network error.
+     * @return {this}
+     */
+    expectRequest(params: Params, { method, options, response, errors, warnings, status, headers, fetchError, }?: {
+        method?: string;
+        options?: Options;
+        response?: any;
+        errors?: any[];
+        warnings?: any[];
+        status?: number;
+        headers?: any;
+        fetchError?: Error;
+    }): this;
+    /**
+     * Throw an error if any expected request has not been made yet.
+     */
+    assertAllConsumed(): void;
+    /**
+     * @private
+     * @param {Object} expectedParams
+     * @param {Object} actualParams
+     * @return {boolean}
+     */
+    private paramsMatch;
+    /**
+     * @private
+     * @param {Options} expectedOptions
+     * @param {Options} actualOptions Not merged with the default options yet.
+     * @return {boolean}
+     */
+    private optionsMatch;
+    /**
+     * @private
+     * @param {Object} expectation
+     * @return {Response}
+     */
+    private makeResponse;
+    /**
+     * Answer the request with the first remaining expectation that matches it,
+     * including the request options.
+     *
+     * @protected
+     * @param {URL} resource
+     * @param {RequestInit} fetchOptions
+     * @param {Options} options
+     * @return {Promise<Response>}
+     */
+    protected fetchWithOptions(resource: URL, fetchOptions: RequestInit, options: Options): Promise<Response>;
+}
+import { Session } from './core.js';
+//# sourceMappingURL=testing.d.ts.map
\ No newline at end of file